@@ -6,6 +6,9 @@ module.exports = {
     merchantSecret: process.env.PAYHERE_MERCHANT_SECRET,
     mode: process.env.PAYHERE_MODE || 'sandbox',
     notifyUrl: process.env.PAYHERE_NOTIFY_URL,
+    // Merchant API (refunds): a Business App's credentials from the PayHere portal
+    appId: process.env.PAYHERE_APP_ID,
+    appSecret: process.env.PAYHERE_APP_SECRET,
     currency: 'LKR',
     baseUrl: 'https://sandbox.payhere.lk'
 };
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+
+/**
+ * Who may see and change an appointment:
+ *   - admin: every appointment
+ *   - owner: appointments of their own salon (the owner token's userId is the salon id)
+ *   - customer: their own bookings, matched by account id or email
+ * Use after authenticateToken.
+ */
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isOwnBooking = (user, appointment) => {
+  if (appointment.user?.userId && appointment.user.userId.toString() === user.userId?.toString()) return true;
+  return !!user.email && appointment.user?.email?.toLowerCase() === user.email.toLowerCase();
+};
+
+// Works for anything with salonId and user (appointments, series)
+const canAccessAppointment = (user, appointment) => {
+  if (!user || !appointment) return false;
+
+  switch (user.role) {
+    case 'admin':
+      return true;
+    case 'owner':
+      return (appointment.salonId?._id || appointment.salonId)?.toString() === user.userId?.toString();
+    case 'customer':
+      return isOwnBooking(user, appointment);
+    default:
+      return false;
+  }
+};
+
+// Query filter that limits a list to the appointments the user may see (ids cast for aggregations)
+const appointmentScope = (user) => {
+  switch (user?.role) {
+    case 'admin':
+      return {};
+    case 'owner':
+      return mongoose.Types.ObjectId.isValid(user.userId)
+        ? { salonId: new mongoose.Types.ObjectId(user.userId) }
+        : { _id: null };
+    case 'customer': {
+      const own = [];
+      if (mongoose.Types.ObjectId.isValid(user.userId)) own.push({ 'user.userId': new mongoose.Types.ObjectId(user.userId) });
+      if (user.email) own.push({ 'user.email': new RegExp(`^${escapeRegex(user.email)}$`, 'i') });
+      return own.length > 0 ? { $or: own } : { _id: null };
+    }
+    default:
+      return { _id: null };
+  }
+};
+
+// Load the :id appointment into req.appointment, or answer 404/403
+const loadAppointment = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    const appointment = await Appointment.findById(req.params.id);
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+
+    if (!canAccessAppointment(req.user, appointment)) {
+      return res.status(403).json({ message: 'You do not have access to this appointment' });
+    }
+
+    req.appointment = appointment;
+    next();
+  } catch (error) {
+ console.error(' Error loading appointment:', error);
+    res.status(500).json({ message: 'Failed to load appointment' });
+  }
+};
+
+module.exports = {
+  canAccessAppointment,
+  appointmentScope,
+  loadAppointment
+};
@@ -17,6 +17,21 @@ const authenticateToken = (req, res, next) => {
   }
 };
 
+// Attach req.user when a valid token is sent, but let anonymous requests through
+const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (token) {
+    try {
+      req.user = verifyToken(token);
+    } catch (error) {
+      // Treat an invalid token like no token
+    }
+  }
+  next();
+};
+
 const requireRole = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -43,6 +58,7 @@ const requireAdmin = requireRole(['admin']);
 
 module.exports = {
   authenticateToken,
+  optionalAuth,
   requireRole,
   requireCustomer,
   requireOwner,
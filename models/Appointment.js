@@ -4,14 +4,29 @@ const mongoose = require("mongoose");
 const appointmentSchema = new mongoose.Schema({
   salonId: { type: mongoose.Schema.Types.ObjectId, ref: "Salon", required: true },
   professionalId: { type: mongoose.Schema.Types.ObjectId, ref: "Professional" },
+  autoAssigned: { type: Boolean, default: false }, // true when booked as "any professional"
+  isWalkIn: { type: Boolean, default: false },     // created from the walk-in queue
   services: [
     {
+      serviceId: { type: mongoose.Schema.Types.ObjectId, ref: "Service" },
       name: String,
-      price: Number,
-      duration: String,
+      price: Number,          // including variant and add-ons
+      durationMinutes: Number, // including variant and add-ons
+      duration: String,       // text form of durationMinutes, for older clients
+      variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      variantName: String,
+      addOns: [
+        {
+          addOnId: mongoose.Schema.Types.ObjectId,
+          name: String,
+          price: Number,
+          durationMinutes: Number,
+        },
+      ],
     },
   ],
   user: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // set when booked by a signed-in customer
     name: String,
     email: String,
     phone: String,
@@ -20,17 +35,80 @@ const appointmentSchema = new mongoose.Schema({
   date: String, // YYYY-MM-DD
   startTime: String, // HH:mm
   endTime: String,   // HH:mm
+  // pending | confirmed | checked-in | in-progress | completed | cancelled | no-show
+  // Change it through services/appointmentStatusService so transitions are validated and recorded
   status: { type: String, default: "pending" },
+  statusHistory: [
+    {
+      from: String,
+      to: String,
+      changedBy: {
+        userId: String,
+        email: String,
+        role: String,   // customer | owner | admin | system | anonymous
+        source: String, // for system changes, e.g. "payhere-webhook"
+      },
+      reason: String,
+      changedAt: { type: Date, default: Date.now },
+    },
+  ],
 
-  // Add group booking fields
+  // Group (family) bookings: one appointment per member, sharing bookingGroupId.
+  // `user` is whoever booked; memberInfo is the person being served.
+  // Build and cancel groups through services/groupBookingService
   isGroupBooking: { type: Boolean, default: false },
   bookingGroupId: String,
   memberInfo: {
+    memberId: { type: mongoose.Schema.Types.ObjectId, default: null }, // saved User.familyMembers entry, if any
     name: String,
-    category: String
+    category: String, // Lady | Gentleman | Teenager | Kid | ... (relationship for family bookings)
+    dateOfBirth: Date,
+    preferences: String
+  },
+  notes: { type: String, default: "" },               // per-member notes for the professional
+  specialInstructions: { type: String, default: "" }, // for the whole booking
+  // Reschedules: in-place moves keep their previous times in rescheduleHistory;
+  // createNew moves link the new appointment and the (cancelled) original both ways
+  isRescheduled: { type: Boolean, default: false },
+  rescheduleCount: { type: Number, default: 0 },
+  rescheduleHistory: [
+    {
+      professionalId: { type: mongoose.Schema.Types.ObjectId, ref: "Professional" },
+      date: String,
+      startTime: String,
+      endTime: String,
+      rescheduledAt: { type: Date, default: Date.now },
+      rescheduledBy: String, // role of whoever moved it
+    },
+  ],
+  originalAppointmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Appointment", default: null },
+  rescheduledToId: { type: mongoose.Schema.Types.ObjectId, ref: "Appointment", default: null },
+  // Recurring bookings: the series this appointment belongs to and its position in it
+  seriesId: { type: mongoose.Schema.Types.ObjectId, ref: "AppointmentSeries", default: null },
+  seriesOccurrence: Number,
+  // Fee/refund worked out by the salon's cancellation policy on cancel or no-show
+  cancellationCharge: {
+    type: { type: String }, // cancellation | no-show
+    hoursNotice: Number,
+    isLate: Boolean,
+    appliedBy: String,      // role of whoever cancelled
+    total: Number,
+    fee: Number,
+    refundableAmount: Number,
+    policy: mongoose.Schema.Types.Mixed, // snapshot of the policy that was applied
+    evaluatedAt: Date,
+  },
+  // Promotion/loyalty discount from the booking's quote (services/pricingService),
+  // this appointment's share of it; what it costs is the services' prices minus amount
+  discount: {
+    promotionId: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion", default: null },
+    promoCode: { type: String, default: null },
+    loyaltyPoints: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
   },
   // Payment tracking
-  paymentStatus: { type: String, enum: ['unpaid', 'paid', 'refunded'], default: 'unpaid' },
+  // partially_refunded / refunded follow the succeeded refunds (services/refundService)
+  paymentStatus: { type: String, enum: ['unpaid', 'paid', 'partially_refunded', 'refunded'], default: 'unpaid' },
   paymentReference: { type: String, default: null },  // PayHere payment_id
 }, {
   timestamps: true // Automatically adds createdAt and updatedAt fields
@@ -40,6 +118,9 @@ const appointmentSchema = new mongoose.Schema({
 appointmentSchema.index({ salonId: 1, date: 1 });
 appointmentSchema.index({ professionalId: 1 });
 appointmentSchema.index({ status: 1 });
+appointmentSchema.index({ seriesId: 1, date: 1 });
+appointmentSchema.index({ bookingGroupId: 1 });
+appointmentSchema.index({ "memberInfo.memberId": 1, date: -1 });
 
 module.exports = mongoose.model("Appointment", appointmentSchema);
 
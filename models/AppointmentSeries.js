@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+/**
+ * AppointmentSeries Schema
+ *
+ * A recurring booking ("same haircut every four weeks"). Each occurrence is a
+ * normal Appointment with seriesId set; the series keeps the rule and the
+ * template used to create them.
+ */
+const appointmentSeriesSchema = new mongoose.Schema({
+  salonId: { type: mongoose.Schema.Types.ObjectId, ref: "Salon", required: true },
+  professionalId: { type: mongoose.Schema.Types.ObjectId, ref: "Professional", required: true },
+  services: [
+    {
+      serviceId: { type: mongoose.Schema.Types.ObjectId, ref: "Service" },
+      name: String,
+      price: Number,
+      durationMinutes: Number,
+      duration: String,
+      variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+      variantName: String,
+      addOns: [{ addOnId: mongoose.Schema.Types.ObjectId, name: String, price: Number, durationMinutes: Number }],
+    },
+  ],
+  user: {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    name: String,
+    email: String,
+    phone: String,
+  },
+
+  // Recurrence rule
+  //   weekly:  every `interval` weeks on the weekday of startDate
+  //   monthly: every `interval` months on the `weekOfMonth`-th `weekday` (-1 = last)
+  rule: {
+    frequency: { type: String, enum: ["weekly", "monthly"], required: true },
+    interval: { type: Number, default: 1, min: 1 },
+    weekday: { type: Number, min: 0, max: 6 },       // 0 = Sunday (monthly only)
+    weekOfMonth: { type: Number, min: -1, max: 5 },  // monthly only
+  },
+  startDate: { type: String, required: true }, // YYYY-MM-DD
+  startTime: { type: String, required: true }, // HH:mm
+  endDate: String,                             // YYYY-MM-DD, or use occurrenceCount
+  occurrenceCount: Number,
+
+  status: { type: String, enum: ["active", "cancelled"], default: "active" },
+
+  // Occurrences that could not be booked when the series was created or edited
+  skippedOccurrences: [
+    {
+      date: String,
+      startTime: String,
+      conflicts: [mongoose.Schema.Types.Mixed],
+    },
+  ],
+}, {
+  timestamps: true
+});
+
+appointmentSeriesSchema.index({ salonId: 1 });
+appointmentSeriesSchema.index({ "user.email": 1 });
+
+module.exports = mongoose.model("AppointmentSeries", appointmentSeriesSchema);
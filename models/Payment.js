@@ -9,7 +9,7 @@ const paymentSchema = new mongoose.Schema({
   },
   provider: {
     type: String,
-    enum: ['stripe', 'payhere'],
+    enum: ['stripe', 'payhere', 'fake'],
     required: true,
     default: 'payhere'
   },
@@ -37,6 +37,33 @@ const paymentSchema = new mongoose.Schema({
   metadata: {
     type: Object,
     default: {}
+  },
+  // Refunded so far (services/refundService), refunds still in progress included;
+  // never more than amount
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // The order's slots are held until then (slotReservationService); unpaid by
+  // that time, they are released for other customers
+  holdExpiresAt: Date,
+  // Turning the paid order into appointments (services/paymentFulfilmentService).
+  // Only the request holding 'processing' may fulfil; 'fulfilled' is final.
+  // 'needs_attention': paid, but the slots were taken; the salon has to rebook or refund it
+  fulfilment: {
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'fulfilled', 'failed', 'needs_attention'],
+      default: 'pending'
+    },
+    appointmentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Appointment' }],
+    attempts: { type: Number, default: 0 },
+    lockedAt: Date,        // when the current claim was taken
+    via: String,           // notify | redirect_fallback
+    fulfilledAt: Date,
+    lastError: String,     // why the last attempt failed
+    flaggedAt: Date,       // when the salon was told about a paid order it could not book
+    conflicts: mongoose.Schema.Types.Mixed // slots that were taken, for slot conflicts
   }
 }, {
   timestamps: true
@@ -45,5 +72,7 @@ const paymentSchema = new mongoose.Schema({
 // Index for faster queries
 paymentSchema.index({ appointmentId: 1 });
 paymentSchema.index({ status: 1 });
+paymentSchema.index({ 'fulfilment.status': 1 });
+paymentSchema.index({ status: 1, holdExpiresAt: 1 });
 
 module.exports = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
@@ -1,4 +1,24 @@
 const mongoose = require("mongoose");
+const { WEEKDAYS } = require("../utils/timeUtils");
+
+const timeRangeSchema = new mongoose.Schema({
+  startTime: { type: String, required: true }, // HH:mm
+  endTime: { type: String, required: true },   // HH:mm
+}, { _id: false });
+
+// Shifts and breaks for one day of the week
+const workDaySchema = new mongoose.Schema({
+  day: { type: String, enum: WEEKDAYS, required: true },
+  shifts: { type: [timeRangeSchema], default: [] },
+  breaks: { type: [timeRangeSchema], default: [] },
+}, { _id: false });
+
+// This professional's own price and/or duration for one of their services
+const serviceOverrideSchema = new mongoose.Schema({
+  serviceId: { type: mongoose.Schema.Types.ObjectId, ref: "Service", required: true },
+  price: { type: Number, min: 0 },           // omitted = Service.price
+  durationMinutes: { type: Number, min: 5 }, // omitted = Service.durationMinutes
+}, { _id: false });
 
 /**
  * Professional Schema
@@ -26,7 +46,15 @@ const professionalSchema = new mongoose.Schema({
     ref: "Service"
   }],
   
+  // Per-service price/duration for this professional (senior stylists, juniors
+  // who take longer). Only services listed in 'services' may have an override.
+  serviceOverrides: { type: [serviceOverrideSchema], default: [] },
+
   serviceAvailability: { type: String, required: true },
+
+  // Weekly shifts/breaks used for slot generation.
+  // Empty = works whenever the salon is open; a weekday missing from the list = day off.
+  schedule: { type: [workDaySchema], default: [] },
   salonId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Salon",
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+/**
+ * Refund Schema
+ *
+ * One refund of a Payment, in full or in part, as sent to the payment
+ * provider (services/refundService). A payment can have several; together
+ * they never exceed what was paid. Failed refunds stay in the ledger.
+ */
+const refundSchema = new mongoose.Schema({
+  paymentId: { type: mongoose.Schema.Types.ObjectId, ref: "Payment", required: true },
+  orderId: String, // Payment.appointmentId, for lookups by order
+  provider: { type: String, enum: ["stripe", "payhere", "fake"], required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  currency: String,
+  reason: { type: String, default: "" },
+
+  // pending: sent, provider still processing | succeeded | failed
+  status: { type: String, enum: ["pending", "succeeded", "failed"], default: "pending" },
+
+  // The appointments this refund pays back and how much of it each one gets
+  allocations: [
+    {
+      appointmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Appointment" },
+      amount: Number,
+      _id: false,
+    },
+  ],
+
+  requestedBy: {
+    role: String, // owner | admin
+    id: String,
+  },
+  providerRefundId: String,
+  providerResponse: mongoose.Schema.Types.Mixed,
+  failureReason: String,
+  processedAt: Date, // when the provider confirmed or rejected it
+}, {
+  timestamps: true,
+});
+
+refundSchema.index({ paymentId: 1, createdAt: -1 });
+refundSchema.index({ "allocations.appointmentId": 1 });
+refundSchema.index({ status: 1 });
+
+module.exports = mongoose.model("Refund", refundSchema);
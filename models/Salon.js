@@ -1,4 +1,19 @@
 const mongoose = require("mongoose");
+const { WEEKDAYS } = require("../utils/timeUtils");
+
+// Late-cancellation / no-show fee: a percentage of the booking total or a fixed amount
+const feeSchema = new mongoose.Schema({
+  type: { type: String, enum: ['percentage', 'fixed'], default: 'percentage' },
+  amount: { type: Number, default: 0, min: 0 },
+}, { _id: false });
+
+// Opening hours for one day of the week (times are HH:mm)
+const openingHoursSchema = new mongoose.Schema({
+  day: { type: String, enum: WEEKDAYS, required: true },
+  isOpen: { type: Boolean, default: true },
+  openTime: { type: String, default: "09:00" },
+  closeTime: { type: String, default: "18:00" },
+}, { _id: false });
 
 const salonSchema = new mongoose.Schema({
   name: String,
@@ -6,7 +21,24 @@ const salonSchema = new mongoose.Schema({
   password: { type: String, required: true },
   phone: String,
   location: String,
-  workingHours: String,
+  workingHours: String, // Free-text label shown on the profile
+  // Structured weekly hours used for slot generation; empty = 09:00-18:00 every day
+  weeklySchedule: { type: [openingHoursSchema], default: [] },
+  // Cancellation policy (see services/cancellationPolicyService.js for defaults)
+  cancellationPolicy: {
+    freeCancellationHours: { type: Number, min: 0 },
+    lateCancellationFee: feeSchema,
+    noShowFee: feeSchema,
+  },
+  // Reschedule policy (see services/rescheduleService.js for defaults)
+  reschedulePolicy: {
+    maxReschedules: { type: Number, min: 0 },  // per appointment
+    minNoticeHours: { type: Number, min: 0 },  // before the current start time
+  },
+  // How "any professional" bookings are assigned; null = ASSIGNMENT_STRATEGY env / least-booked
+  assignmentStrategy: { type: String, enum: ['least-booked', 'round-robin', null], default: null },
+  // Who takes payments for this salon's checkouts; null = PAYMENT_PROVIDER env / payhere
+  paymentProvider: { type: String, enum: ['payhere', 'stripe', 'fake', null], default: null },
   services: [String],
   salonType: String,
   image: String,
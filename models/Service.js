@@ -1,4 +1,19 @@
 const mongoose = require("mongoose");
+const { durationToMinutes, formatDuration } = require("../utils/timeUtils");
+
+// A priced option of a service, e.g. "Long hair"; replaces the base price and duration
+const variantSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  price: { type: Number, required: true, min: 0 },
+  durationMinutes: { type: Number, required: true, min: 5 },
+});
+
+// An extra booked on top of a service, e.g. "Deep conditioning" (+15 min)
+const addOnSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  price: { type: Number, default: 0, min: 0 },
+  durationMinutes: { type: Number, default: 0, min: 0 },
+});
 
 const serviceSchema = new mongoose.Schema({
   salonId: {
@@ -7,8 +22,13 @@ const serviceSchema = new mongoose.Schema({
     required: true,
   },
   name: { type: String, required: true },
+  category: { type: String, trim: true, default: "General" },
+  description: { type: String, trim: true, default: "" },
   price: { type: Number, required: true },
-  duration: { type: String, required: true },
+  durationMinutes: { type: Number, min: 5 },
+  duration: { type: String }, // "1 hour 15 minutes", kept in step with durationMinutes for older clients
+  variants: [variantSchema],
+  addOns: [addOnSchema],
   image: { type: String },
   gender: {
     type: String,
@@ -17,4 +37,20 @@ const serviceSchema = new mongoose.Schema({
   },
 });
 
+// Services created before durationMinutes only have the text duration
+serviceSchema.pre("validate", function (next) {
+  const durationChanged = this.isModified("duration") && !this.isModified("durationMinutes");
+  if (this.duration && (!this.durationMinutes || durationChanged)) {
+    this.durationMinutes = durationToMinutes(this.duration);
+  }
+  if (!this.durationMinutes) {
+    this.invalidate("durationMinutes", "durationMinutes is required");
+  } else {
+    this.duration = formatDuration(this.durationMinutes);
+  }
+  next();
+});
+
+serviceSchema.index({ salonId: 1, category: 1 });
+
 module.exports = mongoose.model("Service", serviceSchema);
@@ -27,6 +27,16 @@ const timeSlotSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Set while the slot is held for a checkout (isBooked is true meanwhile);
+  // the hold is released, or becomes a booking, by slotReservationService
+  heldBy: String, // order id
+  heldUntil: Date,
 });
 
+// One slot per professional per start time; lets slot generation upsert safely
+timeSlotSchema.index({ professionalId: 1, date: 1, startTime: 1 }, { unique: true });
+timeSlotSchema.index({ date: 1, isBooked: 1 });
+timeSlotSchema.index({ heldBy: 1 }, { sparse: true });
+timeSlotSchema.index({ heldUntil: 1 }, { sparse: true });
+
 module.exports = mongoose.model("TimeSlot", timeSlotSchema);
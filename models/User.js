@@ -6,6 +6,18 @@ const addressSchema = new mongoose.Schema({
   text: String,
 });
 
+// People the customer books for (kids, partner, parents); referenced by group bookings
+const familyMemberSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  relationship: { type: String, trim: true },  // e.g. child, spouse, parent
+  ageCategory: String,                         // same values as the user's ageCategory
+  dateOfBirth: Date,
+  gender: String,
+  preferences: { type: String, trim: true, default: '' }, // shown to the professional
+}, {
+  timestamps: true
+});
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -44,6 +56,7 @@ const userSchema = new mongoose.Schema({
   gender: String,
   ageCategory: String, // Age category for booking: 'Gentlemen', 'Lady', 'Teenager/boy', 'Teenager/girl', 'Kid/boy', 'Kid/girl'
   address: [addressSchema],
+  familyMembers: [familyMemberSchema],
   favorites: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Salon'
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+/**
+ * WaitlistEntry Schema
+ *
+ * A customer waiting for an opening at a salon. When slots are freed the
+ * entry may receive a time-limited offer; the first customer to accept an
+ * offer gets the booking.
+ */
+const waitlistEntrySchema = new mongoose.Schema({
+  salonId: { type: mongoose.Schema.Types.ObjectId, ref: "Salon", required: true },
+  professionalId: { type: mongoose.Schema.Types.ObjectId, ref: "Professional", default: null }, // null = any professional
+  services: [
+    {
+      serviceId: { type: mongoose.Schema.Types.ObjectId, ref: "Service" },
+      name: String,
+      price: Number,
+      durationMinutes: Number,
+      duration: String,
+    },
+  ],
+  user: {
+    name: String,
+    email: String,
+    phone: String,
+  },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // the customer account that joined, if any
+
+  // Dates the customer can come in (YYYY-MM-DD, inclusive)
+  dateFrom: { type: String, required: true },
+  dateTo: { type: String, required: true },
+  // Preferred time window (HH:mm); the whole appointment must fit inside it
+  preferredStartTime: { type: String, default: "00:00" },
+  preferredEndTime: { type: String, default: "23:59" },
+
+  // waiting | offered | booked | expired | cancelled
+  status: { type: String, enum: ["waiting", "offered", "booked", "expired", "cancelled"], default: "waiting" },
+
+  // The open offer, while status is "offered"
+  offer: {
+    token: String,
+    professionalId: { type: mongoose.Schema.Types.ObjectId, ref: "Professional" },
+    date: String,
+    startTime: String,
+    endTime: String,
+    sentAt: Date,
+    expiresAt: Date,
+  },
+  // Offers declined or left to expire ("professionalId|date|startTime"), never offered again
+  passedOffers: [String],
+
+  appointmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Appointment", default: null },
+}, {
+  timestamps: true
+});
+
+waitlistEntrySchema.index({ salonId: 1, status: 1, dateFrom: 1, dateTo: 1 });
+waitlistEntrySchema.index({ status: 1, "offer.expiresAt": 1 });
+waitlistEntrySchema.index({ "user.email": 1 });
+
+module.exports = mongoose.model("WaitlistEntry", waitlistEntrySchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+/**
+ * WalkInEntry Schema
+ *
+ * A customer waiting at reception without a booking. Entries are served in
+ * arrival order; the wait estimate is refreshed from the professionals' free
+ * TimeSlots each time the queue is recalculated.
+ */
+const walkInEntrySchema = new mongoose.Schema({
+  salonId: { type: mongoose.Schema.Types.ObjectId, ref: "Salon", required: true },
+  date: { type: String, required: true }, // YYYY-MM-DD, queues are per day
+  professionalId: { type: mongoose.Schema.Types.ObjectId, ref: "Professional", default: null }, // null = any professional
+  services: [
+    {
+      serviceId: { type: mongoose.Schema.Types.ObjectId, ref: "Service" },
+      name: String,
+      price: Number,
+      durationMinutes: Number,
+      duration: String,
+    },
+  ],
+  customer: {
+    name: String,
+    phone: String,
+    email: String,
+  },
+
+  // waiting | notified (told their turn is near) | converted (now an Appointment) | left
+  status: { type: String, enum: ["waiting", "notified", "converted", "left"], default: "waiting" },
+
+  // Latest estimate, refreshed whenever the queue is recalculated
+  estimate: {
+    waitMinutes: Number,   // null when nobody can fit them in today
+    startTime: String,     // HH:mm
+    professionalId: { type: mongoose.Schema.Types.ObjectId, ref: "Professional" },
+    calculatedAt: Date,
+  },
+  notifiedAt: Date,
+  appointmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Appointment", default: null },
+}, {
+  timestamps: true
+});
+
+walkInEntrySchema.index({ salonId: 1, date: 1, status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("WalkInEntry", walkInEntrySchema);
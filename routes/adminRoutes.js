@@ -10,6 +10,8 @@ const bcrypt = require('bcryptjs');
 const { generateToken } = require('../utils/jwtUtils');
 const { authenticateToken, requireAdmin } = require('../middleware/authMiddleware');
 const notificationService = require('../services/notificationService');
+const appointmentStatusService = require('../services/appointmentStatusService');
+const { StatusTransitionError } = require('../services/appointmentStatusService');
 
 // Admin Login with JWT tokens
 // Admin Login (Email/Password - No Firebase)
@@ -328,12 +330,15 @@ router.get('/appointments', authenticateToken, requireAdmin, async (req, res) =>
 // PATCH: Update appointment status (Protected - Admin only)
 router.patch('/appointments/:id/status', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { status } = req.body;
-    const updated = await Appointment.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    );
+    const { status, reason } = req.body;
+    if (!appointmentStatusService.normalize(status)) {
+      return res.status(400).json({ message: 'Invalid status' });
+    }
+
+    const updated = await appointmentStatusService.transition(req.params.id, status, {
+      actor: appointmentStatusService.actorFromRequest(req),
+      reason: reason || null
+    });
 
     if (!updated) {
       return res.status(404).json({ message: 'Appointment not found' });
@@ -341,6 +346,9 @@ router.patch('/appointments/:id/status', authenticateToken, requireAdmin, async
 
     res.json(updated);
   } catch (err) {
+    if (err instanceof StatusTransitionError) {
+      return res.status(409).json({ message: err.message, allowedTransitions: err.allowed });
+    }
     console.error('Error updating appointment status:', err);
     res.status(500).json({ message: 'Failed to update appointment status' });
   }
@@ -454,7 +462,7 @@ router.get('/profile', authenticateToken, requireAdmin, async (req, res) => {
 // Admin route to manually trigger email notifications
 router.post('/notifications/test', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { type } = req.body; // 'reminders', 'feedback', or 'both'
+    const { type } = req.body; // 'reminders', 'feedback', 'both' or 'slots'
     const cronJobManager = require('../utils/cronJobs');
     const results = {};
 
@@ -468,6 +476,11 @@ router.post('/notifications/test', authenticateToken, requireAdmin, async (req,
       results.feedback = await cronJobManager.triggerFeedbackRequests();
     }
 
+    if (type === 'slots') {
+      console.log(' Admin triggered time slot generation...');
+      results.slots = await cronJobManager.triggerSlotGeneration();
+    }
+
     res.json({
       message: 'Email notifications triggered successfully',
       results
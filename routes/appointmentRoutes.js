@@ -2,92 +2,40 @@ const express = require("express");
 const mongoose = require("mongoose");
 const router = express.Router();
 const Appointment = require("../models/Appointment");
-const TimeSlot = require("../models/TimeSlot");
-const Professional = require("../models/Professional");
 const Salon = require("../models/Salon");
+const Professional = require("../models/Professional");
 const dayjs = require("dayjs");
 const notificationService = require("../services/notificationService");
-
-// 🔧 FIXED: Handle undefined/empty duration strings
-const durationToMinutes = (durationStr) => {
-  if (!durationStr || typeof durationStr !== 'string') {
- console.warn("️ Invalid duration string:", durationStr);
-    return 30; // Default to 30 minutes
-  }
-
-  const parts = durationStr.split(" ");
-  let minutes = 0;
-  for (let i = 0; i < parts.length; i += 2) {
-    const val = parseInt(parts[i]);
-    const unit = parts[i + 1]?.toLowerCase() || ""; // 🔧 Added safe access
-    if (unit.includes("hour")) minutes += (isNaN(val) ? 0 : val) * 60;
-    else if (unit.includes("min")) minutes += isNaN(val) ? 0 : val;
-  }
-  return minutes || 30; // Default to 30 minutes if calculation fails
-};
-
-const computeEndTime = (startTime, duration) => {
-  const [h, m] = startTime.split(":").map(Number);
-  const totalStart = h * 60 + m;
-  const totalEnd = totalStart + duration;
-  const endH = String(Math.floor(totalEnd / 60)).padStart(2, "0");
-  const endM = String(totalEnd % 60).padStart(2, "0");
-  return `${endH}:${endM}`;
-};
-
-// 🔁 Auto-generate hourly time slots (9 AM - 6 PM) for all professionals for the next 7 days
-const generateWeeklyTimeSlots = async () => {
-  try {
-    const professionals = await Professional.find();
-
-    for (let i = 0; i < 7; i++) {
-      const date = dayjs().add(i, "day").format("YYYY-MM-DD");
-
-      for (const prof of professionals) {
-        let currentTime = dayjs(`${date}T09:00`);
-        const endTime = dayjs(`${date}T18:00`);
-
-        while (currentTime.isBefore(endTime)) {
-          const slotStart = currentTime.format("HH:mm");
-          const slotEnd = currentTime.add(5, "minute").format("HH:mm");
-
-          const exists = await TimeSlot.findOne({
-            professionalId: prof._id,
-            date,
-            startTime: slotStart,
-            endTime: slotEnd,
-          });
-
-          if (!exists) {
-            await TimeSlot.create({
-              salonId: prof.salonId,
-              professionalId: prof._id,
-              date,
-              startTime: slotStart,
-              endTime: slotEnd,
-              isBooked: false,
-            });
-          }
-
-          currentTime = currentTime.add(5, "minute");
-        }
-      }
-    }
- console.log(" Weekly time slots generated successfully");
-  } catch (error) {
- console.error(" Error generating weekly time slots:", error);
-  }
-};
-
-// Run on server start
-generateWeeklyTimeSlots();
-
-// ✅ GET appointments by salonId with optional filters
-router.get("/salon/:id", async (req, res) => {
+const slotReservationService = require("../services/slotReservationService");
+const appointmentStatusService = require("../services/appointmentStatusService");
+const cancellationPolicyService = require("../services/cancellationPolicyService");
+const waitlistService = require("../services/waitlistService");
+const rescheduleService = require("../services/rescheduleService");
+const groupBookingService = require("../services/groupBookingService");
+const familyMemberService = require("../services/familyMemberService");
+const pricingService = require("../services/pricingService");
+const appointmentSearchService = require("../services/appointmentSearchService");
+const { StatusTransitionError, STATUSES } = require("../services/appointmentStatusService");
+const { authenticateToken, optionalAuth, requireRole } = require("../middleware/authMiddleware");
+const { loadAppointment, appointmentScope } = require("../middleware/appointmentAccess");
+const { SlotConflictError } = require("../services/slotReservationService");
+const { ReschedulePolicyError, RescheduleError } = require("../services/rescheduleService");
+const { SearchValidationError } = require("../services/appointmentSearchService");
+const { FamilyMemberError } = require("../services/familyMemberService");
+const { CatalogError } = require("../services/serviceCatalogService");
+const { PricingError } = require("../services/pricingService");
+const { isValidTime } = require("../utils/timeUtils");
+
+// ✅ GET appointments by salonId with optional filters (salon owner or admin)
+router.get("/salon/:id", authenticateToken, requireRole(["owner", "admin"]), async (req, res) => {
   try {
     const salonId = req.params.id;
     const { date, professionalId } = req.query;
 
+    if (req.user.role === "owner" && salonId !== req.user.userId) {
+      return res.status(403).json({ message: "Can only view appointments of your own salon" });
+    }
+
  console.log(` Fetching appointments for salon: ${salonId}`);
  console.log(` Date filter: ${date || 'none'}`);
  console.log(`‍ Professional filter: ${professionalId || 'none'}`);
@@ -113,50 +61,98 @@ router.get("/salon/:id", async (req, res) => {
   }
 });
 
-// 🧪 Test route to check all appointments in database
-router.get("/test/all", async (req, res) => {
+// 🔍 GET search appointments with filters and cursor pagination (owners: own salon, admins: all)
+// Query: dateFrom, dateTo, status (comma list), paymentStatus, professionalId, service, customer,
+//        isGroupBooking, salonId (admin), sort (date | -date | createdAt | -createdAt), limit, cursor
+router.get("/search", authenticateToken, requireRole(["owner", "admin"]), async (req, res) => {
   try {
+    const result = await appointmentSearchService.search(req.query, appointmentScope(req.user));
+    res.json({ success: true, ...result });
+  } catch (err) {
+    if (err instanceof SearchValidationError) {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+
+ console.error(" Error searching appointments:", err);
+    res.status(500).json({ success: false, message: "Failed to search appointments" });
+  }
+});
+
+// 🧪 Test routes are only available outside production
+if (process.env.NODE_ENV !== "production") {
+  // 🧪 Test route to check all appointments in database
+  router.get("/test/all", async (req, res) => {
+    try {
  console.log(" Testing database connection...");
 
-    const allAppointments = await Appointment.find().limit(100).lean();
-    const totalCount = await Appointment.countDocuments();
+      const allAppointments = await Appointment.find().limit(100).lean();
+      const totalCount = await Appointment.countDocuments();
 
  console.log(` Total appointments in database: ${totalCount}`);
 
-    // Group by salonId for debugging
-    const bySalon = {};
-    allAppointments.forEach(appt => {
-      const salonId = appt.salonId?.toString() || 'unknown';
-      if (!bySalon[salonId]) bySalon[salonId] = 0;
-      bySalon[salonId]++;
-    });
+      // Group by salonId for debugging
+      const bySalon = {};
+      allAppointments.forEach(appt => {
+        const salonId = appt.salonId?.toString() || 'unknown';
+        if (!bySalon[salonId]) bySalon[salonId] = 0;
+        bySalon[salonId]++;
+      });
 
  console.log(' Appointments by salon:', bySalon);
 
-    res.json({
-      total: totalCount,
-      bySalon,
-      sample: allAppointments.slice(0, 3).map(a => ({
-        id: a._id,
-        salonId: a.salonId,
-        date: a.date,
-        status: a.status,
-        user: a.user?.name
-      }))
+      res.json({
+        total: totalCount,
+        bySalon,
+        sample: allAppointments.slice(0, 3).map(a => ({
+          id: a._id,
+          salonId: a.salonId,
+          date: a.date,
+          status: a.status,
+          user: a.user?.name
+        }))
+      });
+    } catch (err) {
+ console.error(" Test route error:", err);
+      res.status(500).json({ message: "Test failed", error: err.message });
+    }
+  });
+}
+
+// ✅ POST price a booking before making it: itemised quote with promotion and loyalty discounts
+// Body: { appointments, promoCode?, loyaltyPoints? } (appointments as for POST /)
+router.post("/quote", optionalAuth, async (req, res) => {
+  try {
+    const { appointments = [], promoCode, loyaltyPoints } = req.body;
+    const customerId = req.user?.role === "customer" ? req.user.userId : undefined;
+
+    const { quote } = await pricingService.buildQuote({
+      lines: await familyMemberService.applySavedMembers(customerId, appointments),
+      promoCode,
+      loyaltyPoints,
+      userId: customerId
     });
+
+    res.json({ success: true, data: quote });
   } catch (err) {
- console.error(" Test route error:", err);
-    res.status(500).json({ message: "Test failed", error: err.message });
+    if (err instanceof PricingError || err instanceof FamilyMemberError || err instanceof CatalogError) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+ console.error(" Error pricing appointments:", err);
+    res.status(500).json({ success: false, message: "Failed to price appointments", error: err.message });
   }
 });
 
 // ✅ POST create new appointments + mark slot isBooked: true
 // In your appointment POST route - Update to handle group bookings
-router.post("/", async (req, res) => {
+// Guests can book; bookings of signed-in customers are linked to their account
+router.post("/", optionalAuth, async (req, res) => {
   try {
  console.log(" Received appointment request:", JSON.stringify(req.body, null, 2));
 
-    const { phone, email, name, appointments = [], isGroupBooking = false, groupBookingId } = req.body;
+    const {
+      phone, email, name, appointments = [], isGroupBooking = false, groupBookingId,
+      promoCode, loyaltyPoints, totalAmount
+    } = req.body;
 
     if (!phone && !email) {
       return res.status(400).json({ success: false, message: "Phone or email is required" });
@@ -166,98 +162,41 @@ router.post("/", async (req, res) => {
       return res.status(400).json({ success: false, message: "No appointments provided" });
     }
 
-    // Generate a group booking ID for family appointments
-    const bookingGroupId = groupBookingId || `group-${Date.now()}`;
-
-    const savedAppointments = await Promise.all(
-      appointments.map(async (appt, index) => {
- console.log(" Processing appointment:", appt);
-
-        // Handle services - can be an array (new format) or individual fields (legacy format)
-        let servicesArray = [];
-        let totalDurationMins = 0;
-
-        if (appt.services && Array.isArray(appt.services) && appt.services.length > 0) {
-          // NEW FORMAT: services is an array of {name, price, duration}
- console.log(" Using new services array format");
-          servicesArray = appt.services.map(s => ({
-            name: s.name || '',
-            price: s.price || 0,
-            duration: s.duration || '30 minutes'
-          }));
-          // Calculate total duration from all services
-          totalDurationMins = servicesArray.reduce((sum, s) => sum + durationToMinutes(s.duration), 0);
-        } else if (appt.serviceName) {
-          // LEGACY FORMAT: individual serviceName, price, duration fields
- console.log(" Using legacy individual fields format");
-          const duration = appt.duration || "30 minutes";
-          servicesArray = [{
-            name: appt.serviceName,
-            price: appt.price || 0,
-            duration: duration
-          }];
-          totalDurationMins = durationToMinutes(duration);
-        } else {
-          // FALLBACK: No service data provided
- console.warn("️ No service data found in appointment, using defaults");
-          servicesArray = [{
-            name: 'Service',
-            price: 0,
-            duration: '30 minutes'
-          }];
-          totalDurationMins = 30;
-        }
-
- console.log(" Final services array:", JSON.stringify(servicesArray));
- console.log(`⏱️ Total Duration: ${totalDurationMins} minutes`);
-
-        const endTime = computeEndTime(appt.startTime, totalDurationMins);
- console.log(`⏰ Time: ${appt.startTime} -> ${endTime}`);
-
-        const newAppt = new Appointment({
-          salonId: appt.salonId,
-          professionalId: appt.professionalId || null,
-          services: servicesArray,
-          date: appt.date,
-          startTime: appt.startTime,
-          endTime,
-          user: {
-            name: appt.memberName || name || "Guest", // Use member name for group bookings
-            phone: phone || "",
-            email: email || "",
-            photoURL: "",
-          },
-          status: "pending",
-          // Add group booking information
-          isGroupBooking: isGroupBooking,
-          bookingGroupId: bookingGroupId,
-          memberInfo: isGroupBooking ? {
-            name: appt.memberName,
-            category: appt.memberCategory
-          } : null
-        });
+    const customerId = req.user?.role === "customer" ? req.user.userId : undefined;
+
+    // One appointment per member; group bookings succeed or fail together.
+    // Members saved on the account can be referenced by familyMemberId. Prices and
+    // durations come from the server-side quote (catalogue, the chosen professional's
+    // own values, promotion and loyalty discounts), never from the request; a
+    // totalAmount that differs from the quote is rejected
+    const bookingGroupId = groupBookingId || groupBookingService.newGroupId();
+    const { quote, lines } = await pricingService.buildQuote({
+      lines: await familyMemberService.applySavedMembers(customerId, appointments),
+      promoCode,
+      loyaltyPoints,
+      userId: customerId
+    });
+    pricingService.assertAmount(quote, totalAmount, { required: false });
+
+    const newAppointments = groupBookingService.buildAppointments(lines, {
+      customer: {
+        userId: customerId,
+        name,
+        phone,
+        email
+      },
+      bookingGroupId,
+      isGroupBooking,
+      specialInstructions: req.body.specialInstructions
+    });
 
-        const savedAppt = await newAppt.save();
- console.log(" Appointment saved:", savedAppt._id);
-
-        // Mark time slots as booked
-        if (appt.professionalId) {
-          const updateResult = await TimeSlot.updateMany(
-            {
-              professionalId: appt.professionalId,
-              date: appt.date,
-              startTime: { $gte: appt.startTime },
-              endTime: { $lte: endTime },
-              isBooked: false,
-            },
-            { isBooked: true }
-          );
- console.log(` Marked ${updateResult.modifiedCount} time slots as booked`);
-        }
+    pricingService.applyDiscount(newAppointments, quote);
 
-        return savedAppt;
-      })
-    );
+    // Every slot of every member must be free; redeemed points go in the same transaction
+    const savedAppointments = await groupBookingService.reserveGroup(newAppointments, {
+      keepPrices: true,
+      onReserve: session => pricingService.redeemLoyalty(quote, customerId, session)
+    });
 
  console.log(` ${savedAppointments.length} appointments created successfully`);
 
@@ -285,7 +224,7 @@ router.post("/", async (req, res) => {
 
           // Calculate service names and total amount from all services
           const serviceNames = appointment.services.map(s => s.name).filter(n => n).join(', ') || 'Service';
-          const totalAmount = appointment.services.reduce((sum, s) => sum + (s.price || 0), 0);
+          const totalAmount = cancellationPolicyService.getAppointmentTotal(appointment);
 
           const notificationData = {
             customerEmail: email,
@@ -348,10 +287,26 @@ router.post("/", async (req, res) => {
       success: true,
       message: "Appointments created successfully",
       data: savedAppointments,
-      bookingGroupId: bookingGroupId
+      bookingGroupId: bookingGroupId,
+      quote
     });
 
   } catch (err) {
+    if (err instanceof SlotConflictError) {
+ console.warn(" Slot conflict while booking:", err.conflicts);
+      return res.status(409).json({
+        success: false,
+        message: err.message,
+        conflicts: err.conflicts
+      });
+    }
+    if (err instanceof PricingError) {
+      return res.status(err.statusCode).json({ success: false, message: err.message, quote: err.quote });
+    }
+    if (err instanceof FamilyMemberError || err instanceof CatalogError) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
  console.error(" Error saving appointments:", err);
     res.status(500).json({
       success: false,
@@ -361,15 +316,21 @@ router.post("/", async (req, res) => {
   }
 });
 
-// ... rest of your routes remain the same
-router.get("/", async (req, res) => {
+// ✅ GET appointments the caller may see: customers get their own, owners their salon's.
+// ?email= / ?phone= narrow the list; admins must give one of them.
+router.get("/", authenticateToken, async (req, res) => {
   const { email, phone } = req.query;
   try {
-    const query = email
+    if (req.user.role === "admin" && !email && !phone) {
+      return res.status(400).json({ message: "email or phone filter is required" });
+    }
+
+    const filter = email
       ? { "user.email": email }
       : phone
         ? { "user.phone": phone }
         : {};
+    const query = { $and: [appointmentScope(req.user), filter] };
 
     const result = await Appointment.find(query)
       .sort({ createdAt: -1 })
@@ -382,40 +343,91 @@ router.get("/", async (req, res) => {
   }
 });
 
-router.delete("/:id", async (req, res) => {
+// ❌ DELETE cancel an appointment (cancellation policy applies) and remove it.
+// Paid appointments are kept as cancelled so the refund can be traced.
+router.delete("/:id", authenticateToken, loadAppointment, async (req, res) => {
   try {
-    const appointment = await Appointment.findById(req.params.id);
-    if (!appointment) return res.status(404).json({ message: "Appointment not found" });
+    const appointment = req.appointment;
 
-    await Appointment.findByIdAndDelete(req.params.id);
+    let charge = null;
 
-    await TimeSlot.updateMany(
-      {
-        professionalId: appointment.professionalId,
-        date: appointment.date,
-        startTime: { $gte: appointment.startTime },
-        endTime: { $lte: appointment.endTime },
-      },
-      { isBooked: false }
-    );
+    // Active bookings go through the cancellation policy, which frees their slots.
+    // Cancelled or finished ones gave their slots up already; those may be booked again by now.
+    if (appointmentStatusService.canTransition(appointment.status, "cancelled")) {
+      ({ charge } = await cancellationPolicyService.cancel(appointment, {
+        actor: appointmentStatusService.actorFromRequest(req),
+        reason: req.body?.reason || "Deleted by request"
+      }));
+
+      waitlistService.offerFreedSlots(appointment)
+        .catch(error => console.error(" Waitlist offers failed:", error));
+    }
+
+    if (["paid", "partially_refunded", "refunded"].includes(appointment.paymentStatus)) {
+      return res.json({
+        message: "Appointment cancelled and kept for refund processing",
+        deleted: false,
+        charge
+      });
+    }
 
-    res.json({ message: "Deleted successfully and slot updated" });
+    await Appointment.findByIdAndDelete(req.params.id);
+
+    res.json({ message: "Deleted successfully and slot updated", deleted: true, charge });
   } catch (err) {
  console.error(" Failed to delete appointment:", err);
     res.status(500).json({ message: "Failed to delete appointment" });
   }
 });
 
-router.patch("/:id/status", async (req, res) => {
+// 👪 GET who the appointment is for: a saved family member's preferences and past services at this salon
+router.get("/:id/member-profile", authenticateToken, loadAppointment, async (req, res) => {
+  try {
+    const profile = await familyMemberService.getProfileForAppointment(req.appointment);
+    res.json({ success: true, profile });
+  } catch (err) {
+ console.error(" Error fetching member profile:", err);
+    res.status(500).json({ message: "Failed to fetch member profile" });
+  }
+});
+
+// ✅ PATCH change appointment status (validated against the lifecycle, recorded in statusHistory)
+// Body: { status, reason? } - cancellationReason is still accepted as the reason
+// Customers can only cancel their own bookings; the salon and admins drive the rest of the lifecycle
+router.patch("/:id/status", authenticateToken, loadAppointment, async (req, res) => {
   try {
-    const { status } = req.body;
-    const updated = await Appointment.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true }
-    ).populate('salonId');
+    const status = appointmentStatusService.normalize(req.body.status);
+    if (!status) {
+      return res.status(400).json({ message: "Invalid status", allowedStatuses: STATUSES });
+    }
+
+    if (req.user.role === "customer" && status !== "cancelled") {
+      return res.status(403).json({ message: "Customers can only cancel their appointments" });
+    }
+
+    const appointment = req.appointment;
+
+    const actor = appointmentStatusService.actorFromRequest(req);
+    const update = {};
+
+    // Late cancellations and no-shows are charged according to the salon's policy
+    if (status === "cancelled" || status === "no-show") {
+      const salon = await Salon.findById(appointment.salonId).select("cancellationPolicy").lean();
+      update.cancellationCharge = cancellationPolicyService.evaluate(appointment, salon, {
+        type: status === "no-show" ? "no-show" : "cancellation",
+        actorRole: actor.role
+      });
+    }
 
-    if (!updated) return res.status(404).json({ message: "Appointment not found" });
+    const transitioned = await appointmentStatusService.transition(appointment, status, {
+      actor,
+      reason: req.body.reason || req.body.cancellationReason || null,
+      update
+    });
+
+    if (!transitioned) return res.status(404).json({ message: "Appointment not found" });
+
+    const updated = await transitioned.populate('salonId');
 
     // Common notification data
     const notificationData = {
@@ -455,7 +467,7 @@ router.patch("/:id/status", async (req, res) => {
     }
 
     // Send cancellation email when appointment is cancelled
-    if ((status === "cancelled" || status === "cancel") && updated.user?.email) {
+    if (status === "cancelled" && updated.user?.email) {
       try {
  console.log(' Sending cancellation notification for appointment:', updated._id);
         const cancellationData = {
@@ -471,125 +483,96 @@ router.patch("/:id/status", async (req, res) => {
     }
 
     if (status === "cancelled") {
-      await TimeSlot.updateMany(
-        {
-          professionalId: updated.professionalId,
-          date: updated.date,
-          startTime: { $gte: updated.startTime },
-          endTime: { $lte: updated.endTime },
-        },
-        { isBooked: false }
-      );
+      await slotReservationService.release(updated);
+      waitlistService.offerFreedSlots(updated)
+        .catch(error => console.error(" Waitlist offers failed:", error));
     }
 
-    res.json({ success: true, updated });
+    res.json({ success: true, updated, charge: update.cancellationCharge || null });
   } catch (err) {
+    if (err instanceof StatusTransitionError) {
+      return res.status(409).json({
+        message: err.message,
+        currentStatus: err.from,
+        allowedTransitions: err.allowed
+      });
+    }
+
  console.error(" Error updating status:", err);
     res.status(500).json({ message: "Failed to update status" });
   }
 });
 
-// In your appointments route - Update the reschedule endpoint
-// Fixed reschedule endpoint - preserves original status
-router.patch("/:id/reschedule", async (req, res) => {
+// 📜 GET status history of an appointment
+router.get("/:id/history", authenticateToken, loadAppointment, async (req, res) => {
+  try {
+    const appointment = req.appointment;
+
+    res.json({
+      success: true,
+      appointmentId: appointment._id,
+      status: appointment.status,
+      createdAt: appointment.createdAt,
+      history: appointment.statusHistory || []
+    });
+  } catch (err) {
+ console.error(" Error fetching status history:", err);
+    res.status(500).json({ message: "Failed to fetch status history" });
+  }
+});
+
+// 🔄 PATCH reschedule an appointment
+// Body: { date, startTime, professionalId?, createNew? } - endTime is worked out from the booked services.
+// A new professional must perform the booked services; their own durations and prices apply (not to paid bookings' prices).
+// The old slots are only given up if the new ones can be reserved; the salon's reschedule policy applies.
+router.patch("/:id/reschedule", authenticateToken, loadAppointment, async (req, res) => {
   try {
     const appointmentId = req.params.id;
-    const { date, startTime, endTime, professionalId, createNew = false } = req.body;
+    const { date, startTime, professionalId, createNew = false } = req.body;
 
  console.log(" Reschedule request received:", {
-      appointmentId, date, startTime, endTime, professionalId, createNew
+      appointmentId, date, startTime, professionalId, createNew
     });
 
-    if (!date || !startTime || !endTime) {
-      return res.status(400).json({ success: false, message: "date, startTime and endTime are required" });
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "") || !isValidTime(startTime)) {
+      return res.status(400).json({ success: false, message: "date (YYYY-MM-DD) and startTime (HH:mm) are required" });
     }
 
-    const oldAppointment = await Appointment.findById(appointmentId);
-    if (!oldAppointment) {
-      return res.status(404).json({ success: false, message: "Appointment not found" });
-    }
+    const oldAppointment = req.appointment;
 
  console.log(" Old appointment found:", oldAppointment._id, "Status:", oldAppointment.status);
 
-    // Free old time slots
-    if (oldAppointment.professionalId && oldAppointment.date && oldAppointment.startTime && oldAppointment.endTime) {
-      const freeResult = await TimeSlot.updateMany(
-        {
-          professionalId: oldAppointment.professionalId,
-          date: oldAppointment.date,
-          startTime: { $gte: oldAppointment.startTime },
-          endTime: { $lte: oldAppointment.endTime },
-        },
-        { isBooked: false }
-      );
- console.log(` Freed ${freeResult.modifiedCount} old time slots`);
-    }
-
-    let updatedAppointment;
-
-    if (createNew) {
-      // Create new appointment - preserve original status
-      const newAppointment = new Appointment({
-        salonId: oldAppointment.salonId,
-        professionalId: professionalId || oldAppointment.professionalId,
-        services: oldAppointment.services,
-        date: date,
-        startTime: startTime,
-        endTime: endTime,
-        user: oldAppointment.user,
-        status: oldAppointment.status, // ✅ Preserve original status
-        isRescheduled: true,
-        originalAppointmentId: appointmentId
+    if (!rescheduleService.canReschedule(oldAppointment)) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${oldAppointment.status} appointment cannot be rescheduled`
       });
+    }
 
-      updatedAppointment = await newAppointment.save();
- console.log(" New appointment created:", updatedAppointment._id, "Status:", updatedAppointment.status);
-
-      // Delete the old appointment
-      await Appointment.findByIdAndDelete(appointmentId);
- console.log("️ Old appointment deleted:", appointmentId);
-    } else {
-      // Update existing appointment - preserve status
-      const updateData = {
-        date: date,
-        startTime: startTime,
-        endTime: endTime,
-        isRescheduled: true
-      };
-
-      // Only update professionalId if provided
-      if (professionalId) {
-        updateData.professionalId = professionalId;
+    if (professionalId) {
+      const professional = await Professional.findOne({ _id: professionalId, salonId: oldAppointment.salonId }).lean();
+      if (!professional) {
+        return res.status(400).json({ success: false, message: "Professional not found in this salon" });
       }
-
-      // ✅ Status is NOT updated - it remains the same
-      updatedAppointment = await Appointment.findByIdAndUpdate(
-        appointmentId,
-        updateData,
-        { new: true }
-      );
- console.log(" Existing appointment updated:", updatedAppointment._id, "Status:", updatedAppointment.status);
     }
 
-    // Mark new slots as booked
-    const profId = professionalId || updatedAppointment.professionalId;
-    if (profId && date && startTime && endTime) {
-      const bookResult = await TimeSlot.updateMany(
-        {
-          professionalId: profId,
-          date: date,
-          startTime: { $gte: startTime },
-          endTime: { $lte: endTime },
-          isBooked: false,
-        },
-        { isBooked: true }
-      );
- console.log(` Booked ${bookResult.modifiedCount} new time slots`);
-    }
+    const actor = appointmentStatusService.actorFromRequest(req);
+    const salon = await Salon.findById(oldAppointment.salonId);
+    rescheduleService.checkPolicy(oldAppointment, salon, { actorRole: actor.role });
+
+    const { appointment: updatedAppointment, original } = await rescheduleService.reschedule(
+      oldAppointment,
+      { date, startTime, professionalId },
+      { createNew, actor }
+    );
+ console.log(" Appointment rescheduled:", updatedAppointment._id, "Status:", updatedAppointment.status);
+
+    // The old time is free now - offer it to the waitlist
+    waitlistService.offerFreedSlots(oldAppointment)
+      .catch(error => console.error(" Waitlist offers failed:", error));
 
     // Send notifications for rescheduled appointment
     try {
-      const salon = await Salon.findById(updatedAppointment.salonId);
       if (salon) {
         const serviceNames = updatedAppointment.services.map(s => s.name).filter(n => n).join(', ') || 'Service';
         const totalAmount = updatedAppointment.services.reduce((sum, s) => sum + (s.price || 0), 0);
@@ -623,10 +606,29 @@ router.patch("/:id/reschedule", async (req, res) => {
     res.json({
       success: true,
       updated: updatedAppointment,
-      oldAppointmentDeleted: createNew,
+      originalAppointment: original,
+      oldAppointmentDeleted: false,
       message: "Appointment rescheduled successfully"
     });
   } catch (err) {
+    if (err instanceof SlotConflictError) {
+      return res.status(409).json({
+        success: false,
+        message: err.message,
+        conflicts: err.conflicts
+      });
+    }
+    if (err instanceof ReschedulePolicyError) {
+      return res.status(err.statusCode).json({
+        success: false,
+        message: err.message,
+        policy: err.policy
+      });
+    }
+    if (err instanceof RescheduleError || err instanceof CatalogError) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
  console.error(" Error rescheduling appointment:", err);
     res.status(500).json({
       success: false,
@@ -636,43 +638,45 @@ router.patch("/:id/reschedule", async (req, res) => {
   }
 });
 
-// 📧 Test notification endpoint
-router.post("/test-notification", async (req, res) => {
-  try {
+if (process.env.NODE_ENV !== "production") {
+  // 📧 Test notification endpoint
+  router.post("/test-notification", async (req, res) => {
+    try {
  console.log(' Testing notification service...');
 
-    const testData = {
-      customerEmail: 'test@example.com',
-      customerPhone: '+1234567890',
-      customerName: 'Test Customer',
-      salonName: 'Test Salon',
-      serviceName: 'Test Service',
-      date: 'December 25, 2024',
-      time: '10:00 AM',
-      totalAmount: 50,
-      appointmentId: 'TEST123'
-    };
+      const testData = {
+        customerEmail: 'test@example.com',
+        customerPhone: '+1234567890',
+        customerName: 'Test Customer',
+        salonName: 'Test Salon',
+        serviceName: 'Test Service',
+        date: 'December 25, 2024',
+        time: '10:00 AM',
+        totalAmount: 50,
+        appointmentId: 'TEST123'
+      };
 
-    const result = await notificationService.sendAppointmentConfirmation(testData);
+      const result = await notificationService.sendAppointmentConfirmation(testData);
  console.log(' Test notification result:', result);
 
-    res.json({
-      success: true,
-      message: 'Test notification sent successfully',
-      result: result
-    });
-  } catch (error) {
+      res.json({
+        success: true,
+        message: 'Test notification sent successfully',
+        result: result
+      });
+    } catch (error) {
  console.error(' Test notification failed:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Test notification failed',
-      error: error.message
-    });
-  }
-});
+      res.status(500).json({
+        success: false,
+        message: 'Test notification failed',
+        error: error.message
+      });
+    }
+  });
+}
 
 // 🔍 GET order details by orderId (bookingGroupId or _id)
-router.get("/order/:orderId", async (req, res) => {
+router.get("/order/:orderId", authenticateToken, async (req, res) => {
   try {
     const { orderId } = req.params;
  console.log(` Fetching order details for Order ID: ${orderId}`);
@@ -689,7 +693,7 @@ router.get("/order/:orderId", async (req, res) => {
       };
     }
 
-    const appointments = await Appointment.find(query)
+    const appointments = await Appointment.find({ $and: [appointmentScope(req.user), query] })
       .populate("salonId", "name location")
       .populate("professionalId", "name")
       .lean();
@@ -0,0 +1,238 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Appointment = require("../models/Appointment");
+const AppointmentSeries = require("../models/AppointmentSeries");
+const Professional = require("../models/Professional");
+const appointmentSeriesService = require("../services/appointmentSeriesService");
+const appointmentStatusService = require("../services/appointmentStatusService");
+const recurrenceService = require("../services/recurrenceService");
+const pricingService = require("../services/pricingService");
+const { CatalogError } = require("../services/serviceCatalogService");
+const { PricingError } = require("../services/pricingService");
+const { StatusTransitionError } = require("../services/appointmentStatusService");
+const { ReschedulePolicyError, RescheduleError } = require("../services/rescheduleService");
+const { authenticateToken } = require("../middleware/authMiddleware");
+const { canAccessAppointment } = require("../middleware/appointmentAccess");
+const { isValidTime, salonNow } = require("../utils/timeUtils");
+
+const SCOPES = ["single", "following"];
+
+// Load the series and one of its occurrences, or send 404/403
+const loadOccurrence = async (req, res) => {
+  const { id, appointmentId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(appointmentId)) {
+    res.status(404).json({ success: false, message: "Series or occurrence not found" });
+    return null;
+  }
+
+  const series = await AppointmentSeries.findById(id);
+  const appointment = series && await Appointment.findOne({ _id: appointmentId, seriesId: series._id });
+  if (!appointment) {
+    res.status(404).json({ success: false, message: "Series or occurrence not found" });
+    return null;
+  }
+  if (!canAccessAppointment(req.user, appointment)) {
+    res.status(403).json({ success: false, message: "You do not have access to this series" });
+    return null;
+  }
+  return { series, appointment };
+};
+
+// 🔁 POST create a recurring series and book every occurrence
+// Body: { salonId, professionalId, services: [{ serviceId, variantId?, addOnIds? } | { name }],
+//         name, email, phone,
+//         rule: { frequency: weekly|monthly, interval, weekday, weekOfMonth },
+//         startDate, startTime, endDate | occurrenceCount }
+router.post("/", authenticateToken, async (req, res) => {
+  try {
+    const { salonId, professionalId, services = [], name, phone, rule, startDate, startTime, endDate, occurrenceCount } = req.body;
+    const isCustomer = req.user.role === "customer";
+    // Customers always book for themselves
+    const email = isCustomer ? req.user.email : req.body.email;
+
+    if (req.user.role === "owner" && salonId !== req.user.userId) {
+      return res.status(403).json({ success: false, message: "Can only create series for your own salon" });
+    }
+    if (!phone && !email) {
+      return res.status(400).json({ success: false, message: "Phone or email is required" });
+    }
+    if (!salonId || !professionalId || !services.length) {
+      return res.status(400).json({ success: false, message: "salonId, professionalId and services are required" });
+    }
+
+    const ruleError = recurrenceService.validate({ rule, startDate, startTime, endDate, occurrenceCount });
+    if (ruleError) {
+      return res.status(400).json({ success: false, message: ruleError });
+    }
+
+    const professional = await Professional.findOne({ _id: professionalId, salonId }).lean();
+    if (!professional) {
+      return res.status(400).json({ success: false, message: "Professional not found in this salon" });
+    }
+
+    // Prices and durations come from the salon's catalogue and the professional's
+    // own values, never from the request; services sent by name are looked up
+    const { lines: [priced] } = await pricingService.buildQuote({
+      lines: [{ salonId, professionalId, services }]
+    });
+
+    const result = await appointmentSeriesService.createSeries({
+      salonId,
+      professionalId,
+      services: priced.services,
+      user: {
+        userId: isCustomer ? req.user.userId : undefined,
+        name: name || "Guest",
+        email: email || "",
+        phone: phone || ""
+      },
+      rule,
+      startDate,
+      startTime,
+      endDate,
+      occurrenceCount: occurrenceCount ? Number(occurrenceCount) : undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      message: result.conflicts.length
+        ? `${result.booked.length} occurrences booked, ${result.conflicts.length} could not be booked`
+        : "Series created successfully",
+      series: result.series,
+      booked: result.booked,
+      conflicts: result.conflicts
+    });
+  } catch (err) {
+    if (err instanceof CatalogError || err instanceof PricingError) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+ console.error(" Error creating appointment series:", err);
+    res.status(500).json({ success: false, message: "Failed to create series", error: err.message });
+  }
+});
+
+// ✅ GET a series with its occurrences
+router.get("/:id", authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: "Series not found" });
+    }
+
+    const series = await AppointmentSeries.findById(req.params.id).lean();
+    if (!series) return res.status(404).json({ success: false, message: "Series not found" });
+    if (!canAccessAppointment(req.user, series)) {
+      return res.status(403).json({ success: false, message: "You do not have access to this series" });
+    }
+
+    const appointments = await Appointment.find({ seriesId: series._id })
+      .sort({ date: 1, startTime: 1 })
+      .populate("professionalId", "name")
+      .lean();
+
+    res.json({ success: true, series, appointments });
+  } catch (err) {
+ console.error(" Error fetching appointment series:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch series" });
+  }
+});
+
+// ✏️ PATCH edit one occurrence, or it and all following ones
+// Body: { scope: single|following, date (single only), startTime, professionalId }
+// Moves work like PATCH /api/appointments/:id/reschedule: a new professional must perform the
+// services and brings their own durations and prices, and the salon's reschedule policy applies.
+router.patch("/:id/occurrences/:appointmentId", authenticateToken, async (req, res) => {
+  try {
+    const { scope = "single", date, startTime, professionalId } = req.body;
+
+    if (!SCOPES.includes(scope)) {
+      return res.status(400).json({ success: false, message: `scope must be one of: ${SCOPES.join(", ")}` });
+    }
+    if (!date && !startTime && !professionalId) {
+      return res.status(400).json({ success: false, message: "Nothing to change" });
+    }
+    if (scope === "following" && date) {
+      return res.status(400).json({ success: false, message: "date can only be changed for a single occurrence" });
+    }
+    if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || date < salonNow().format("YYYY-MM-DD"))) {
+      return res.status(400).json({ success: false, message: "date must be a YYYY-MM-DD date, not in the past" });
+    }
+    if (startTime && !isValidTime(startTime)) {
+      return res.status(400).json({ success: false, message: "startTime must be HH:mm" });
+    }
+
+    const loaded = await loadOccurrence(req, res);
+    if (!loaded) return;
+    const { series, appointment } = loaded;
+
+    if (!appointmentSeriesService.isEditable(appointment)) {
+      return res.status(409).json({ success: false, message: `A ${appointment.status} occurrence cannot be changed` });
+    }
+
+    if (professionalId) {
+      const professional = await Professional.findOne({ _id: professionalId, salonId: series.salonId }).lean();
+      if (!professional) {
+        return res.status(400).json({ success: false, message: "Professional not found in this salon" });
+      }
+    }
+
+    const { updated, conflicts } = await appointmentSeriesService.updateOccurrences(series, appointment, {
+      scope, date, startTime, professionalId, actor: appointmentStatusService.actorFromRequest(req)
+    });
+
+    // A single occurrence that could not move is a plain conflict
+    if (scope === "single" && conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "The selected time is not available",
+        conflicts: conflicts[0].conflicts
+      });
+    }
+
+    res.json({ success: true, updated, conflicts });
+  } catch (err) {
+    if (err instanceof ReschedulePolicyError) {
+      return res.status(err.statusCode).json({ success: false, message: err.message, policy: err.policy });
+    }
+    if (err instanceof RescheduleError || err instanceof CatalogError) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+ console.error(" Error updating series occurrence:", err);
+    res.status(500).json({ success: false, message: "Failed to update occurrence", error: err.message });
+  }
+});
+
+// ❌ DELETE cancel one occurrence, or it and all following ones (?scope=following)
+router.delete("/:id/occurrences/:appointmentId", authenticateToken, async (req, res) => {
+  try {
+    const scope = req.query.scope || "single";
+    if (!SCOPES.includes(scope)) {
+      return res.status(400).json({ success: false, message: `scope must be one of: ${SCOPES.join(", ")}` });
+    }
+
+    const loaded = await loadOccurrence(req, res);
+    if (!loaded) return;
+
+    const { cancelled } = await appointmentSeriesService.cancelOccurrences(loaded.series, loaded.appointment, {
+      scope,
+      actor: appointmentStatusService.actorFromRequest(req),
+      reason: req.body?.reason || (scope === "following" ? "Series cancelled" : "Occurrence cancelled")
+    });
+
+    res.json({ success: true, cancelled });
+  } catch (err) {
+    if (err instanceof StatusTransitionError) {
+      return res.status(409).json({
+        success: false,
+        message: err.message,
+        currentStatus: err.from,
+        allowedTransitions: err.allowed
+      });
+    }
+
+ console.error(" Error cancelling series occurrence:", err);
+    res.status(500).json({ success: false, message: "Failed to cancel occurrence", error: err.message });
+  }
+});
+
+module.exports = router;
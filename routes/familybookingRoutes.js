@@ -1,25 +1,71 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const dayjs = require('dayjs');
 const router = express.Router();
-const FamilyBooking = require('../models/familybooking');
-const TimeSlot = require('../models/TimeSlot');
 const Service = require('../models/Service');
 const Professional = require('../models/Professional');
+const groupBookingService = require('../services/groupBookingService');
+const availabilityService = require('../services/availabilityService');
+const { SCHEDULES } = require('../services/groupBookingService');
+const familyMemberService = require('../services/familyMemberService');
+const serviceCatalogService = require('../services/serviceCatalogService');
+const { FamilyMemberError } = require('../services/familyMemberService');
+const { CatalogError } = require('../services/serviceCatalogService');
+const appointmentStatusService = require('../services/appointmentStatusService');
+const waitlistService = require('../services/waitlistService');
+const { SlotConflictError } = require('../services/slotReservationService');
+const { authenticateToken, optionalAuth, requireRole } = require('../middleware/authMiddleware');
+const { appointmentScope } = require('../middleware/appointmentAccess');
+const { toTime24 } = require('../utils/timeUtils');
+
+// Family/group bookings are Appointment groups (one appointment per member,
+// sharing a bookingGroupId), the same as group bookings made through
+// POST /api/appointments and PayHere. :bookingId is the bookingGroupId; ids of
+// FamilyBooking documents from before the migration still resolve.
+const findGroup = async (bookingId, user) => {
+  const scope = appointmentScope(user);
+  let members = await groupBookingService.findGroup(bookingId, scope);
+  if (members.length === 0 && mongoose.Types.ObjectId.isValid(bookingId)) {
+    members = await groupBookingService.findGroup(`family-${bookingId}`, scope);
+  }
+  return members;
+};
+
+// Resolve each requested service within the salon, by id or by name (null when not found)
+const resolveServices = async (salonId, appointments) => {
+  return Promise.all(appointments.map((appointment) => {
+    const query = mongoose.Types.ObjectId.isValid(appointment.serviceId)
+      ? { _id: appointment.serviceId, salonId }
+      : { name: appointment.serviceName, salonId };
+    return Service.findOne(query).lean();
+  }));
+};
 
 // Create a family/group booking
-router.post('/', async (req, res) => {
+// Body: { customerInfo: { name, email, phone }, salonId, bookingDate, specialInstructions,
+//         schedule: "parallel" | "sequential", startTime?, professionalId?,
+//         appointments: [{ familyMemberId? | familyMember: { name, relationship, dateOfBirth, preferences },
+//                          serviceId | serviceName, variantId?, addOnIds?, professionalId?, startTime?, notes }] }
+// familyMemberId picks a member saved on the signed-in customer's account (/api/users/family-members)
+// parallel: each member starts at their own startTime (or the group's), with different professionals
+// sequential: members follow each other from startTime with one professional (professionalId,
+//             or the first member's, or whoever the salon assigns)
+router.post('/', optionalAuth, async (req, res) => {
   try {
     const {
       customerInfo,
       salonId,
       bookingDate,
       appointments,
-      specialInstructions
+      specialInstructions,
+      schedule = 'parallel'
     } = req.body;
 
  console.log('Creating family/group booking with data:', {
       customerInfo,
       salonId,
       bookingDate,
+      schedule,
       appointments: appointments?.length
     });
 
@@ -32,105 +78,105 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Calculate total price and validate services
-    let totalPrice = 0;
-    const servicePromises = appointments.map(async (appointment) => {
-      const service = await Service.findOne({ 
-        $or: [
-          { _id: appointment.serviceId },
-          { name: appointment.serviceName }
-        ]
-      });
-      if (!service) {
-        throw new Error(`Service not found for ID: ${appointment.serviceId || appointment.serviceName}`);
-      }
-      return service;
-    });
+    const date = dayjs(bookingDate);
+    if (!mongoose.Types.ObjectId.isValid(salonId) || !date.isValid()) {
+      return res.status(400).json({ success: false, message: 'A valid salonId and bookingDate are required' });
+    }
 
-    const services = await Promise.all(servicePromises);
-    services.forEach((service, index) => {
-      totalPrice += service.price;
-      // Add service details to appointment
-      appointments[index].serviceDetails = {
-        name: service.name,
-        price: service.price,
-        duration: service.duration
-      };
-    });
+    if (!SCHEDULES.includes(schedule)) {
+      return res.status(400).json({ success: false, message: `schedule must be one of: ${SCHEDULES.join(', ')}` });
+    }
 
-    // Check time slot availability for each appointment
-    const availabilityPromises = appointments.map(async (appointment) => {
-      if (appointment.startTime && appointment.professionalId) {
-        const existingBooking = await TimeSlot.findOne({
-          salonId,
-          professionalId: appointment.professionalId,
-          date: bookingDate,
-          startTime: appointment.startTime,
-          isBooked: true
-        });
-
-        if (existingBooking) {
-          throw new Error(`Time slot ${appointment.startTime} is already booked for professional ${appointment.professionalId}`);
-        }
-      }
-    });
+    const startTime = req.body.startTime ? toTime24(req.body.startTime) : null;
+    const memberStartTimes = appointments.map(appointment => (appointment.startTime ? toTime24(appointment.startTime) : null));
+    if ((req.body.startTime && !startTime)
+      || appointments.some((appointment, index) => appointment.startTime && !memberStartTimes[index])) {
+      return res.status(400).json({ success: false, message: 'startTime must be HH:mm' });
+    }
 
-    await Promise.all(availabilityPromises);
+    // "any" (or anything that is not a real professional id) lets the salon assign someone
+    const toProfessionalId = (id) => (mongoose.Types.ObjectId.isValid(id) ? id : null);
+    const sharedProfessionalId = schedule === 'sequential'
+      ? toProfessionalId(req.body.professionalId) || appointments.map(a => toProfessionalId(a.professionalId)).find(Boolean) || null
+      : null;
 
-    // Create the family booking
-    const familyBooking = new FamilyBooking({
-      customerInfo,
-      salonId,
-      bookingDate: new Date(bookingDate),
-      appointments: appointments.map(appointment => ({
-        familyMember: appointment.familyMember,
-        serviceId: appointment.serviceId,
-        professionalId: appointment.professionalId,
-        startTime: appointment.startTime,
-        endTime: appointment.endTime,
-        notes: appointment.notes,
-        serviceDetails: appointment.serviceDetails,
-        status: 'confirmed'
-      })),
-      totalPrice,
-      specialInstructions: specialInstructions || '',
-      status: 'confirmed'
-    });
+    const services = await resolveServices(salonId, appointments);
+    const missing = appointments.find((appointment, index) => !services[index]);
+    if (missing) {
+      return res.status(400).json({
+        success: false,
+        message: `Service not found for ID: ${missing.serviceId || missing.serviceName}`
+      });
+    }
 
-    await familyBooking.save();
-
-    // Create time slots for each appointment
-    const timeSlotPromises = appointments.map(async (appointment) => {
-      if (appointment.startTime && appointment.professionalId) {
-        const timeSlot = new TimeSlot({
-          salonId,
-          professionalId: appointment.professionalId,
-          date: bookingDate,
-          startTime: appointment.startTime,
-          endTime: appointment.endTime,
-          isBooked: true,
-          appointmentId: familyBooking._id,
-          serviceType: 'family-booking'
-        });
-        return timeSlot.save();
-      }
-    }).filter(Boolean);
+    // Saved members (familyMemberId) bring their own details and preferences;
+    // a chosen professional's own prices and durations replace the catalogue's
+    const memberLines = await familyMemberService.applySavedMembers(
+      req.user?.role === 'customer' ? req.user.userId : null,
+      appointments.map((appointment, index) => ({
+        salonId,
+        professionalId: sharedProfessionalId || toProfessionalId(appointment.professionalId),
+        date: date.format('YYYY-MM-DD'),
+        startTime: memberStartTimes[index],
+        services: [serviceCatalogService.selectOptions(services[index], {
+          variantId: appointment.variantId,
+          addOnIds: appointment.addOnIds
+        })],
+        memberName: appointment.familyMember?.name,
+        memberCategory: appointment.familyMember?.relationship,
+        dateOfBirth: appointment.familyMember?.dateOfBirth,
+        preferences: appointment.familyMember?.preferences,
+        familyMemberId: appointment.familyMemberId,
+        notes: appointment.notes
+      }))
+    );
+    const lines = groupBookingService.scheduleMembers(
+      await serviceCatalogService.priceBookingLines(memberLines),
+      { schedule, startTime }
+    );
 
-    await Promise.all(timeSlotPromises);
+    if (lines.some(line => !line.startTime)) {
+      return res.status(400).json({
+        success: false,
+        message: schedule === 'sequential'
+          ? 'A startTime is required for the first member'
+          : 'Every member needs a startTime (or give one for the whole group)'
+      });
+    }
+
+    const members = groupBookingService.buildAppointments(
+      lines,
+      {
+        customer: {
+          userId: req.user?.role === 'customer' ? req.user.userId : undefined,
+          name: customerInfo.name,
+          email: customerInfo.email,
+          phone: customerInfo.phone
+        },
+        isGroupBooking: true,
+        status: 'confirmed',
+        specialInstructions: specialInstructions || ''
+      }
+    );
 
-    // Populate the saved booking with service and professional details
-    const populatedBooking = await FamilyBooking.findById(familyBooking._id)
-      .populate('appointments.serviceId')
-      .populate('appointments.professionalId')
-      .populate('salonId');
+    // Each member's whole service time is reserved; the group succeeds or fails together
+    const saved = await groupBookingService.reserveGroup(members, { sameProfessional: schedule === 'sequential' });
+    const group = await groupBookingService.findGroup(saved[0].bookingGroupId);
 
     res.status(201).json({
       success: true,
       message: 'Family/Group booking created successfully',
-      data: populatedBooking
+      data: groupBookingService.toGroup(group)
     });
 
   } catch (error) {
+    if (error instanceof SlotConflictError) {
+      return res.status(409).json({ success: false, message: error.message, conflicts: error.conflicts });
+    }
+    if (error instanceof FamilyMemberError || error instanceof CatalogError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+
  console.error('Family booking creation error:', error);
     res.status(500).json({
       success: false,
@@ -140,37 +186,34 @@ router.post('/', async (req, res) => {
   }
 });
 
-// Get family bookings by customer email/phone
-router.get('/customer', async (req, res) => {
+// Get the caller's family bookings (customers: their own, owners: their salon's)
+// ?email= / ?phone= narrow the list; admins must give one of them
+router.get('/customer', authenticateToken, async (req, res) => {
   try {
-    const { email, phone, page = 1, limit = 10 } = req.query;
+    const { email, phone } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.max(parseInt(req.query.limit, 10) || 10, 1);
 
-    if (!email && !phone) {
+    if (req.user.role === 'admin' && !email && !phone) {
       return res.status(400).json({
         success: false,
         message: 'Email or phone number is required'
       });
     }
 
-    const query = {};
-    if (email) query['customerInfo.email'] = email;
-    if (phone) query['customerInfo.phone'] = phone;
-
-    const bookings = await FamilyBooking.find(query)
-      .populate('appointments.serviceId')
-      .populate('appointments.professionalId')
-      .populate('salonId')
-      .sort({ bookingDate: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const query = { ...appointmentScope(req.user) };
+    const narrow = [];
+    if (email) narrow.push({ 'user.email': email });
+    if (phone) narrow.push({ 'user.phone': phone });
+    const filter = narrow.length > 0 ? { $and: [query, ...narrow] } : query;
 
-    const total = await FamilyBooking.countDocuments(query);
+    const { groups, total } = await groupBookingService.listGroups(filter, { page, limit });
 
     res.json({
       success: true,
-      data: bookings,
+      data: groups,
       totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page),
+      currentPage: page,
       total
     });
 
@@ -184,53 +227,87 @@ router.get('/customer', async (req, res) => {
   }
 });
 
-// Get available time slots for family booking
+// Get start times at which a whole family/group can be served
+// Usage: GET /api/familybooking/available-slots?salonId=&date=YYYY-MM-DD&serviceIds=id1,id2,id3
+//        [&schedule=parallel|sequential][&professionalIds=id1,any,id3]
+//        [&variantIds=v1,,v3][&addOnIds=a1+a2,,a3]
+// serviceIds has one service per member (repeat an id for members having the same service);
+// professionalIds, variantIds and addOnIds (joined with "+") follow the same order, empty for none
 router.get('/available-slots', async (req, res) => {
   try {
-    const { salonId, date, duration = 60 } = req.query;
+    const { salonId, date, serviceIds = '', professionalIds = '', variantIds = '', addOnIds = '', schedule = 'parallel' } = req.query;
 
- console.log('Fetching available slots for:', { salonId, date, duration });
+ console.log('Fetching available slots for:', { salonId, date, serviceIds, schedule });
 
-    if (!salonId || !date) {
+    if (!salonId || !date || !serviceIds) {
       return res.status(400).json({
         success: false,
-        message: 'Salon ID and date are required'
+        message: 'Salon ID, date and serviceIds (one per member) are required'
       });
     }
 
-    // Get all professionals for the salon
-    const professionals = await Professional.find({ 
-      salonId, 
-      available: true 
-    });
+    const memberServiceIds = serviceIds.split(',').map(id => id.trim()).filter(Boolean);
+    const memberProfessionalIds = professionalIds.split(',').map(id => id.trim());
+    const pinned = memberProfessionalIds.filter(id => id && id !== 'any');
+    if (!mongoose.Types.ObjectId.isValid(salonId) || memberServiceIds.length === 0
+      || ![...memberServiceIds, ...pinned].every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: 'Invalid salonId, serviceIds or professionalIds' });
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+    }
+    if (!SCHEDULES.includes(schedule)) {
+      return res.status(400).json({ success: false, message: `schedule must be one of: ${SCHEDULES.join(', ')}` });
+    }
+
+    const services = await availabilityService.resolveServices(salonId, memberServiceIds);
+    const servicesById = new Map(services.map(s => [s._id.toString(), s]));
+    if (!memberServiceIds.every(id => servicesById.has(id))) {
+      return res.status(404).json({ success: false, message: 'One or more services were not found for this salon' });
+    }
 
-    // Generate available time slots
-    const availableSlots = generateTimeSlots('9:00 AM', '6:00 PM', parseInt(duration));
+    const memberVariantIds = variantIds.split(',').map(id => id.trim());
+    const memberAddOnIds = addOnIds.split(',').map(ids => ids.split('+').map(id => id.trim()).filter(Boolean));
 
-    // Get booked slots for the date
-    const bookedSlots = await TimeSlot.find({
-      salonId,
-      date: date,
-      isBooked: true
+    const members = memberServiceIds.map((id, index) => {
+      const professionalId = memberProfessionalIds[index];
+      const line = serviceCatalogService.selectOptions(servicesById.get(id), {
+        variantId: memberVariantIds[index] || null,
+        addOnIds: memberAddOnIds[index] || []
+      });
+      return {
+        service: servicesById.get(id),
+        line,
+        lines: [line],
+        serviceIds: [id],
+        durationMinutes: line.durationMinutes,
+        professionalId: professionalId && professionalId !== 'any' ? professionalId : null
+      };
     });
 
-    const bookedTimes = bookedSlots.map(slot => slot.startTime);
-    const filteredSlots = availableSlots.filter(slot => !bookedTimes.includes(slot));
+    const slots = await availabilityService.getGroupStartTimes({ salonId, date, members, schedule });
+    const professionals = await Professional.find({ salonId, available: true }).select('name').lean();
 
     res.json({
       success: true,
       data: {
-        availableSlots: filteredSlots,
-        professionals: professionals.length > 0 ? professionals : [
-          { _id: 'any', name: 'Any staff member' },
-          { _id: '1', name: 'Sarah' },
-          { _id: '2', name: 'Emily' },
-          { _id: '3', name: 'Jessica' }
-        ]
+        date,
+        schedule,
+        members: members.map(m => ({
+          service: { _id: m.service._id, name: m.line.name, price: m.line.price, addOns: m.line.addOns },
+          durationMinutes: m.durationMinutes,
+          professionalId: m.professionalId
+        })),
+        availableSlots: slots,
+        professionals
       }
     });
 
   } catch (error) {
+    if (error instanceof CatalogError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
  console.error('Get available slots error:', error);
     res.status(500).json({
       success: false,
@@ -240,42 +317,37 @@ router.get('/available-slots', async (req, res) => {
   }
 });
 
-// Cancel a family booking
-router.put('/:bookingId/cancel', async (req, res) => {
+// Cancel a family booking: every member still to come is cancelled under the salon's policy
+router.put('/:bookingId/cancel', authenticateToken, async (req, res) => {
   try {
     const { bookingId } = req.params;
     const { cancellationReason } = req.body;
 
-    const booking = await FamilyBooking.findById(bookingId);
-    if (!booking) {
+    const members = await findGroup(bookingId, req.user);
+    if (members.length === 0) {
       return res.status(404).json({
         success: false,
         message: 'Booking not found'
       });
     }
 
-    // Update booking status
-    booking.status = 'cancelled';
-    booking.appointments.forEach(appointment => {
-      appointment.status = 'cancelled';
+    const cancelled = await groupBookingService.cancelGroup(members, {
+      actor: appointmentStatusService.actorFromRequest(req),
+      reason: cancellationReason || 'Family booking cancelled'
     });
-    await booking.save();
-
-    // Free up time slots
-    await TimeSlot.updateMany(
-      { 
-        appointmentId: bookingId
-      },
-      { 
-        isBooked: false,
-        appointmentId: null 
-      }
-    );
+
+    for (const { appointment } of cancelled) {
+      waitlistService.offerFreedSlots(appointment)
+        .catch(error => console.error(' Waitlist offers failed:', error));
+    }
+
+    const group = await groupBookingService.findGroup(members[0].bookingGroupId);
 
     res.json({
       success: true,
       message: 'Family booking cancelled successfully',
-      data: booking
+      data: groupBookingService.toGroup(group),
+      charges: cancelled.map(({ appointment, charge }) => ({ appointmentId: appointment._id, charge }))
     });
 
   } catch (error) {
@@ -288,31 +360,28 @@ router.put('/:bookingId/cancel', async (req, res) => {
   }
 });
 
-// Get all family bookings (for admin)
-router.get('/', async (req, res) => {
+// Get all family bookings (owners: their salon's, admins: any ?salonId=)
+router.get('/', authenticateToken, requireRole(['owner', 'admin']), async (req, res) => {
   try {
-    const { page = 1, limit = 10, salonId } = req.query;
-    
-    const query = {};
-    if (salonId) {
-      query.salonId = salonId;
+    const { salonId } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.max(parseInt(req.query.limit, 10) || 10, 1);
+
+    const query = { ...appointmentScope(req.user) };
+    if (salonId && req.user.role === 'admin') {
+      if (!mongoose.Types.ObjectId.isValid(salonId)) {
+        return res.status(400).json({ success: false, message: 'Invalid salonId' });
+      }
+      query.salonId = new mongoose.Types.ObjectId(salonId);
     }
 
-    const bookings = await FamilyBooking.find(query)
-      .populate('appointments.serviceId')
-      .populate('appointments.professionalId')
-      .populate('salonId')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await FamilyBooking.countDocuments(query);
+    const { groups, total } = await groupBookingService.listGroups(query, { page, limit });
 
     res.json({
       success: true,
-      data: bookings,
+      data: groups,
       totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page),
+      currentPage: page,
       total
     });
 
@@ -327,16 +396,11 @@ router.get('/', async (req, res) => {
 });
 
 // Get specific family booking by ID
-router.get('/:bookingId', async (req, res) => {
+router.get('/:bookingId', authenticateToken, async (req, res) => {
   try {
-    const { bookingId } = req.params;
+    const members = await findGroup(req.params.bookingId, req.user);
 
-    const booking = await FamilyBooking.findById(bookingId)
-      .populate('appointments.serviceId')
-      .populate('appointments.professionalId')
-      .populate('salonId');
-
-    if (!booking) {
+    if (members.length === 0) {
       return res.status(404).json({
         success: false,
         message: 'Booking not found'
@@ -345,7 +409,7 @@ router.get('/:bookingId', async (req, res) => {
 
     res.json({
       success: true,
-      data: booking
+      data: groupBookingService.toGroup(members)
     });
 
   } catch (error) {
@@ -358,37 +422,4 @@ router.get('/:bookingId', async (req, res) => {
   }
 });
 
-// Helper function to generate time slots
-function generateTimeSlots(startTime, endTime, interval) {
-  const slots = [];
-  
-  const timeToMinutes = (timeStr) => {
-    const [time, modifier] = timeStr.split(' ');
-    let [hours, minutes] = time.split(':').map(Number);
-    
-    if (modifier === 'PM' && hours !== 12) hours += 12;
-    if (modifier === 'AM' && hours === 12) hours = 0;
-    
-    return hours * 60 + minutes;
-  };
-
-  const startMinutes = timeToMinutes(startTime);
-  const endMinutes = timeToMinutes(endTime);
-  
-  for (let minutes = startMinutes; minutes < endMinutes; minutes += interval) {
-    const hours = Math.floor(minutes / 60);
-    const mins = minutes % 60;
-    
-    const timeString = new Date(2000, 0, 1, hours, mins).toLocaleTimeString('en-US', {
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    });
-    
-    slots.push(timeString);
-  }
-
-  return slots;
-}
-
-module.exports = router;
\ No newline at end of file
+module.exports = router;
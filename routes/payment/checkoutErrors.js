@@ -0,0 +1,25 @@
+const { PricingError } = require('../../services/pricingService');
+const { FulfilmentError } = require('../../services/paymentFulfilmentService');
+const { SlotConflictError } = require('../../services/slotReservationService');
+const { CatalogError } = require('../../services/serviceCatalogService');
+const { CheckoutError } = require('../../services/checkoutService');
+const { PaymentProviderError } = require('../../services/paymentProviders');
+
+// Errors a checkout request can fail with on purpose; each carries its statusCode
+const KNOWN_ERRORS = [PricingError, FulfilmentError, SlotConflictError, CatalogError, CheckoutError, PaymentProviderError];
+
+// Answer with the error's status (plus the quote or conflicts it carries), or 500 for anything unexpected
+const sendCheckoutError = (res, err, label) => {
+    if (KNOWN_ERRORS.some(ErrorClass => err instanceof ErrorClass)) {
+        return res.status(err.statusCode || 400).json({
+            success: false,
+            error: err.message,
+            ...(err.quote && { quote: err.quote }),
+            ...(err.conflicts && { conflicts: err.conflicts }),
+        });
+    }
+    console.error(`❌ ${label}:`, err);
+    res.status(500).json({ success: false, error: label, details: err.message });
+};
+
+module.exports = { sendCheckoutError };
@@ -0,0 +1,114 @@
+const express = require('express');
+const router = express.Router();
+const checkoutService = require('../../services/checkoutService');
+const { PaymentProviderError } = require('../../services/paymentProviders');
+const { optionalAuth } = require('../../middleware/authMiddleware');
+const { sendCheckoutError } = require('./checkoutErrors');
+
+// Checkout with any payment provider (services/checkoutService,
+// services/paymentProviders). The provider is the request's `provider`,
+// else the salon's, else PAYMENT_PROVIDER.
+
+// ===================================================================
+// POST /
+// Start a checkout: same body as /payhere/initiate plus optional
+// `provider` (payhere | stripe; fake in tests only), `returnUrl` and `cancelUrl`.
+// Returns the order id, the hold's expiry and the provider's checkout data
+// (PayHere form fields, a Stripe clientSecret, ...).
+// ===================================================================
+router.post('/', optionalAuth, async (req, res) => {
+    try {
+        const result = await checkoutService.startCheckout(req.body, { user: req.user });
+        res.status(201).json({ success: true, ...result });
+    } catch (err) {
+        sendCheckoutError(res, err, 'Failed to start checkout');
+    }
+});
+
+// ===================================================================
+// POST /webhook/:provider
+// Provider webhooks. PayHere posts form data; Stripe's signature is checked
+// against the raw body (STRIPE_WEBHOOK_SECRET).
+// ===================================================================
+router.post('/webhook/:provider', express.urlencoded({ extended: true }), async (req, res) => {
+    try {
+        const result = await checkoutService.handleWebhook(req.params.provider, req);
+        res.json({ received: true, handled: result.handled });
+    } catch (err) {
+        if (err instanceof PaymentProviderError) {
+            console.warn(`⚠️ Rejected ${req.params.provider} webhook: ${err.message}`);
+        }
+        sendCheckoutError(res, err, 'Webhook error');
+    }
+});
+
+// ===================================================================
+// GET /:orderId
+// Payment, fulfilment and hold status of an order.
+// ===================================================================
+router.get('/:orderId', async (req, res) => {
+    try {
+        const status = await checkoutService.getStatus(req.params.orderId);
+        res.json({ success: true, ...status });
+    } catch (err) {
+        sendCheckoutError(res, err, 'Checkout status error');
+    }
+});
+
+// ===================================================================
+// POST /:orderId/cancel
+// The customer left the checkout; held slots and loyalty points go back.
+// ===================================================================
+router.post('/:orderId/cancel', async (req, res) => {
+    try {
+        const payment = await checkoutService.cancel(req.params.orderId);
+        res.json({ success: true, orderId: req.params.orderId, paymentStatus: payment.status });
+    } catch (err) {
+        sendCheckoutError(res, err, 'Checkout cancel error');
+    }
+});
+
+// ===================================================================
+// POST /:orderId/confirm
+// Fallback when the customer is back before the provider's webhook:
+// the provider is asked for the payment and a paid order is fulfilled.
+// ===================================================================
+router.post('/:orderId/confirm', async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const { paymentStatus, fulfilment } = await checkoutService.confirmFromRedirect(orderId);
+
+        if (['failed', 'canceled', 'chargedback'].includes(paymentStatus)) {
+            return res.status(400).json({ success: false, paymentStatus, error: `Payment ${paymentStatus}; no appointments were created.` });
+        }
+        if (paymentStatus === 'pending' || fulfilment.status === 'processing') {
+            return res.status(202).json({ success: true, processing: true, orderId, paymentStatus });
+        }
+
+        res.json({
+            success: true,
+            orderId,
+            paymentStatus,
+            alreadyExisted: !fulfilment.created,
+            appointmentIds: fulfilment.appointmentIds,
+        });
+    } catch (err) {
+        sendCheckoutError(res, err, 'Checkout confirm error');
+    }
+});
+
+// ===================================================================
+// POST /:orderId/simulate
+// Fake provider only (offline testing, ALLOW_FAKE_PAYMENTS=true): pay, fail
+// or cancel the order as the provider's webhook would. Body: { status: 'succeeded' }
+// ===================================================================
+router.post('/:orderId/simulate', async (req, res) => {
+    try {
+        const result = await checkoutService.simulatePayment(req.params.orderId, req.body?.status);
+        res.json({ success: true, ...result });
+    } catch (err) {
+        sendCheckoutError(res, err, 'Checkout simulation error');
+    }
+});
+
+module.exports = router;
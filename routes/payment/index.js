@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const payhereRoutes = require('./PayherePaymentRoute');
 const stripeRoutes = require('./stripeRoutes');
+const refundRoutes = require('./refundRoutes');
+const checkoutRoutes = require('./checkoutRoutes');
 
 
 //PayHere routes
@@ -10,6 +12,12 @@ router.use('/payhere', payhereRoutes);
 //Stripe routes
 router.use('/stripe', stripeRoutes);
 
-console.log(' Payment routes loaded: PayHere mounted at /payhere, Stripe mounted at /stripe');
+//Refunds (PayHere, Stripe)
+router.use('/refunds', refundRoutes);
+
+//Checkout with any provider (PayHere, Stripe, fake)
+router.use('/checkout', checkoutRoutes);
+
+console.log(' Payment routes loaded: PayHere mounted at /payhere, Stripe mounted at /stripe, refunds at /refunds, checkout at /checkout');
 
 module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const refundService = require('../../services/refundService');
+const { RefundError } = require('../../services/refundService');
+const { authenticateToken, requireRole } = require('../../middleware/authMiddleware');
+
+// Refunds are issued by the salon owner or an admin (services/refundService)
+const canRefund = [authenticateToken, requireRole(['owner', 'admin'])];
+
+const handleError = (res, err, label) => {
+    if (err instanceof RefundError) {
+        return res.status(err.statusCode).json({ success: false, error: err.message });
+    }
+    console.error(`❌ ${label}:`, err);
+    res.status(500).json({ success: false, error: err.message });
+};
+
+// ===================================================================
+// POST /
+// Refund a paid order or appointment, in full or in part.
+// Body: { paymentId | orderId | appointmentId, amount?, reason? }
+// Without amount, everything still refundable is refunded.
+// 201 when the provider refunded it, 202 while it is still processing,
+// 502 (with the failed refund) when the provider rejected it.
+// ===================================================================
+router.post('/', ...canRefund, async (req, res) => {
+    try {
+        const { paymentId, orderId, appointmentId, amount, reason } = req.body;
+        const refund = await refundService.refund(
+            { paymentId, orderId, appointmentId, amount, reason },
+            { actor: req.user }
+        );
+
+        const statusCode = { succeeded: 201, pending: 202, failed: 502 }[refund.status];
+        res.status(statusCode).json({
+            success: refund.status !== 'failed',
+            refund,
+            ...(refund.status === 'failed' && { error: refund.failureReason || 'The refund was rejected' }),
+        });
+    } catch (err) {
+        handleError(res, err, 'Refund error');
+    }
+});
+
+// ===================================================================
+// GET /?paymentId= | orderId= | appointmentId=
+// A payment's refunds and what is left to refund.
+// ===================================================================
+router.get('/', ...canRefund, async (req, res) => {
+    try {
+        const { paymentId, orderId, appointmentId } = req.query;
+        const result = await refundService.listRefunds({ paymentId, orderId, appointmentId }, req.user);
+        res.json({ success: true, ...result });
+    } catch (err) {
+        handleError(res, err, 'Refund list error');
+    }
+});
+
+// ===================================================================
+// GET /:id
+// One refund; a pending refund is checked with the provider first.
+// ===================================================================
+router.get('/:id', ...canRefund, async (req, res) => {
+    try {
+        const refund = await refundService.getRefund(req.params.id, req.user);
+        res.json({ success: true, refund });
+    } catch (err) {
+        handleError(res, err, 'Refund status error');
+    }
+});
+
+module.exports = router;
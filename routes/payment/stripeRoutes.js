@@ -1,120 +1,67 @@
 const express = require('express');
 const router = express.Router();
-// Initialize Stripe with environment variable (if available)
-let stripe;
-try {
-    if (process.env.STRIPE_SECRET_KEY) {
-        stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
- console.log(' Stripe initialized');
-    } else {
+const stripeProvider = require('../../services/paymentProviders/stripeProvider');
+const checkoutService = require('../../services/checkoutService');
+const { PaymentProviderError } = require('../../services/paymentProviders');
+const { optionalAuth } = require('../../middleware/authMiddleware');
+const { sendCheckoutError } = require('./checkoutErrors');
+
+// The Stripe client comes from the Stripe payment provider (services/paymentProviders)
+if (!stripeProvider.isAvailable()) {
  console.warn('️ STRIPE_SECRET_KEY not found in environment variables');
-    }
-} catch (err) {
- console.error(' Failed to initialize Stripe:', err.message);
 }
 
-// Create payment intent
-router.post('/create-payment-intent', async (req, res) => {
- console.log(' /api/payments/create-payment-intent HIT!');
- console.log('Request body:', req.body);
+// Create payment intent for a booking
+// Same body as /payhere/initiate: { amount (the booking total, e.g. 2500.00 LKR), currency,
+//   customer: { email, first_name, last_name, phone } (or customer_email), pendingAppointments,
+//   customerInfo, isGroupBooking, salonId, promoCode, loyaltyPoints }
+// The booking is priced on the server and its slots are held (services/checkoutService);
+// the PaymentIntent carries the order id, and payment_intent.succeeded creates the
+// confirmed, paid appointments (see /webhook).
+router.post('/create-payment-intent', optionalAuth, async (req, res) => {
+ console.log(' /api/payments/stripe/create-payment-intent HIT!');
 
     try {
-        // Check if Stripe is initialized
-        if (!stripe) {
- console.error(' Stripe not initialized');
-            return res.status(500).json({
-                success: false,
-                error: 'Payment service not available'
-            });
-        }
-
-        const { amount, currency = 'lkr', customer_email } = req.body;
+        const { customer, customer_email } = req.body;
+        const result = await checkoutService.startCheckout(
+            { ...req.body, customer: customer || (customer_email && { email: customer_email }) },
+            { user: req.user, provider: 'stripe' }
+        );
 
- console.log(' Validating request...');
- console.log(' Amount:', amount, 'cents');
- console.log(' Currency:', currency);
- console.log(' Email:', customer_email);
-
-        // Validate required fields
-        if (!amount || amount <= 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid amount'
-            });
-        }
-
-        if (!customer_email) {
-            return res.status(400).json({
-                success: false,
-                error: 'Customer email required'
-            });
-        }
-
- console.log(' Creating Stripe payment intent...');
-
-        // For testing, let's use USD instead of LKR (better Stripe test mode support)
-        // Convert LKR to USD (rough conversion: 1 USD = 200 LKR)
-        const usdAmount = Math.max(50, Math.round(amount / 200)); // Minimum $0.50 for Stripe
-
- console.log(' Original amount (LKR cents):', amount);
- console.log(' USD amount (cents):', usdAmount);
-
-        // Create payment intent with USD
-        const paymentIntent = await stripe.paymentIntents.create({
-            amount: usdAmount, // Use USD amount
-            currency: 'usd',   // Use USD currency
-            automatic_payment_methods: {
-                enabled: true
-            },
-            metadata: {
-                original_amount_lkr: amount,
-                customer_email: customer_email
-            }
-        });
-
- console.log(' Payment intent created successfully!');
- console.log(' Payment Intent ID:', paymentIntent.id);
- console.log(' Amount:', paymentIntent.amount, paymentIntent.currency);
+ console.log(' Payment intent created for order', result.orderId, ':', result.checkout.paymentIntentId);
 
         res.json({
             success: true,
-            clientSecret: paymentIntent.client_secret,
-            paymentIntentId: paymentIntent.id,
-            amount: paymentIntent.amount,
-            currency: paymentIntent.currency,
-            originalAmountLKR: amount
+            orderId: result.orderId,
+            clientSecret: result.checkout.clientSecret,
+            paymentIntentId: result.checkout.paymentIntentId,
+            amount: result.amount,
+            currency: result.currency,
+            holdExpiresAt: result.holdExpiresAt
         });
 
     } catch (err) {
- console.error(' Payment intent error:', err);
- console.error('Error type:', err.type);
- console.error('Error code:', err.code);
-
-        let errorMessage = 'Payment processing failed';
-
-        if (err.code === 'invalid_api_key') {
-            errorMessage = 'Invalid payment API key. Please check Stripe configuration.';
-        } else if (err.code === 'api_key_expired') {
-            errorMessage = 'Payment API key has expired.';
+        if (err.type === 'StripeAuthenticationError' || err.code === 'invalid_api_key' || err.code === 'api_key_expired') {
+ console.error(' Payment intent error:', err.message);
+            return res.status(500).json({
+                success: false,
+                error: 'Invalid payment API key. Please check Stripe configuration.',
+                details: err.message
+            });
         }
-
-        res.status(500).json({
-            success: false,
-            error: errorMessage,
-            details: err.message
-        });
+        sendCheckoutError(res, err, 'Payment processing failed');
     }
 });
 
 // Test endpoint to verify Stripe connection
 router.get('/test-stripe', async (req, res) => {
     try {
-        if (!stripe) {
+        if (!stripeProvider.isAvailable()) {
             return res.status(500).json({ error: 'Stripe not initialized' });
         }
 
         // Test Stripe connection by creating a small payment intent
-        const paymentIntent = await stripe.paymentIntents.create({
+        const paymentIntent = await stripeProvider.getClient().paymentIntents.create({
             amount: 1000, // $10.00
             currency: 'usd',
             automatic_payment_methods: { enabled: true },
@@ -135,79 +82,24 @@ router.get('/test-stripe', async (req, res) => {
 });
 
 // Stripe Webhook Handler
+// Same handling as every provider's webhook (services/checkoutService): the
+// signature is checked with STRIPE_WEBHOOK_SECRET (503 while it is not set)
+// and the Payment of the PaymentIntent's order is updated.
+//   payment_intent.succeeded      -> appointments created, confirmed and paid
+//   payment_intent.payment_failed -> Payment failed, held slots and loyalty points released
+//   payment_intent.canceled       -> Payment canceled, likewise
 router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-    const sig = req.headers['stripe-signature'];
-    const endpointSecret = process.env.STRIPE_WEBHOOK_SECRET;
-
-    let event;
-
     try {
-        if (!stripe) {
-            return res.status(500).json({ error: 'Stripe not initialized' });
-        }
-
-        // Verify webhook signature
-        if (endpointSecret) {
-            event = stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
-        } else {
-            // For testing without webhook secret
-            event = JSON.parse(req.body);
-        }
-
- console.log(' Stripe Webhook Event:', event.type);
-
-        // Handle the event
-        switch (event.type) {
-            case 'payment_intent.succeeded':
-                const paymentIntent = event.data.object;
- console.log(' Payment Intent succeeded:', paymentIntent.id);
-
-                // Update Payment and Appointment records
-                const Payment = require('../../models/Payment');
-                const Appointment = require('../../models/Appointment');
-
-                const payment = await Payment.findOne({ 
-                    transactionId: paymentIntent.id 
-                });
-
-                if (payment) {
-                    payment.status = 'succeeded';
-                    await payment.save();
- console.log(' Payment record updated');
-
-                    // Update appointment status
-                    const appointment = await Appointment.findById(payment.appointmentId);
-                    if (appointment) {
-                        appointment.status = 'completed';
-                        await appointment.save();
- console.log(' Appointment marked as completed');
-                    }
-                }
-                break;
-
-            case 'payment_intent.payment_failed':
-                const failedPayment = event.data.object;
- console.log(' Payment Intent failed:', failedPayment.id);
-
-                const failedPaymentRecord = await Payment.findOne({ 
-                    transactionId: failedPayment.id 
-                });
-
-                if (failedPaymentRecord) {
-                    failedPaymentRecord.status = 'failed';
-                    await failedPaymentRecord.save();
- console.log(' Payment record marked as failed');
-                }
-                break;
-
-            default:
- console.log(`Unhandled event type ${event.type}`);
-        }
-
+        const result = await checkoutService.handleWebhook('stripe', req);
+ console.log(' Stripe Webhook handled:', result.orderId || 'not a checkout payment', result.status || '');
         res.json({ received: true });
     } catch (err) {
+        if (err instanceof PaymentProviderError) {
  console.error(' Webhook Error:', err.message);
-        return res.status(400).send(`Webhook Error: ${err.message}`);
+            return res.status(err.statusCode).send(`Webhook Error: ${err.message}`);
+        }
+ console.error(' Webhook Error:', err);
+        res.status(500).send('Webhook Error');
     }
 });
 
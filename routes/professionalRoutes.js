@@ -3,6 +3,11 @@ const router = express.Router();
 const multer = require("multer");
 const mongoose = require("mongoose");
 const Professional = require("../models/Professional");
+const { authenticateToken, requireOwner } = require("../middleware/authMiddleware");
+const scheduleService = require("../services/scheduleService");
+const timeSlotService = require("../services/timeSlotService");
+const serviceCatalogService = require("../services/serviceCatalogService");
+const { CatalogError } = require("../services/serviceCatalogService");
 
 // Memory storage (no folders)
 const upload = multer({ storage: multer.memoryStorage() }).fields([
@@ -49,6 +54,11 @@ router.post("/", upload, async (req, res) => {
     });
 
     await professional.save();
+
+    // Give the new professional bookable slots without waiting for the nightly job
+    timeSlotService.syncSchedule({ _id: professional._id })
+      .catch(err => console.error("SLOT GENERATION ERROR:", err));
+
     res.status(201).json({ message: "Saved Successfully", data: professional });
   } catch (err) {
  console.error("CREATE ERROR:", err);
@@ -126,9 +136,13 @@ router.put("/:id/services", async (req, res) => {
       typeof id === 'string' ? new mongoose.Types.ObjectId(id) : id
     );
 
+    // Overrides of services the professional no longer performs are dropped
     const updated = await Professional.findByIdAndUpdate(
       req.params.id, 
-      { services: serviceObjectIds },
+      {
+        services: serviceObjectIds,
+        $pull: { serviceOverrides: { serviceId: { $nin: serviceObjectIds } } }
+      },
       { new: true }
     ).populate('services', 'name price duration'); // Populate for response
 
@@ -148,6 +162,128 @@ router.put("/:id/services", async (req, res) => {
   }
 });
 
+// ----------------- PER-PROFESSIONAL PRICES & DURATIONS -----------------
+/**
+ * This professional's own price and/or duration for services they perform,
+ * used instead of the Service's values for availability, end times and totals.
+ *
+ * Usage:
+ *   GET /api/professionals/:id/service-overrides
+ *   PUT /api/professionals/:id/service-overrides
+ *       Body: { "serviceOverrides": [{ "serviceId": "...", "price": 3500, "durationMinutes": 60 }] }
+ *
+ * PUT replaces the whole list and is limited to the owner of the professional's salon.
+ */
+router.get("/:id/service-overrides", async (req, res) => {
+  try {
+    const professional = await Professional.findById(req.params.id)
+      .select("name serviceOverrides")
+      .populate("serviceOverrides.serviceId", "name price durationMinutes duration")
+      .lean();
+    if (!professional) return res.status(404).json({ error: "Professional not found" });
+
+    res.json({ data: professional.serviceOverrides, professionalId: professional._id, name: professional.name });
+  } catch (err) {
+ console.error("FETCH OVERRIDES ERROR:", err);
+    res.status(500).json({ error: "Fetch failed", details: err.message });
+  }
+});
+
+router.put("/:id/service-overrides", authenticateToken, requireOwner, async (req, res) => {
+  try {
+    const professional = await Professional.findById(req.params.id);
+    if (!professional) return res.status(404).json({ error: "Professional not found" });
+
+    if (professional.salonId.toString() !== req.user.userId) {
+      return res.status(403).json({ error: "Can only manage professionals of your own salon" });
+    }
+
+    professional.serviceOverrides = serviceCatalogService.normalizeOverrides(professional, req.body.serviceOverrides);
+    await professional.save();
+
+    res.json({ message: "Service prices updated successfully", data: professional.serviceOverrides });
+  } catch (err) {
+    if (err instanceof CatalogError) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+ console.error("UPDATE OVERRIDES ERROR:", err);
+    res.status(500).json({ error: "Update failed", details: err.message });
+  }
+});
+
+// ----------------- PROFESSIONAL SCHEDULE (SHIFTS & BREAKS) -----------------
+/**
+ * Weekly shifts and breaks for a professional.
+ *
+ * Usage:
+ *   GET    /api/professionals/:id/schedule
+ *   PUT    /api/professionals/:id/schedule
+ *          Body: { "schedule": [{ "day": "monday",
+ *                                 "shifts": [{ "startTime": "09:00", "endTime": "17:00" }],
+ *                                 "breaks": [{ "startTime": "13:00", "endTime": "13:30" }] }] }
+ *   DELETE /api/professionals/:id/schedule  (back to "works whenever the salon is open")
+ *
+ * Weekdays missing from a non-empty schedule are days off.
+ * PUT/DELETE are limited to the owner of the professional's salon.
+ */
+router.get("/:id/schedule", async (req, res) => {
+  try {
+    const professional = await Professional.findById(req.params.id).select("name salonId schedule");
+    if (!professional) return res.status(404).json({ error: "Professional not found" });
+
+    res.json({ data: professional.schedule, professionalId: professional._id, name: professional.name });
+  } catch (err) {
+ console.error("FETCH SCHEDULE ERROR:", err);
+    res.status(500).json({ error: "Fetch failed", details: err.message });
+  }
+});
+
+router.put("/:id/schedule", authenticateToken, requireOwner, async (req, res) => {
+  try {
+    const { schedule } = req.body;
+    const validationError = scheduleService.validateProfessionalSchedule(schedule);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const professional = await Professional.findById(req.params.id);
+    if (!professional) return res.status(404).json({ error: "Professional not found" });
+
+    if (professional.salonId.toString() !== req.user.userId) {
+      return res.status(403).json({ error: "Can only manage professionals of your own salon" });
+    }
+
+    professional.schedule = schedule;
+    await professional.save();
+    await timeSlotService.syncSchedule({ _id: professional._id });
+
+    res.json({ message: "Schedule updated successfully", data: professional.schedule });
+  } catch (err) {
+ console.error("UPDATE SCHEDULE ERROR:", err);
+    res.status(500).json({ error: "Update failed", details: err.message });
+  }
+});
+
+router.delete("/:id/schedule", authenticateToken, requireOwner, async (req, res) => {
+  try {
+    const professional = await Professional.findById(req.params.id);
+    if (!professional) return res.status(404).json({ error: "Professional not found" });
+
+    if (professional.salonId.toString() !== req.user.userId) {
+      return res.status(403).json({ error: "Can only manage professionals of your own salon" });
+    }
+
+    professional.schedule = [];
+    await professional.save();
+    await timeSlotService.syncSchedule({ _id: professional._id });
+
+    res.json({ message: "Schedule reset to salon opening hours", data: [] });
+  } catch (err) {
+ console.error("RESET SCHEDULE ERROR:", err);
+    res.status(500).json({ error: "Reset failed", details: err.message });
+  }
+});
+
 // ----------------- DELETE PROFESSIONAL -----------------
 router.delete("/:id", async (req, res) => {
   try {
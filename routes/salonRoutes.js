@@ -8,6 +8,10 @@ const cloudinary = require("../config/cloudinary");
 const { generateToken } = require("../utils/jwtUtils");
 const { authenticateToken, requireOwner } = require("../middleware/authMiddleware");
 const notificationService = require("../services/notificationService");
+const scheduleService = require("../services/scheduleService");
+const timeSlotService = require("../services/timeSlotService");
+const cancellationPolicyService = require("../services/cancellationPolicyService");
+const rescheduleService = require("../services/rescheduleService");
 
 const crypto = require("crypto");
 const nodemailer = require("nodemailer");
@@ -997,6 +1001,182 @@ router.put("/:id", authenticateToken, requireOwner, upload.single("image"), asyn
     res.status(500).json({ message: "Server error" });
   }
 });
+// ✅ Get salon weekly opening hours (public)
+router.get("/:id/schedule", async (req, res) => {
+  try {
+    const salon = await Salon.findById(req.params.id).select("weeklySchedule workingHours");
+    if (!salon) {
+      return res.status(404).json({ message: "Salon not found" });
+    }
+
+    res.json({
+      success: true,
+      weeklySchedule: salon.weeklySchedule,
+      workingHours: salon.workingHours
+    });
+  } catch (err) {
+    console.error("Get salon schedule error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ✅ Replace salon weekly opening hours (protected - owner only)
+// Body: { weeklySchedule: [{ day: "monday", isOpen: true, openTime: "08:00", closeTime: "17:00" }, ...] }
+router.put("/:id/schedule", authenticateToken, requireOwner, async (req, res) => {
+  try {
+    if (req.params.id !== req.user.userId) {
+      return res.status(403).json({ message: 'Can only update your own salon' });
+    }
+
+    const { weeklySchedule } = req.body;
+    const validationError = scheduleService.validateSalonSchedule(weeklySchedule);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const salon = await Salon.findByIdAndUpdate(
+      req.params.id,
+      { weeklySchedule },
+      { new: true, runValidators: true }
+    ).select("weeklySchedule");
+
+    if (!salon) {
+      return res.status(404).json({ message: "Salon not found" });
+    }
+
+    await timeSlotService.syncSchedule({ salonId: salon._id });
+
+    res.json({ success: true, weeklySchedule: salon.weeklySchedule });
+  } catch (err) {
+    console.error("Update salon schedule error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ✅ Reset salon weekly opening hours to the default (protected - owner only)
+router.delete("/:id/schedule", authenticateToken, requireOwner, async (req, res) => {
+  try {
+    if (req.params.id !== req.user.userId) {
+      return res.status(403).json({ message: 'Can only update your own salon' });
+    }
+
+    const salon = await Salon.findByIdAndUpdate(
+      req.params.id,
+      { weeklySchedule: [] },
+      { new: true }
+    ).select("weeklySchedule");
+
+    if (!salon) {
+      return res.status(404).json({ message: "Salon not found" });
+    }
+
+    await timeSlotService.syncSchedule({ salonId: salon._id });
+
+    res.json({ success: true, message: "Schedule reset to default hours", weeklySchedule: [] });
+  } catch (err) {
+    console.error("Reset salon schedule error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ✅ Get salon cancellation policy (public, so customers see it before booking)
+router.get("/:id/cancellation-policy", async (req, res) => {
+  try {
+    const salon = await Salon.findById(req.params.id).select("cancellationPolicy");
+    if (!salon) {
+      return res.status(404).json({ message: "Salon not found" });
+    }
+
+    res.json({ success: true, cancellationPolicy: cancellationPolicyService.getPolicy(salon) });
+  } catch (err) {
+    console.error("Get cancellation policy error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ✅ Update salon cancellation policy (protected - owner only)
+// Body: { cancellationPolicy: { freeCancellationHours: 24,
+//         lateCancellationFee: { type: "percentage", amount: 50 },
+//         noShowFee: { type: "fixed", amount: 1500 } } }
+router.put("/:id/cancellation-policy", authenticateToken, requireOwner, async (req, res) => {
+  try {
+    if (req.params.id !== req.user.userId) {
+      return res.status(403).json({ message: 'Can only update your own salon' });
+    }
+
+    const { cancellationPolicy } = req.body;
+    const validationError = cancellationPolicyService.validatePolicy(cancellationPolicy);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const current = await Salon.findById(req.params.id).select("cancellationPolicy");
+    if (!current) {
+      return res.status(404).json({ message: "Salon not found" });
+    }
+
+    const merged = { ...cancellationPolicyService.getPolicy(current), ...cancellationPolicy };
+    const salon = await Salon.findByIdAndUpdate(
+      req.params.id,
+      { cancellationPolicy: merged },
+      { new: true, runValidators: true }
+    ).select("cancellationPolicy");
+
+    res.json({ success: true, cancellationPolicy: cancellationPolicyService.getPolicy(salon) });
+  } catch (err) {
+    console.error("Update cancellation policy error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ✅ Get salon reschedule policy (defaults filled in)
+router.get("/:id/reschedule-policy", async (req, res) => {
+  try {
+    const salon = await Salon.findById(req.params.id).select("reschedulePolicy");
+    if (!salon) {
+      return res.status(404).json({ message: "Salon not found" });
+    }
+
+    res.json({ success: true, reschedulePolicy: rescheduleService.getPolicy(salon) });
+  } catch (err) {
+    console.error("Get reschedule policy error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// ✅ Update salon reschedule policy (protected - owner only)
+// Body: { reschedulePolicy: { maxReschedules: 2, minNoticeHours: 12 } }
+router.put("/:id/reschedule-policy", authenticateToken, requireOwner, async (req, res) => {
+  try {
+    if (req.params.id !== req.user.userId) {
+      return res.status(403).json({ message: 'Can only update your own salon' });
+    }
+
+    const { reschedulePolicy } = req.body;
+    const validationError = rescheduleService.validatePolicy(reschedulePolicy);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const current = await Salon.findById(req.params.id).select("reschedulePolicy");
+    if (!current) {
+      return res.status(404).json({ message: "Salon not found" });
+    }
+
+    const merged = { ...rescheduleService.getPolicy(current), ...reschedulePolicy };
+    const salon = await Salon.findByIdAndUpdate(
+      req.params.id,
+      { reschedulePolicy: merged },
+      { new: true, runValidators: true }
+    ).select("reschedulePolicy");
+
+    res.json({ success: true, reschedulePolicy: rescheduleService.getPolicy(salon) });
+  } catch (err) {
+    console.error("Update reschedule policy error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 // ✅ Update salon profile image only (quick upload)
 router.patch("/:id/image", upload.single("image"), async (req, res) => {
   try {
@@ -2,25 +2,29 @@ const express = require("express");
 const router = express.Router();
 const Service = require("../models/Service");
 const upload = require("../middleware/uploadServiceImage");
+const serviceCatalogService = require("../services/serviceCatalogService");
+const { CatalogError } = require("../services/serviceCatalogService");
 
 // ➕ Add new service
+// Body: { salonId, name, price, durationMinutes (or legacy duration text), category?, description?,
+//         gender?, variants?: [{ name, price, durationMinutes }], addOns?: [{ name, price, durationMinutes }] }
 router.post("/", upload.single("image"), async (req, res) => {
   try {
-    const { name, price, duration, gender, salonId } = req.body;
+    const fields = serviceCatalogService.normalizeInput(req.body);
     const imagePath = req.file ? `services/${req.file.filename}` : null;
 
     const service = new Service({
-      name,
-      price,
-      duration,
-      gender,
-      salonId,
+      ...fields,
+      salonId: req.body.salonId,
       image: imagePath,
     });
 
     await service.save();
     res.status(201).json(service);
   } catch (err) {
+    if (err instanceof CatalogError) {
+      return res.status(400).json({ message: err.message });
+    }
  console.error(err);
     res.status(400).json({ message: "Failed to add service" });
   }
@@ -36,18 +40,36 @@ router.get("/:salonId", async (req, res) => {
   }
 });
 
-// ✏️ Update a service
+// 📚 Get a salon's services grouped by category, with variants and add-ons
+router.get("/:salonId/catalog", async (req, res) => {
+  try {
+    const categories = await serviceCatalogService.getCatalog(req.params.salonId);
+    res.json({ success: true, categories });
+  } catch (err) {
+ console.error(" Error fetching service catalogue:", err);
+    res.status(500).json({ message: "Failed to fetch services" });
+  }
+});
+
+// ✏️ Update a service (variants/addOns replace the existing lists; keep _id to update one in place)
 router.put("/:id", upload.single("image"), async (req, res) => {
   try {
-    const updateData = { ...req.body };
+    const service = await Service.findById(req.params.id);
+    if (!service) {
+      return res.status(404).json({ message: "Service not found" });
+    }
+
+    service.set(serviceCatalogService.normalizeInput(req.body, true));
     if (req.file) {
-      updateData.image = `services/${req.file.filename}`;
+      service.image = `services/${req.file.filename}`;
     }
-    const updated = await Service.findByIdAndUpdate(req.params.id, updateData, {
-      new: true,
-    });
+
+    const updated = await service.save();
     res.json(updated);
   } catch (err) {
+    if (err instanceof CatalogError) {
+      return res.status(400).json({ message: err.message });
+    }
     res.status(400).json({ message: "Failed to update service" });
   }
 });
@@ -2,6 +2,9 @@ const express = require("express");
 const mongoose = require("mongoose");
 const router = express.Router();
 const TimeSlot = require("../models/TimeSlot");
+const availabilityService = require("../services/availabilityService");
+const serviceCatalogService = require("../services/serviceCatalogService");
+const { CatalogError } = require("../services/serviceCatalogService");
 
 // ✅ GET time slots for a specific professional and date
 router.get("/", async (req, res) => {
@@ -24,6 +27,60 @@ router.get("/", async (req, res) => {
   }
 });
 
+// ✅ GET bookable start times for a basket of services
+// Usage: GET /api/timeslots/availability?salonId=...&date=YYYY-MM-DD&serviceIds=id1,id2[&professionalId=...]
+//        [&variantIds=...][&addOnIds=...] - chosen options change the slot length
+// Slots report the length and price of the professional who would serve them.
+// Only professionals who can perform ALL requested services are considered.
+router.get("/availability", async (req, res) => {
+  const { salonId, date, serviceIds, professionalId, variantIds = "", addOnIds = "" } = req.query;
+
+  if (!salonId || !date || !serviceIds) {
+    return res.status(400).json({ error: "Missing salonId, date or serviceIds" });
+  }
+
+  const serviceIdArray = serviceIds.split(",").map(id => id.trim()).filter(Boolean);
+  const ids = [salonId, ...serviceIdArray, ...(professionalId ? [professionalId] : [])];
+  if (serviceIdArray.length === 0 || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return res.status(400).json({ error: "Invalid salonId, serviceIds or professionalId" });
+  }
+
+  try {
+    const services = await availabilityService.resolveServices(salonId, serviceIdArray);
+    if (services.length !== new Set(serviceIdArray).size) {
+      return res.status(404).json({ error: "One or more services were not found for this salon" });
+    }
+
+    const lines = serviceCatalogService.selectForBasket(services, {
+      variantIds: variantIds.split(",").map(id => id.trim()).filter(Boolean),
+      addOnIds: addOnIds.split(",").map(id => id.trim()).filter(Boolean),
+    });
+    const durationMinutes = availabilityService.getTotalDuration(lines);
+    const slots = await availabilityService.getAvailableStartTimes({
+      salonId,
+      date,
+      serviceIds: serviceIdArray,
+      durationMinutes,
+      professionalId: professionalId || null,
+      lines,
+    });
+
+    return res.json({
+      salonId,
+      date,
+      durationMinutes,
+      services: lines.map(l => ({ _id: l.serviceId, name: l.name, price: l.price, durationMinutes: l.durationMinutes, addOns: l.addOns })),
+      slots,
+    });
+  } catch (err) {
+    if (err instanceof CatalogError) {
+      return res.status(400).json({ error: err.message });
+    }
+ console.error(" Error computing availability:", err);
+    return res.status(500).json({ error: "Failed to compute availability" });
+  }
+});
+
 // ✅ POST: Create a new time slot
 router.post("/", async (req, res) => {
   const { salonId, professionalId, date, startTime, endTime } = req.body;
@@ -4,6 +4,8 @@ const User = require('../models/User');
 const { generateToken } = require('../utils/jwtUtils');
 const { authenticateToken, requireCustomer } = require('../middleware/authMiddleware');
 const notificationService = require('../services/notificationService');
+const familyMemberService = require('../services/familyMemberService');
+const { FamilyMemberError } = require('../services/familyMemberService');
 const upload = require('../middleware/uploadServiceImage'); // Reusing existing upload configuration
 const crypto = require('crypto');
 
@@ -534,6 +536,7 @@ router.get('/profile', authenticateToken, requireCustomer, async (req, res) => {
         photoURL: user.photoURL,
         gender: user.gender,
         ageCategory: user.ageCategory,
+        familyMembers: user.familyMembers || [],
         address: user.address,
         role: user.role,
         favorites: user.favorites || [],
@@ -1113,6 +1116,72 @@ router.delete('/favorites/:salonId', authenticateToken, requireCustomer, async (
   }
 });
 
+// Family members saved on the account, for group bookings
+const sendFamilyMemberError = (res, error, action) => {
+  if (error instanceof FamilyMemberError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  console.error(`${action} family member error:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// List saved family members
+router.get('/family-members', authenticateToken, requireCustomer, async (req, res) => {
+  try {
+    const familyMembers = await familyMemberService.list(req.user.userId);
+    res.json({ success: true, familyMembers });
+  } catch (error) {
+    sendFamilyMemberError(res, error, 'List');
+  }
+});
+
+// Save a family member
+// Body: { name, relationship?, ageCategory?, dateOfBirth?, gender?, preferences? }
+router.post('/family-members', authenticateToken, requireCustomer, async (req, res) => {
+  try {
+    const familyMember = await familyMemberService.add(req.user.userId, req.body);
+    res.status(201).json({ success: true, message: 'Family member saved', familyMember });
+  } catch (error) {
+    sendFamilyMemberError(res, error, 'Add');
+  }
+});
+
+// Update a saved family member
+router.put('/family-members/:memberId', authenticateToken, requireCustomer, async (req, res) => {
+  try {
+    const familyMember = await familyMemberService.update(req.user.userId, req.params.memberId, req.body);
+    res.json({ success: true, message: 'Family member updated', familyMember });
+  } catch (error) {
+    sendFamilyMemberError(res, error, 'Update');
+  }
+});
+
+// Remove a saved family member (past bookings keep their details)
+router.delete('/family-members/:memberId', authenticateToken, requireCustomer, async (req, res) => {
+  try {
+    await familyMemberService.remove(req.user.userId, req.params.memberId);
+    res.json({ success: true, message: 'Family member removed' });
+  } catch (error) {
+    sendFamilyMemberError(res, error, 'Remove');
+  }
+});
+
+// Past services of a saved family member
+router.get('/family-members/:memberId/history', authenticateToken, requireCustomer, async (req, res) => {
+  try {
+    const user = await familyMemberService.getUser(req.user.userId);
+    const familyMember = familyMemberService.getMember(user, req.params.memberId);
+    const history = await familyMemberService.getHistory(familyMember._id, { limit: 50 });
+    res.json({ success: true, familyMember, history });
+  } catch (error) {
+    sendFamilyMemberError(res, error, 'History of');
+  }
+});
+
 // Deactivate account (soft delete)
 router.post('/deactivate', authenticateToken, async (req, res) => {
   try {
@@ -0,0 +1,223 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const dayjs = require("dayjs");
+const WaitlistEntry = require("../models/WaitlistEntry");
+const Professional = require("../models/Professional");
+const Salon = require("../models/Salon");
+const availabilityService = require("../services/availabilityService");
+const notificationService = require("../services/notificationService");
+const waitlistService = require("../services/waitlistService");
+const { WaitlistOfferError } = require("../services/waitlistService");
+const { authenticateToken, optionalAuth, requireRole } = require("../middleware/authMiddleware");
+const { isValidTime, getServiceMinutes, salonNow } = require("../utils/timeUtils");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const canManageSalon = (user, salonId) => user?.role === "admin"
+  || (user?.role === "owner" && salonId?.toString() === user.userId);
+
+// The open offer's token ({ token } or ?token=), the customer who joined, or the salon owner / an admin
+const canAccessEntry = (req, entry) => {
+  const token = req.body?.token || req.query.token;
+  return (token && entry.offer?.token === token)
+    || (req.user?.role === "customer" && entry.userId?.toString() === req.user.userId)
+    || canManageSalon(req.user, entry.salonId);
+};
+
+const handleOfferError = (err, res, label) => {
+  if (err instanceof WaitlistOfferError) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+ console.error(` Error ${label}:`, err);
+  res.status(500).json({ success: false, message: `Failed ${label}`, error: err.message });
+};
+
+// 📝 POST join the waitlist
+// Body: { salonId, professionalId?, serviceIds: [..], dateFrom, dateTo,
+//         preferredStartTime?, preferredEndTime?, name, email, phone }
+// A logged-in customer's entry is linked to their account, so they can leave it later
+router.post("/", optionalAuth, async (req, res) => {
+  try {
+    const {
+      salonId, professionalId, serviceIds = [], dateFrom, dateTo,
+      preferredStartTime = "00:00", preferredEndTime = "23:59", name, email, phone
+    } = req.body;
+
+    if (!phone && !email) {
+      return res.status(400).json({ success: false, message: "Phone or email is required" });
+    }
+    if (!mongoose.Types.ObjectId.isValid(salonId) || !serviceIds.length
+      || !serviceIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: "A valid salonId and serviceIds are required" });
+    }
+    if (!DATE_PATTERN.test(dateFrom || "") || !DATE_PATTERN.test(dateTo || "") || dateTo < dateFrom) {
+      return res.status(400).json({ success: false, message: "dateFrom and dateTo must be YYYY-MM-DD dates, dateFrom first" });
+    }
+    if (dateTo < salonNow().format("YYYY-MM-DD")) {
+      return res.status(400).json({ success: false, message: "The date range has already passed" });
+    }
+    if (!isValidTime(preferredStartTime) || !isValidTime(preferredEndTime) || preferredEndTime <= preferredStartTime) {
+      return res.status(400).json({ success: false, message: "preferredStartTime and preferredEndTime must be HH:mm, start first" });
+    }
+
+    const services = await availabilityService.resolveServices(salonId, serviceIds);
+    if (services.length !== new Set(serviceIds).size) {
+      return res.status(400).json({ success: false, message: "One or more services were not found in this salon" });
+    }
+
+    if (professionalId) {
+      const professional = await Professional.findOne({ _id: professionalId, salonId }).lean();
+      if (!professional) {
+        return res.status(400).json({ success: false, message: "Professional not found in this salon" });
+      }
+    }
+
+    const entry = await WaitlistEntry.create({
+      salonId,
+      professionalId: professionalId || null,
+      services: services.map(s => ({
+        serviceId: s._id,
+        name: s.name,
+        price: s.price,
+        durationMinutes: getServiceMinutes(s),
+        duration: s.duration
+      })),
+      user: { name: name || "Guest", email: email || "", phone: phone || "" },
+      userId: req.user?.role === "customer" ? req.user.userId : null,
+      dateFrom,
+      dateTo,
+      preferredStartTime,
+      preferredEndTime
+    });
+
+    res.status(201).json({ success: true, message: "Added to the waitlist", entry });
+  } catch (err) {
+ console.error(" Error joining waitlist:", err);
+    res.status(500).json({ success: false, message: "Failed to join waitlist", error: err.message });
+  }
+});
+
+// ✅ GET waitlist entries of a salon (?status=waiting) - the salon owner or an admin
+router.get("/salon/:salonId", authenticateToken, requireRole(["owner", "admin"]), async (req, res) => {
+  try {
+    if (!canManageSalon(req.user, req.params.salonId)) {
+      return res.status(403).json({ success: false, message: "Can only view the waitlist of your own salon" });
+    }
+
+    const query = { salonId: req.params.salonId };
+    if (req.query.status) query.status = req.query.status;
+
+    const entries = await WaitlistEntry.find(query)
+      .select("-offer.token -passedOffers")
+      .sort({ createdAt: 1 })
+      .populate("professionalId", "name")
+      .lean();
+
+    res.json({ success: true, entries });
+  } catch (err) {
+ console.error(" Error fetching salon waitlist:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch waitlist" });
+  }
+});
+
+// ✅ GET a single waitlist entry (the offer token is never returned)
+// Needs the open offer's token (?token=), the customer who joined,
+// or the salon owner / an admin logged in
+router.get("/:id", optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: "Waitlist entry not found" });
+    }
+
+    const existing = await WaitlistEntry.findById(req.params.id).select("salonId userId offer.token").lean();
+    if (!existing) return res.status(404).json({ success: false, message: "Waitlist entry not found" });
+    if (!canAccessEntry(req, existing)) {
+      return res.status(req.user ? 403 : 401).json({ success: false, message: "Not allowed to view this waitlist entry" });
+    }
+
+    const entry = await WaitlistEntry.findById(req.params.id)
+      .select("-offer.token -passedOffers")
+      .populate("salonId", "name location")
+      .populate("offer.professionalId", "name")
+      .lean();
+    if (!entry) return res.status(404).json({ success: false, message: "Waitlist entry not found" });
+
+    res.json({ success: true, entry });
+  } catch (err) {
+ console.error(" Error fetching waitlist entry:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch waitlist entry" });
+  }
+});
+
+// 🎉 POST accept an offer - the first customer to accept gets the booking
+// Body: { token }
+router.post("/:id/accept", async (req, res) => {
+  try {
+    const { entry, appointment } = await waitlistService.acceptOffer(req.params.id, req.body.token);
+
+    try {
+      const salon = await Salon.findById(appointment.salonId).select("name").lean();
+      await notificationService.sendAppointmentConfirmation({
+        customerEmail: appointment.user?.email,
+        customerPhone: appointment.user?.phone,
+        customerName: appointment.user?.name || "Guest",
+        salonName: salon?.name || "Salon",
+        serviceName: appointment.services.map(s => s.name).filter(n => n).join(", ") || "Service",
+        date: dayjs(appointment.date).format("MMMM DD, YYYY"),
+        time: appointment.startTime,
+        totalAmount: appointment.services.reduce((sum, s) => sum + (s.price || 0), 0),
+        appointmentId: appointment._id.toString().slice(-6).toUpperCase()
+      });
+    } catch (notificationError) {
+ console.error(" Waitlist booking notification error:", notificationError);
+    }
+
+    res.status(201).json({ success: true, message: "Offer accepted, appointment booked", entry, appointment });
+  } catch (err) {
+    handleOfferError(err, res, "accepting waitlist offer");
+  }
+});
+
+// 🙅 POST decline an offer and stay on the waitlist
+// Body: { token }
+router.post("/:id/decline", async (req, res) => {
+  try {
+    const entry = await waitlistService.declineOffer(req.params.id, req.body.token);
+    res.json({ success: true, message: "Offer declined, you are still on the waitlist", entry });
+  } catch (err) {
+    handleOfferError(err, res, "declining waitlist offer");
+  }
+});
+
+// ❌ DELETE leave the waitlist
+// Needs the open offer's token ({ token } or ?token=), the customer who joined,
+// or the salon owner / an admin logged in
+router.delete("/:id", optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: "Waitlist entry not found" });
+    }
+
+    const existing = await WaitlistEntry.findById(req.params.id).select("salonId userId offer.token").lean();
+    if (!existing) return res.status(404).json({ success: false, message: "Waitlist entry not found" });
+
+    if (!canAccessEntry(req, existing)) {
+      return res.status(req.user ? 403 : 401).json({ success: false, message: "Not allowed to cancel this waitlist entry" });
+    }
+
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ["waiting", "offered"] } },
+      { $set: { status: "cancelled" }, $unset: { offer: 1 } },
+      { new: true, projection: { "offer.token": 0, passedOffers: 0 } }
+    );
+    if (!entry) return res.status(404).json({ success: false, message: "No active waitlist entry found" });
+
+    res.json({ success: true, message: "Removed from the waitlist", entry });
+  } catch (err) {
+ console.error(" Error leaving waitlist:", err);
+    res.status(500).json({ success: false, message: "Failed to leave waitlist" });
+  }
+});
+
+module.exports = router;
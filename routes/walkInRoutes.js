@@ -0,0 +1,205 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const WalkInEntry = require("../models/WalkInEntry");
+const Professional = require("../models/Professional");
+const availabilityService = require("../services/availabilityService");
+const appointmentStatusService = require("../services/appointmentStatusService");
+const walkInService = require("../services/walkInService");
+const { WalkInError, ACTIVE_STATUSES } = require("../services/walkInService");
+const { SlotConflictError } = require("../services/slotReservationService");
+const { authenticateToken, requireRole } = require("../middleware/authMiddleware");
+const { isValidTime, getServiceMinutes } = require("../utils/timeUtils");
+
+// Reception is the salon owner account; admins can manage every queue
+const requireReception = [authenticateToken, requireRole(["owner", "admin"])];
+const canManageSalon = (user, salonId) => user.role === "admin" || salonId?.toString() === user.userId;
+
+// Load the :id entry of a salon the caller manages, or send 404/403
+const loadEntry = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ success: false, message: "Walk-in not found" });
+    return null;
+  }
+  const entry = await WalkInEntry.findById(req.params.id);
+  if (!entry) {
+    res.status(404).json({ success: false, message: "Walk-in not found" });
+    return null;
+  }
+  if (!canManageSalon(req.user, entry.salonId)) {
+    res.status(403).json({ success: false, message: "Can only manage walk-ins of your own salon" });
+    return null;
+  }
+  return entry;
+};
+
+// 🚶 POST add a walk-in to today's queue
+// Body: { salonId, serviceIds: [..], professionalId?, name, phone, email? }
+router.post("/", requireReception, async (req, res) => {
+  try {
+    const { salonId, serviceIds = [], professionalId, name, phone, email } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(salonId) || !serviceIds.length
+      || !serviceIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: "A valid salonId and serviceIds are required" });
+    }
+    if (!canManageSalon(req.user, salonId)) {
+      return res.status(403).json({ success: false, message: "Can only manage walk-ins of your own salon" });
+    }
+    if (!name) {
+      return res.status(400).json({ success: false, message: "Customer name is required" });
+    }
+
+    const services = await availabilityService.resolveServices(salonId, serviceIds);
+    if (services.length !== new Set(serviceIds).size) {
+      return res.status(400).json({ success: false, message: "One or more services were not found in this salon" });
+    }
+
+    if (professionalId) {
+      const professional = await Professional.findOne({ _id: professionalId, salonId }).lean();
+      if (!professional) {
+        return res.status(400).json({ success: false, message: "Professional not found in this salon" });
+      }
+    }
+
+    const entry = await WalkInEntry.create({
+      salonId,
+      date: walkInService.today(),
+      professionalId: professionalId || null,
+      services: services.map(s => ({
+        serviceId: s._id,
+        name: s.name,
+        price: s.price,
+        durationMinutes: getServiceMinutes(s),
+        duration: s.duration
+      })),
+      customer: { name, phone: phone || "", email: email || "" }
+    });
+
+    const queue = await walkInService.refreshQueue(salonId);
+    const added = queue.find(e => e._id.equals(entry._id)) || entry;
+
+    res.status(201).json({
+      success: true,
+      message: "Walk-in added to the queue",
+      entry: added,
+      position: queue.findIndex(e => e._id.equals(entry._id)) + 1
+    });
+  } catch (err) {
+ console.error(" Error adding walk-in:", err);
+    res.status(500).json({ success: false, message: "Failed to add walk-in", error: err.message });
+  }
+});
+
+// ✅ GET today's queue of a salon with fresh wait estimates (reception)
+router.get("/salon/:salonId", requireReception, async (req, res) => {
+  try {
+    if (!canManageSalon(req.user, req.params.salonId)) {
+      return res.status(403).json({ success: false, message: "Can only manage walk-ins of your own salon" });
+    }
+
+    const queue = await walkInService.refreshQueue(req.params.salonId);
+    res.json({ success: true, date: walkInService.today(), queue });
+  } catch (err) {
+ console.error(" Error fetching walk-in queue:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch walk-in queue" });
+  }
+});
+
+// 📺 GET public queue display: position, first name and estimated wait only
+router.get("/salon/:salonId/display", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.salonId)) {
+      return res.status(404).json({ success: false, message: "Salon not found" });
+    }
+
+    const queue = await WalkInEntry.find({
+      salonId: req.params.salonId,
+      date: walkInService.today(),
+      status: { $in: ACTIVE_STATUSES }
+    })
+      .sort({ createdAt: 1 })
+      .select("customer.name estimate.waitMinutes status")
+      .lean();
+
+    res.json({
+      success: true,
+      queue: queue.map((entry, index) => ({
+        position: index + 1,
+        name: (entry.customer?.name || "Guest").split(" ")[0],
+        estimatedWaitMinutes: entry.estimate?.waitMinutes ?? null,
+        status: entry.status
+      }))
+    });
+  } catch (err) {
+ console.error(" Error fetching walk-in display:", err);
+    res.status(500).json({ success: false, message: "Failed to fetch walk-in queue" });
+  }
+});
+
+// ✅ POST turn a walk-in into a checked-in appointment
+// Body: { professionalId?, startTime? } - defaults to the current estimate
+router.post("/:id/convert", requireReception, async (req, res) => {
+  try {
+    const { professionalId, startTime } = req.body;
+    if (startTime && !isValidTime(startTime)) {
+      return res.status(400).json({ success: false, message: "startTime must be HH:mm" });
+    }
+
+    const entry = await loadEntry(req, res);
+    if (!entry) return;
+
+    if (professionalId) {
+      const professional = await Professional.findOne({ _id: professionalId, salonId: entry.salonId }).lean();
+      if (!professional) {
+        return res.status(400).json({ success: false, message: "Professional not found in this salon" });
+      }
+    }
+
+    const appointment = await walkInService.convert(entry, {
+      professionalId,
+      startTime,
+      actor: appointmentStatusService.actorFromRequest(req)
+    });
+
+    // Everyone behind them moves up
+    const queue = await walkInService.refreshQueue(entry.salonId, entry.date);
+
+    res.status(201).json({ success: true, message: "Walk-in converted to an appointment", appointment, queue });
+  } catch (err) {
+    if (err instanceof SlotConflictError) {
+      return res.status(409).json({ success: false, message: err.message, conflicts: err.conflicts });
+    }
+    if (err instanceof WalkInError) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+
+ console.error(" Error converting walk-in:", err);
+    res.status(500).json({ success: false, message: "Failed to convert walk-in", error: err.message });
+  }
+});
+
+// ❌ DELETE remove a walk-in who left the queue
+router.delete("/:id", requireReception, async (req, res) => {
+  try {
+    const entry = await loadEntry(req, res);
+    if (!entry) return;
+
+    const updated = await WalkInEntry.findOneAndUpdate(
+      { _id: entry._id, status: { $in: ACTIVE_STATUSES } },
+      { $set: { status: "left" } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ success: false, message: `A ${entry.status} walk-in cannot be removed` });
+    }
+
+    const queue = await walkInService.refreshQueue(entry.salonId, entry.date);
+    res.json({ success: true, message: "Walk-in removed from the queue", entry: updated, queue });
+  } catch (err) {
+ console.error(" Error removing walk-in:", err);
+    res.status(500).json({ success: false, message: "Failed to remove walk-in" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * Fill Service.durationMinutes from the old text duration ("1 hour 15 minutes")
+ * for services created before the numeric field existed. Safe to re-run.
+ *
+ * Usage: npm run migrate:service-durations -- [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const { durationToMinutes } = require('../utils/timeUtils');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const services = await Service.find({ durationMinutes: { $exists: false } }).select('name duration').lean();
+ console.log(` ${services.length} services without durationMinutes${dryRun ? ' (dry run)' : ''}`);
+
+  if (!dryRun && services.length > 0) {
+    await Service.bulkWrite(services.map(service => ({
+      updateOne: {
+        filter: { _id: service._id },
+        update: { $set: { durationMinutes: durationToMinutes(service.duration) } },
+      },
+    })));
+  }
+
+ console.log(' Done');
+};
+
+run()
+  .catch((error) => {
+ console.error(' Backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
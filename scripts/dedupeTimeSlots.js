@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Remove duplicate TimeSlot documents and build the unique
+ * (professionalId, date, startTime) index.
+ *
+ * The old family-booking flow could upsert a second slot for a start time a
+ * professional already had, and the unique index cannot be built while such
+ * duplicates exist. For every duplicated start time one slot is kept: a
+ * booked one if there is any (a held one otherwise), so no booking is lost.
+ * Run it once before deploying the unique index; it can be re-run safely.
+ *
+ * Usage: npm run migrate:dedupe-time-slots -- [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const TimeSlot = require('../models/TimeSlot');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Booked beats held beats free; the oldest slot wins a tie
+const rank = (slot) => (slot.isBooked && !slot.heldBy ? 0 : slot.isBooked ? 1 : 2);
+
+const pickKeeper = (slots) => [...slots].sort((a, b) => rank(a) - rank(b) || String(a._id).localeCompare(String(b._id)))[0];
+
+const run = async () => {
+  // The index is built below, once the duplicates are gone
+  await mongoose.connect(process.env.MONGO_URI, { autoIndex: false });
+ console.log(` Removing duplicate time slots${dryRun ? ' (dry run)' : ''}`);
+
+  const groups = await TimeSlot.aggregate([
+    {
+      $group: {
+        _id: { professionalId: '$professionalId', date: '$date', startTime: '$startTime' },
+        slots: { $push: { _id: '$_id', isBooked: '$isBooked', heldBy: '$heldBy' } },
+        count: { $sum: 1 },
+      },
+    },
+    { $match: { count: { $gt: 1 } } },
+  ]).allowDiskUse(true);
+
+  let removed = 0;
+  for (const group of groups) {
+    const keeper = pickKeeper(group.slots);
+    const extra = group.slots.filter(slot => !slot._id.equals(keeper._id)).map(slot => slot._id);
+    const { professionalId, date, startTime } = group._id;
+
+    if (group.slots.filter(slot => slot.isBooked).length > 1) {
+ console.warn(` ${professionalId} ${date} ${startTime}: ${group.slots.length} slots, several booked - kept ${keeper._id}`);
+    }
+    if (dryRun) {
+      removed += extra.length;
+    } else {
+      const result = await TimeSlot.deleteMany({ _id: { $in: extra } });
+      removed += result.deletedCount;
+    }
+  }
+
+ console.log(` Done: ${groups.length} duplicated start times, ${removed} slots ${dryRun ? 'to remove' : 'removed'}`);
+
+  if (!dryRun) {
+    await TimeSlot.createIndexes();
+ console.log(' TimeSlot indexes built');
+  }
+  return true;
+};
+
+run()
+  .then(ok => { process.exitCode = ok ? 0 : 1; })
+  .catch((error) => {
+ console.error(' Time slot dedupe failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate FamilyBooking documents to Appointment group bookings.
+ *
+ * Each FamilyBooking becomes one Appointment per member, sharing the
+ * bookingGroupId "family-<FamilyBooking _id>" (the old id still works on
+ * /api/familybooking/:bookingId). Bookings already migrated are skipped, so
+ * the script can be re-run safely. Slots of upcoming members are marked as
+ * booked; a booking whose upcoming time another appointment or a checkout
+ * has taken since is reported and left unmigrated, so nobody is double-booked.
+ * FamilyBooking documents are left in place.
+ *
+ * Usage: npm run migrate:family-bookings -- [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const dayjs = require('dayjs');
+const FamilyBooking = require('../models/familybooking');
+const Appointment = require('../models/Appointment');
+const Service = require('../models/Service');
+const TimeSlot = require('../models/TimeSlot');
+const slotReservationService = require('../services/slotReservationService');
+const { toTime24, durationToMinutes, computeEndTime, timeToMinutes, salonNow } = require('../utils/timeUtils');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Old statuses are a subset of the appointment lifecycle
+const STATUSES = ['pending', 'confirmed', 'cancelled', 'completed'];
+
+/**
+ * Appointment documents for one FamilyBooking.
+ * @returns {Array} plain objects, or throws when a member cannot be converted
+ */
+const toAppointments = (booking, servicesById) => {
+  const bookingGroupId = `family-${booking._id}`;
+
+  return booking.appointments.map((member, index) => {
+    const service = servicesById.get(member.serviceId?.toString());
+    const details = member.serviceDetails || {};
+    const duration = details.duration || service?.duration || '30 minutes';
+
+    const startTime = toTime24(member.startTime);
+    if (!startTime) {
+      throw new Error(`member ${index + 1} has an unreadable startTime "${member.startTime}"`);
+    }
+    const endTime = toTime24(member.endTime);
+    const status = STATUSES.includes(member.status) ? member.status : (booking.status || 'confirmed');
+
+    return {
+      salonId: booking.salonId,
+      professionalId: member.professionalId || null,
+      services: [{
+        serviceId: member.serviceId,
+        name: member.serviceName || details.name || service?.name || 'Service',
+        price: member.servicePrice ?? details.price ?? service?.price ?? 0,
+        duration,
+      }],
+      user: {
+        name: booking.customerInfo?.name,
+        email: booking.customerInfo?.email,
+        phone: booking.customerInfo?.phone,
+        photoURL: '',
+      },
+      date: dayjs(member.date || booking.bookingDate).format('YYYY-MM-DD'),
+      startTime,
+      endTime: endTime && timeToMinutes(endTime) > timeToMinutes(startTime)
+        ? endTime
+        : computeEndTime(startTime, durationToMinutes(duration)),
+      status,
+      statusHistory: [{
+        from: null,
+        to: status,
+        changedBy: { role: 'system', source: 'family-booking-migration' },
+        reason: 'Migrated from FamilyBooking',
+      }],
+      isGroupBooking: true,
+      bookingGroupId,
+      memberInfo: {
+        name: member.familyMember?.name,
+        category: member.familyMember?.relationship,
+        dateOfBirth: member.familyMember?.dateOfBirth,
+        preferences: member.familyMember?.preferences,
+      },
+      notes: member.notes || '',
+      specialInstructions: booking.specialInstructions || '',
+      createdAt: booking.createdAt,
+    };
+  });
+};
+
+// Members still to come, whose slots must be booked
+const upcoming = (appointments, today) => appointments.filter(appt =>
+  appt.professionalId && appt.date >= today && !['cancelled', 'completed'].includes(appt.status));
+
+/**
+ * Upcoming members whose time is taken by someone else. The old flow already
+ * booked the family's own slots, so a booked slot only clashes when another
+ * active appointment covers it or a checkout holds it.
+ * @returns {Promise<Array>} [{ date, startTime, endTime, professionalId, takenBy }]
+ */
+const findClashes = async (appointments, today, session = null) => {
+  const clashes = [];
+
+  for (const appt of upcoming(appointments, today)) {
+    const booked = (await slotReservationService.findConflicts(appt, session)).filter(c => c.reason === 'booked');
+    if (booked.length === 0) continue;
+
+    const other = await Appointment.findOne({
+      professionalId: appt.professionalId,
+      date: appt.date,
+      bookingGroupId: { $ne: appt.bookingGroupId },
+      status: { $nin: ['cancelled', 'completed', 'no-show'] },
+      startTime: { $lt: appt.endTime },
+      endTime: { $gt: appt.startTime },
+    }).select('_id').session(session).lean();
+    const held = !other && await TimeSlot.exists({
+      professionalId: appt.professionalId,
+      date: appt.date,
+      startTime: { $in: booked.map(c => c.startTime) },
+      heldBy: { $exists: true },
+    }).session(session);
+
+    if (other || held) {
+      clashes.push({
+        date: appt.date,
+        startTime: appt.startTime,
+        endTime: appt.endTime,
+        professionalId: appt.professionalId.toString(),
+        takenBy: other ? `appointment ${other._id}` : 'a checkout hold',
+      });
+    }
+  }
+  return clashes;
+};
+
+const describeClashes = clashes => clashes
+  .map(c => `${c.date} ${c.startTime}-${c.endTime} (professional ${c.professionalId}) is taken by ${c.takenBy}`)
+  .join('; ');
+
+const migrateBooking = async (booking, servicesById, today) => {
+  if (await Appointment.exists({ bookingGroupId: `family-${booking._id}` })) return 'skipped';
+
+  const appointments = toAppointments(booking, servicesById);
+  if (dryRun) {
+    const clashes = await findClashes(appointments, today);
+    if (clashes.length > 0) throw new Error(`double booking: ${describeClashes(clashes)}`);
+    return 'migrated';
+  }
+
+  await mongoose.connection.transaction(async (session) => {
+    // Another booking writing these slots meanwhile makes the transaction conflict and fail
+    const clashes = await findClashes(appointments, today, session);
+    if (clashes.length > 0) throw new Error(`double booking: ${describeClashes(clashes)}`);
+
+    await Appointment.insertMany(appointments, { session });
+
+    // Upcoming visits must not be offered to anyone else
+    for (const appt of upcoming(appointments, today)) {
+      await TimeSlot.updateMany(
+        {
+          professionalId: appt.professionalId,
+          date: appt.date,
+          startTime: { $gte: appt.startTime, $lt: appt.endTime },
+        },
+        { isBooked: true },
+        { session }
+      );
+    }
+  });
+  return 'migrated';
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+ console.log(` Migrating family bookings${dryRun ? ' (dry run)' : ''}`);
+
+  const bookings = await FamilyBooking.find().lean();
+  const serviceIds = bookings.flatMap(b => b.appointments.map(a => a.serviceId)).filter(Boolean);
+  const services = await Service.find({ _id: { $in: serviceIds } }).lean();
+  const servicesById = new Map(services.map(s => [s._id.toString(), s]));
+  const today = salonNow().format('YYYY-MM-DD');
+
+  const counts = { migrated: 0, skipped: 0, failed: 0 };
+  for (const booking of bookings) {
+    try {
+      counts[await migrateBooking(booking, servicesById, today)]++;
+    } catch (error) {
+      counts.failed++;
+ console.error(` FamilyBooking ${booking._id} not migrated: ${error.message}`);
+    }
+  }
+
+ console.log(` Done: ${counts.migrated} migrated, ${counts.skipped} already migrated, ${counts.failed} failed`);
+  return counts.failed === 0;
+};
+
+run()
+  .then(ok => { process.exitCode = ok ? 0 : 1; })
+  .catch((error) => {
+ console.error(' Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -15,6 +15,9 @@ const serviceRoutes = require('./routes/serviceRoutes');
 const professionalRoutes = require("./routes/professionalRoutes");
 const timeSlotRoutes = require("./routes/timeSlotRouts");
 const appointmentRoutes = require("./routes/appointmentRoutes");
+const appointmentSeriesRoutes = require("./routes/appointmentSeriesRoutes");
+const waitlistRoutes = require("./routes/waitlistRoutes");
+const walkInRoutes = require("./routes/walkInRoutes");
 const userRoutes = require('./routes/userRoutes');
 const feedbackRoutes = require("./routes/feedbackRoutes");
 const familybookingRoutes = require("./routes/familybookingRoutes");
@@ -55,7 +58,8 @@ app.use((req, res, next) => {
 });
 
 // Request parsing middleware (consolidated)
-app.use(express.json({ limit: "10mb" }));
+// rawBody keeps the exact bytes for webhook signature checks (Stripe)
+app.use(express.json({ limit: "10mb", verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Add explicit OPTIONS handling for debugging
@@ -134,6 +138,9 @@ app.use('/api/professionals', professionalsWithRatingsRoute); // Optimized profe
 app.use('/api/professionals', professionalRoutes);
 app.use('/api/timeslots', timeSlotRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/appointment-series', appointmentSeriesRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/walkins', walkInRoutes);
 app.use("/api/feedback", feedbackRoutes);
 app.use("/uploads", express.static("uploads"));
 app.use("/uploads/services", express.static(path.join(__dirname, "uploads/services")));
@@ -198,7 +205,7 @@ const server = app.listen(PORT, () => {
     console.log(` Production server running on port ${PORT}`);
     console.log(` CORS enabled for production domains`);
   }
-  console.log(` Payment endpoint: POST http://localhost:${PORT}/api/payments/create-payment-intent`);
+  console.log(` Payment endpoint: POST http://localhost:${PORT}/api/payments/stripe/create-payment-intent`);
 });
 
 // Handle server errors
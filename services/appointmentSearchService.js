@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const appointmentStatusService = require('./appointmentStatusService');
+
+/**
+ * Appointment Search Service
+ *
+ * Filtered appointment lists with cursor (keyset) pagination. The cursor holds
+ * the sort values of the last row returned, so pages stay stable while new
+ * bookings come in and deep pages cost the same as the first.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Every sort ends with _id so the order is total and cursors are unambiguous
+const SORTS = {
+  'date': [['date', 1], ['startTime', 1], ['_id', 1]],
+  '-date': [['date', -1], ['startTime', -1], ['_id', -1]],
+  'createdAt': [['createdAt', 1], ['_id', 1]],
+  '-createdAt': [['createdAt', -1], ['_id', -1]],
+};
+const DEFAULT_SORT = '-date';
+
+const PAYMENT_STATUSES = ['unpaid', 'paid', 'partially_refunded', 'refunded'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class SearchValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchValidationError';
+    this.statusCode = 400;
+  }
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(v => v.trim())
+  .filter(Boolean);
+
+class AppointmentSearchService {
+  encodeCursor(doc, sortKey) {
+    const values = SORTS[sortKey].map(([field]) => doc[field]);
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+  }
+
+  decodeCursor(cursor, sortKey) {
+    try {
+      const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      const fields = SORTS[sortKey];
+      if (!Array.isArray(values) || values.length !== fields.length) throw new Error('length');
+
+      return values.map((value, i) => {
+        const [field] = fields[i];
+        if (field === '_id') return new mongoose.Types.ObjectId(value);
+        if (field === 'createdAt') return new Date(value);
+        return value;
+      });
+    } catch (error) {
+      throw new SearchValidationError('Invalid cursor');
+    }
+  }
+
+  // Rows strictly after the cursor in the chosen order
+  cursorFilter(values, sortKey) {
+    const fields = SORTS[sortKey];
+    return {
+      $or: fields.map(([field, direction], i) => {
+        const clause = {};
+        for (let j = 0; j < i; j++) clause[fields[j][0]] = values[j];
+        clause[field] = { [direction === 1 ? '$gt' : '$lt']: values[i] };
+        return clause;
+      }),
+    };
+  }
+
+  /**
+   * Turn query-string filters into a MongoDB filter.
+   * Throws SearchValidationError on bad input.
+   */
+  buildFilter(params) {
+    const { dateFrom, dateTo, status, paymentStatus, professionalId, service, customer, isGroupBooking, salonId } = params;
+    const filter = {};
+
+    if (dateFrom || dateTo) {
+      if ((dateFrom && !DATE_PATTERN.test(dateFrom)) || (dateTo && !DATE_PATTERN.test(dateTo))) {
+        throw new SearchValidationError('dateFrom and dateTo must be YYYY-MM-DD');
+      }
+      filter.date = {};
+      if (dateFrom) filter.date.$gte = dateFrom;
+      if (dateTo) filter.date.$lte = dateTo;
+    }
+
+    if (status) {
+      const statuses = toList(status).map(s => appointmentStatusService.normalize(s));
+      if (statuses.includes(null)) throw new SearchValidationError('Unknown status filter');
+      filter.status = { $in: statuses };
+    }
+
+    if (paymentStatus) {
+      const statuses = toList(paymentStatus);
+      if (statuses.some(s => !PAYMENT_STATUSES.includes(s))) {
+        throw new SearchValidationError(`paymentStatus must be one of: ${PAYMENT_STATUSES.join(', ')}`);
+      }
+      filter.paymentStatus = { $in: statuses };
+    }
+
+    for (const [key, value] of [['professionalId', professionalId], ['salonId', salonId]]) {
+      if (!value) continue;
+      const ids = toList(value);
+      if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        throw new SearchValidationError(`Invalid ${key}`);
+      }
+      filter[key] = { $in: ids.map(id => new mongoose.Types.ObjectId(id)) };
+    }
+
+    if (service) {
+      filter['services.name'] = new RegExp(escapeRegex(service), 'i');
+    }
+
+    if (customer) {
+      const pattern = new RegExp(escapeRegex(customer), 'i');
+      filter.$or = [{ 'user.name': pattern }, { 'user.email': pattern }, { 'user.phone': pattern }];
+    }
+
+    if (isGroupBooking !== undefined && isGroupBooking !== '') {
+      filter.isGroupBooking = isGroupBooking === true || isGroupBooking === 'true';
+    }
+
+    return filter;
+  }
+
+  /**
+   * Search appointments within `scope` (what the caller may see).
+   * @param {Object} params - query-string filters plus { sort, limit, cursor }
+   * @param {Object} scope - filter from appointmentScope()
+   * @returns {Promise<Object>} { data, pageInfo, total, countsByStatus }
+   */
+  async search(params, scope = {}) {
+    const sortKey = params.sort || DEFAULT_SORT;
+    if (!SORTS[sortKey]) {
+      throw new SearchValidationError(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+    }
+
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const baseFilter = { $and: [scope, this.buildFilter(params)] };
+    const pageFilter = params.cursor
+      ? { $and: [...baseFilter.$and, this.cursorFilter(this.decodeCursor(params.cursor, sortKey), sortKey)] }
+      : baseFilter;
+
+    // Aggregations do not cast, so ids in the filters must already be ObjectIds
+    const [rows, total, byStatus] = await Promise.all([
+      Appointment.find(pageFilter)
+        .sort(SORTS[sortKey])
+        .limit(limit + 1)
+        .populate('salonId', 'name location')
+        .populate('professionalId', 'name')
+        .lean(),
+      Appointment.countDocuments(baseFilter),
+      Appointment.aggregate([
+        { $match: baseFilter },
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const hasMore = rows.length > limit;
+    const data = hasMore ? rows.slice(0, limit) : rows;
+    const last = data[data.length - 1];
+
+    return {
+      data,
+      pageInfo: {
+        limit,
+        sort: sortKey,
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(last, sortKey) : null,
+      },
+      total,
+      countsByStatus: Object.fromEntries(byStatus.map(s => [s._id || 'unknown', s.count])),
+    };
+  }
+}
+
+const appointmentSearchService = new AppointmentSearchService();
+
+module.exports = appointmentSearchService;
+module.exports.SearchValidationError = SearchValidationError;
+module.exports.SORTS = SORTS;
@@ -0,0 +1,215 @@
+const dayjs = require('dayjs');
+const Appointment = require('../models/Appointment');
+const AppointmentSeries = require('../models/AppointmentSeries');
+const Professional = require('../models/Professional');
+const Salon = require('../models/Salon');
+const recurrenceService = require('./recurrenceService');
+const slotReservationService = require('./slotReservationService');
+const timeSlotService = require('./timeSlotService');
+const appointmentStatusService = require('./appointmentStatusService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const waitlistService = require('./waitlistService');
+const rescheduleService = require('./rescheduleService');
+const { SlotConflictError } = require('./slotReservationService');
+const { ReschedulePolicyError } = require('./rescheduleService');
+const { getServiceMinutes, computeEndTime } = require('../utils/timeUtils');
+
+/**
+ * Appointment Series Service
+ *
+ * Books, edits and cancels the occurrences of a recurring series. Every
+ * occurrence is reserved on its own, so one clash does not stop the rest:
+ * clashing occurrences are reported and kept in series.skippedOccurrences.
+ */
+
+// Statuses whose occurrences can still be moved or cancelled
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+class AppointmentSeriesService {
+  isEditable(appointment) {
+    return ACTIVE_STATUSES.includes(appointmentStatusService.normalize(appointment.status) || 'pending');
+  }
+
+  getDurationMinutes(services) {
+    return services.reduce((sum, s) => sum + getServiceMinutes(s), 0);
+  }
+
+  /**
+   * Occurrences far ahead may fall outside the nightly slot window, so their
+   * slots are generated on demand before reserving.
+   */
+  async ensureSlots(professionalId, date) {
+    const professional = await Professional.findById(professionalId).lean();
+    if (!professional) return;
+    await timeSlotService.generateForProfessionals([professional], [date]);
+  }
+
+  /**
+   * Reserve and create a single occurrence.
+   * Throws SlotConflictError when its slots are not free.
+   */
+  async bookOccurrence(series, { date, startTime, professionalId, occurrence }) {
+    const endTime = computeEndTime(startTime, this.getDurationMinutes(series.services));
+    await this.ensureSlots(professionalId, date);
+
+    const [appointment] = await slotReservationService.reserveAndRun(
+      [{ professionalId, date, startTime, endTime }],
+      (session) => Appointment.create([{
+        salonId: series.salonId,
+        professionalId,
+        services: series.services,
+        date,
+        startTime,
+        endTime,
+        user: series.user,
+        status: 'pending',
+        seriesId: series._id,
+        seriesOccurrence: occurrence,
+      }], { session })
+    );
+    return appointment;
+  }
+
+  /**
+   * Create a series and book every occurrence of its rule.
+   * @returns {Promise<Object>} { series, booked, conflicts }
+   */
+  async createSeries({ salonId, professionalId, services, user, rule, startDate, startTime, endDate, occurrenceCount }) {
+    const series = await AppointmentSeries.create({
+      salonId,
+      professionalId,
+      services,
+      user,
+      rule: recurrenceService.normalizeRule(rule, startDate),
+      startDate,
+      startTime,
+      endDate,
+      occurrenceCount,
+    });
+
+    const dates = recurrenceService.getOccurrenceDates({ rule, startDate, endDate, occurrenceCount });
+    const booked = [];
+    const conflicts = [];
+
+    for (const [index, date] of dates.entries()) {
+      try {
+        booked.push(await this.bookOccurrence(series, { date, startTime, professionalId, occurrence: index + 1 }));
+      } catch (err) {
+        if (!(err instanceof SlotConflictError)) throw err;
+        conflicts.push({ date, startTime, conflicts: err.conflicts });
+      }
+    }
+
+    if (conflicts.length > 0) {
+      series.skippedOccurrences = conflicts;
+      await series.save();
+    }
+
+ console.log(` Series ${series._id}: ${booked.length} booked, ${conflicts.length} skipped`);
+    return { series, booked, conflicts };
+  }
+
+  // The given occurrence and, for scope "following", every later active one
+  async findOccurrences(series, appointment, scope) {
+    if (scope !== 'following') return [appointment];
+
+    return Appointment.find({
+      seriesId: series._id,
+      date: { $gte: appointment.date },
+      status: { $in: ACTIVE_STATUSES },
+    }).sort({ date: 1, startTime: 1 });
+  }
+
+  /**
+   * Move one occurrence like any other appointment (rescheduleService): a
+   * new professional must perform its services and brings their own
+   * durations and prices, and old slots are freed and new ones claimed in
+   * one transaction, so the appointment never ends up without slots.
+   */
+  async moveOccurrence(appointment, { date, startTime, professionalId }, { actor } = {}) {
+    const target = {
+      date: date || appointment.date,
+      startTime: startTime || appointment.startTime,
+      professionalId,
+    };
+    await this.ensureSlots(professionalId || appointment.professionalId, target.date);
+
+    const { appointment: moved } = await rescheduleService.reschedule(appointment, target, { actor });
+    return moved;
+  }
+
+  /**
+   * Edit one occurrence or it and all following ones.
+   * "following" only changes the time and/or professional; each occurrence keeps its date.
+   * The salon's reschedule policy applies to customers: a single occurrence it
+   * forbids throws ReschedulePolicyError, following ones are reported with the conflicts.
+   * @returns {Promise<Object>} { updated, conflicts }
+   */
+  async updateOccurrences(series, appointment, { scope = 'single', date, startTime, professionalId, actor }) {
+    const occurrences = await this.findOccurrences(series, appointment, scope);
+    const salon = await Salon.findById(series.salonId).select('reschedulePolicy').lean();
+    const updated = [];
+    const conflicts = [];
+
+    for (const occ of occurrences) {
+      try {
+        rescheduleService.checkPolicy(occ, salon, { actorRole: actor?.role });
+        updated.push(await this.moveOccurrence(occ, {
+          date: scope === 'single' ? date : undefined,
+          startTime,
+          professionalId,
+        }, { actor }));
+      } catch (err) {
+        if (err instanceof ReschedulePolicyError && scope === 'following') {
+          conflicts.push({ appointmentId: occ._id, date: occ.date, message: err.message });
+          continue;
+        }
+        if (!(err instanceof SlotConflictError)) throw err;
+        conflicts.push({ appointmentId: occ._id, date: occ.date, conflicts: err.conflicts });
+      }
+    }
+
+    // Future occurrences follow the new template
+    if (scope === 'following') {
+      if (startTime) series.startTime = startTime;
+      if (professionalId) series.professionalId = professionalId;
+      await series.save();
+    }
+
+    return { updated, conflicts };
+  }
+
+  /**
+   * Cancel one occurrence or it and all following ones (ending the series).
+   * The salon's cancellation policy applies to each cancelled occurrence.
+   * @returns {Promise<Object>} { cancelled: [{ appointmentId, date, charge }] }
+   */
+  async cancelOccurrences(series, appointment, { scope = 'single', actor, reason = null }) {
+    const occurrences = await this.findOccurrences(series, appointment, scope);
+    const cancelled = [];
+
+    for (const occ of occurrences) {
+      if (!appointmentStatusService.canTransition(occ.status, 'cancelled')) continue;
+      const { charge } = await cancellationPolicyService.cancel(occ, { actor, reason });
+      cancelled.push({ appointmentId: occ._id, date: occ.date, charge });
+      waitlistService.offerFreedSlots(occ)
+        .catch(error => console.error(' Waitlist offers failed:', error));
+    }
+
+    if (scope === 'following') {
+      const remaining = await Appointment.countDocuments({
+        seriesId: series._id,
+        status: { $in: ACTIVE_STATUSES },
+      });
+      series.endDate = dayjs(appointment.date).subtract(1, 'day').format('YYYY-MM-DD');
+      if (remaining === 0) series.status = 'cancelled';
+      await series.save();
+    }
+
+    return { cancelled };
+  }
+}
+
+const appointmentSeriesService = new AppointmentSeriesService();
+
+module.exports = appointmentSeriesService;
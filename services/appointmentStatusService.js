@@ -0,0 +1,134 @@
+const Appointment = require('../models/Appointment');
+
+/**
+ * Appointment Status Service
+ *
+ * Lifecycle:
+ *   pending → confirmed → checked-in → in-progress → completed
+ *   plus cancelled (before service starts) and no-show (confirmed but never arrived).
+ * completed, cancelled and no-show are final.
+ *
+ * Every change is appended to Appointment.statusHistory with who made it and why.
+ */
+
+const TRANSITIONS = {
+  'pending': ['confirmed', 'cancelled'],
+  'confirmed': ['checked-in', 'cancelled', 'no-show'],
+  'checked-in': ['in-progress', 'cancelled'],
+  'in-progress': ['completed'],
+  'completed': [],
+  'cancelled': [],
+  'no-show': [],
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Older clients and documents use these spellings
+const ALIASES = {
+  'cancel': 'cancelled',
+  'canceled': 'cancelled',
+  'noshow': 'no-show',
+  'no_show': 'no-show',
+  'checked_in': 'checked-in',
+  'checkedin': 'checked-in',
+  'in_progress': 'in-progress',
+  'inprogress': 'in-progress',
+};
+
+class StatusTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change appointment status from "${from}" to "${to}"`);
+    this.name = 'StatusTransitionError';
+    this.statusCode = 409;
+    this.from = from;
+    this.to = to;
+    this.allowed = TRANSITIONS[from] || [];
+  }
+}
+
+class AppointmentStatusService {
+  /**
+   * Canonical status name, or null when the value is not a known status.
+   */
+  normalize(status) {
+    if (!status || typeof status !== 'string') return null;
+    const key = status.trim().toLowerCase();
+    const normalized = ALIASES[key] || key;
+    return STATUSES.includes(normalized) ? normalized : null;
+  }
+
+  getAllowedTransitions(status) {
+    return TRANSITIONS[this.normalize(status) || 'pending'];
+  }
+
+  canTransition(from, to) {
+    return this.getAllowedTransitions(from).includes(this.normalize(to));
+  }
+
+  /**
+   * Actor details for the history entry, taken from the authenticated request.
+   */
+  actorFromRequest(req) {
+    return {
+      userId: req.user?.userId || null,
+      email: req.user?.email || null,
+      role: req.user?.role || 'anonymous',
+    };
+  }
+
+  // Actor for changes made by the backend itself (webhooks, cron jobs)
+  systemActor(source) {
+    return { userId: null, email: null, role: 'system', source };
+  }
+
+  /**
+   * Move an appointment to a new status and record the change.
+   * The update only applies if the status is still what was read, so two
+   * concurrent changes cannot both succeed.
+   * @param {string|Object} appointmentOrId - Appointment document or id
+   * @param {string} toStatus
+   * @param {Object} options - { actor, reason, update (extra $set fields), session }
+   * @returns {Promise<Object|null>} updated appointment, or null if it does not exist
+   */
+  async transition(appointmentOrId, toStatus, { actor, reason = null, update = {}, session = null } = {}) {
+    const appointment = typeof appointmentOrId === 'object' && appointmentOrId._id
+      ? appointmentOrId
+      : await Appointment.findById(appointmentOrId).session(session);
+    if (!appointment) return null;
+
+    const to = this.normalize(toStatus);
+    const from = this.normalize(appointment.status) || 'pending';
+    if (!to || !TRANSITIONS[from].includes(to)) {
+      throw new StatusTransitionError(from, to || toStatus);
+    }
+
+    const entry = {
+      from,
+      to,
+      changedBy: actor || this.systemActor('unknown'),
+      reason,
+      changedAt: new Date(),
+    };
+
+    const updated = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: appointment.status },
+      { $set: { ...update, status: to }, $push: { statusHistory: entry } },
+      { new: true, session }
+    );
+
+    // Someone else changed the status after we read it
+    if (!updated) {
+      const current = await Appointment.findById(appointment._id).select('status').session(session);
+      if (!current) return null;
+      throw new StatusTransitionError(this.normalize(current.status) || current.status, to);
+    }
+
+    return updated;
+  }
+}
+
+const appointmentStatusService = new AppointmentStatusService();
+
+module.exports = appointmentStatusService;
+module.exports.StatusTransitionError = StatusTransitionError;
+module.exports.STATUSES = STATUSES;
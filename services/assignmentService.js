@@ -0,0 +1,131 @@
+const Appointment = require('../models/Appointment');
+const Salon = require('../models/Salon');
+const availabilityService = require('./availabilityService');
+const serviceCatalogService = require('./serviceCatalogService');
+const { SlotConflictError } = require('./slotReservationService');
+const { timeToMinutes, computeEndTime } = require('../utils/timeUtils');
+
+/**
+ * Assignment Service
+ *
+ * Picks a professional for "any professional" bookings. Candidates must be able
+ * to perform every booked service and be free for the whole appointment.
+ * Among them, the salon's strategy decides (Salon.assignmentStrategy, falling
+ * back to ASSIGNMENT_STRATEGY, default "least-booked"):
+ *   - least-booked: fewest active appointments on that day
+ *   - round-robin: the professional auto-assigned least recently
+ * The appointment then takes the chosen professional's own price and duration
+ * (Professional.serviceOverrides), and its endTime moves with the duration.
+ */
+
+const STRATEGIES = ['least-booked', 'round-robin'];
+const DEFAULT_STRATEGY = 'least-booked';
+
+class AssignmentService {
+  getStrategy(salon) {
+    const strategy = salon?.assignmentStrategy || process.env.ASSIGNMENT_STRATEGY;
+    return STRATEGIES.includes(strategy) ? strategy : DEFAULT_STRATEGY;
+  }
+
+  /**
+   * Sort candidates by the salon's strategy (best first). Ties keep their order.
+   * @returns {Promise<Array>} the same professionals, reordered
+   */
+  async orderCandidates(professionals, { salonId, date, session = null }) {
+    if (professionals.length < 2) return professionals;
+
+    const salon = await Salon.findById(salonId).select('assignmentStrategy').session(session).lean();
+    const strategy = this.getStrategy(salon);
+    const ids = professionals.map(p => p._id);
+
+    let rank;
+    if (strategy === 'round-robin') {
+      const lastAssigned = await Appointment.aggregate([
+        { $match: { professionalId: { $in: ids }, autoAssigned: true } },
+        { $group: { _id: '$professionalId', last: { $max: '$createdAt' } } },
+      ]).session(session);
+      const lastById = new Map(lastAssigned.map(r => [r._id.toString(), r.last.getTime()]));
+      rank = (p) => lastById.get(p._id.toString()) || 0;
+    } else {
+      const bookings = await Appointment.aggregate([
+        { $match: { professionalId: { $in: ids }, date, status: { $nin: ['cancelled', 'no-show'] } } },
+        { $group: { _id: '$professionalId', count: { $sum: 1 } } },
+      ]).session(session);
+      const countById = new Map(bookings.map(r => [r._id.toString(), r.count]));
+      rank = (p) => countById.get(p._id.toString()) || 0;
+    }
+
+    return [...professionals].sort((a, b) => rank(a) - rank(b));
+  }
+
+  /**
+   * Set professionalId on every appointment that has none.
+   * Appointments in the same batch never get a professional twice for overlapping times.
+   * Throws SlotConflictError when nobody is free for an appointment.
+   * @param {Array} appointments - Appointment documents of one booking (assigned or not)
+   * @param {ClientSession} [session]
+   * @param {Object} [options] - { keepPrices: true when the booking is already paid }
+   */
+  async assignMissingProfessionals(appointments, session = null, { keepPrices = false } = {}) {
+    const claimed = appointments
+      .filter(a => a.professionalId)
+      .map(a => ({ professionalId: a.professionalId.toString(), date: a.date, start: a.startTime, end: a.endTime }));
+    const conflicts = [];
+
+    for (const appt of appointments) {
+      if (appt.professionalId) continue;
+
+      const serviceIds = await availabilityService.resolveServiceIds(appt.salonId, appt.services, session);
+      const candidates = await availabilityService.getQualifiedProfessionals(appt.salonId, serviceIds, null, session);
+      const freeByProfessional = await availabilityService.getFreeSlotMinutes(
+        candidates.map(p => p._id), appt.date, session
+      );
+
+      // Slots taken by earlier appointments of this same booking
+      for (const c of claimed.filter(c => c.date === appt.date)) {
+        const free = freeByProfessional.get(c.professionalId);
+        if (!free) continue;
+        for (let t = timeToMinutes(c.start); t < timeToMinutes(c.end); t++) free.delete(t);
+      }
+
+      // Each candidate takes as long as their own durations say
+      const start = timeToMinutes(appt.startTime);
+      const duration = timeToMinutes(appt.endTime) - start;
+      const bookedMinutes = availabilityService.getTotalDuration(appt.services);
+      const servicesById = await serviceCatalogService.loadServices(appt.services, session);
+      const pricedFor = (p) => {
+        const priced = availabilityService.priceFor(appt.services, servicesById, p);
+        return { ...priced, duration: duration + priced.durationMinutes - bookedMinutes };
+      };
+
+      const ordered = await this.orderCandidates(candidates, { salonId: appt.salonId, date: appt.date, session });
+      const chosen = ordered.find(p =>
+        availabilityService.isRunFree(freeByProfessional.get(p._id.toString()), start, pricedFor(p).duration)
+      );
+
+      if (!chosen) {
+        conflicts.push({ date: appt.date, startTime: appt.startTime, reason: 'no-professional-available' });
+        continue;
+      }
+
+      const priced = pricedFor(chosen);
+      appt.services = keepPrices
+        ? priced.services.map((line, i) => (line === appt.services[i] ? line : { ...line, price: appt.services[i].price }))
+        : priced.services;
+      appt.endTime = computeEndTime(appt.startTime, priced.duration);
+      appt.professionalId = chosen._id;
+      appt.autoAssigned = true;
+      claimed.push({ professionalId: chosen._id.toString(), date: appt.date, start: appt.startTime, end: appt.endTime });
+ console.log(` Auto-assigned professional ${chosen.name} to ${appt.date} ${appt.startTime}`);
+    }
+
+    if (conflicts.length > 0) {
+      throw new SlotConflictError(conflicts);
+    }
+  }
+}
+
+const assignmentService = new AssignmentService();
+
+module.exports = assignmentService;
+module.exports.STRATEGIES = STRATEGIES;
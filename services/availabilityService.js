@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const TimeSlot = require('../models/TimeSlot');
+const Service = require('../models/Service');
+const Professional = require('../models/Professional');
+const serviceCatalogService = require('./serviceCatalogService');
+const { CatalogError } = require('./serviceCatalogService');
+const {
+  SLOT_INTERVAL_MINUTES,
+  getServiceMinutes,
+  timeToMinutes,
+  minutesToTime,
+  computeEndTime,
+  salonNow
+} = require('../utils/timeUtils');
+
+/**
+ * Availability Service
+ *
+ * Works out bookable start times for a basket of services from the free
+ * 5-minute TimeSlots of the professionals who can perform all of them.
+ * When the booked service lines are given, each professional's own durations
+ * (Professional.serviceOverrides) decide how long a run of free slots must be.
+ */
+
+class AvailabilityService {
+  /**
+   * Load the requested services of a salon.
+   * @returns {Promise<Array>} the services found (may be fewer than requested)
+   */
+  async resolveServices(salonId, serviceIds) {
+    return Service.find({ _id: { $in: serviceIds }, salonId }).lean();
+  }
+
+  /**
+   * Service ObjectIds for booked service lines ({ serviceId, name }).
+   * Lines without a serviceId are matched by name within the salon.
+   * Throws CatalogError when a line matches no service, so professionals are
+   * never picked without checking what they perform.
+   * @returns {Promise<Array<string>>}
+   */
+  async resolveServiceIds(salonId, serviceLines, session = null) {
+    const ids = new Set();
+    const names = [];
+
+    for (const line of serviceLines || []) {
+      if (line.serviceId && mongoose.Types.ObjectId.isValid(line.serviceId)) ids.add(line.serviceId.toString());
+      else if (line.name) names.push(line.name);
+      else throw new CatalogError('Every service line needs a serviceId or a name');
+    }
+
+    if (names.length > 0) {
+      const byName = await Service.find({ salonId, name: { $in: names } })
+        .select('_id name')
+        .session(session)
+        .lean();
+      const unknown = names.filter(name => !byName.some(s => s.name === name));
+      if (unknown.length > 0) {
+        throw new CatalogError(`Service ${unknown.join(', ')} is not offered by this salon`);
+      }
+      byName.forEach(s => ids.add(s._id.toString()));
+    }
+
+    if (ids.size === 0) throw new CatalogError('No services given');
+    return [...ids];
+  }
+
+  // Total basket length in minutes
+  getTotalDuration(services) {
+    return services.reduce((sum, s) => sum + getServiceMinutes(s), 0);
+  }
+
+  /**
+   * Service lines priced for one professional, with their total minutes and price.
+   * @param {Array} lines - booked service lines
+   * @param {Map} servicesById - from serviceCatalogService.loadServices()
+   * @param {Object} professional - needs serviceOverrides
+   * @returns {Object} { services, durationMinutes, price }
+   */
+  priceFor(lines, servicesById, professional) {
+    const services = serviceCatalogService.forProfessional(lines, servicesById, professional);
+    return {
+      services,
+      durationMinutes: this.getTotalDuration(services),
+      price: services.reduce((sum, s) => sum + (s.price || 0), 0),
+    };
+  }
+
+  /**
+   * Available professionals of a salon whose `services` contain every requested service.
+   * Nobody qualifies for an empty list of services.
+   */
+  async getQualifiedProfessionals(salonId, serviceIds, professionalId = null, session = null) {
+    if (!serviceIds?.length) return [];
+
+    const query = { salonId, available: true, services: { $all: serviceIds } };
+    if (professionalId) query._id = professionalId;
+
+    return Professional.find(query).select('name salonId services serviceOverrides').session(session).lean();
+  }
+
+  /**
+   * Free slot start times (in minutes) per professional on a date.
+   * @returns {Promise<Map<string, Set<number>>>}
+   */
+  async getFreeSlotMinutes(professionalIds, date, session = null) {
+    const slots = await TimeSlot.find({
+      professionalId: { $in: professionalIds },
+      date,
+      isBooked: false,
+    })
+      .select('professionalId startTime')
+      .session(session)
+      .lean();
+
+    const freeByProfessional = new Map(professionalIds.map(id => [id.toString(), new Set()]));
+    for (const slot of slots) {
+      freeByProfessional.get(slot.professionalId.toString())?.add(timeToMinutes(slot.startTime));
+    }
+    return freeByProfessional;
+  }
+
+  // True when every slot from `start` for `durationMinutes` is free
+  isRunFree(freeMinutes, start, durationMinutes) {
+    for (let t = start; t < start + durationMinutes; t += SLOT_INTERVAL_MINUTES) {
+      if (!freeMinutes.has(t)) return false;
+    }
+    return true;
+  }
+
+  // Minute of the day that start times on `date` must be after: now in the salon today, none otherwise
+  getEarliestStart(date) {
+    const now = salonNow();
+    return date === now.format('YYYY-MM-DD') ? now.hour() * 60 + now.minute() : -1;
+  }
+
+  /**
+   * Every start time at which a qualified professional has enough contiguous
+   * free slots for the basket. When several professionals are free at the same
+   * time, the one the salon's assignment strategy prefers is reported as the
+   * professional who would be assigned.
+   * With `lines` (the booked service lines), each professional needs their own
+   * duration, and each start time also gives that professional's price.
+   * @param {Object} params - { salonId, date, serviceIds, durationMinutes, professionalId, lines }
+   * @returns {Promise<Array>} [{ startTime, endTime, professional: { _id, name }, durationMinutes?, price? }]
+   */
+  async getAvailableStartTimes({ salonId, date, serviceIds, durationMinutes, professionalId = null, lines = null }) {
+    const qualified = await this.getQualifiedProfessionals(salonId, serviceIds, professionalId);
+    if (qualified.length === 0) return [];
+
+    const servicesById = lines ? await serviceCatalogService.loadServices(lines) : null;
+    const pricing = new Map(qualified.map(p => [
+      p._id.toString(),
+      lines ? this.priceFor(lines, servicesById, p) : { durationMinutes },
+    ]));
+
+    const assignmentService = require('./assignmentService');
+    const professionals = await assignmentService.orderCandidates(qualified, { salonId, date });
+
+    const freeByProfessional = await this.getFreeSlotMinutes(professionals.map(p => p._id), date);
+
+    // Never offer a start time that has already passed today
+    const earliest = this.getEarliestStart(date);
+
+    const allStarts = new Set();
+    freeByProfessional.forEach(free => free.forEach(t => allStarts.add(t)));
+
+    return [...allStarts]
+      .filter(start => start > earliest)
+      .sort((a, b) => a - b)
+      .map(start => {
+        const professional = professionals.find(p =>
+          this.isRunFree(freeByProfessional.get(p._id.toString()), start, pricing.get(p._id.toString()).durationMinutes)
+        );
+        if (!professional) return null;
+
+        const startTime = minutesToTime(start);
+        const priced = pricing.get(professional._id.toString());
+        return {
+          startTime,
+          endTime: computeEndTime(startTime, priced.durationMinutes),
+          professional: { _id: professional._id, name: professional.name },
+          ...(lines && { durationMinutes: priced.durationMinutes, price: priced.price }),
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Give each member a different professional from their own candidate list
+   * (augmenting paths, so an early member does not block a later one).
+   * @param {Array<Array>} options - per member, the professionals who could serve them
+   * @returns {Array|null} one professional per member, or null when not everyone can be served
+   */
+  matchProfessionals(options) {
+    const holder = new Map(); // professional id -> member index
+
+    const tryAssign = (member, seen) => {
+      for (const professional of options[member]) {
+        const id = professional._id.toString();
+        if (seen.has(id)) continue;
+        seen.add(id);
+        if (!holder.has(id) || tryAssign(holder.get(id), seen)) {
+          holder.set(id, member);
+          return true;
+        }
+      }
+      return false;
+    };
+
+    for (let member = 0; member < options.length; member++) {
+      if (!tryAssign(member, new Set())) return null;
+    }
+
+    const result = new Array(options.length);
+    holder.forEach((member, id) => {
+      result[member] = options[member].find(p => p._id.toString() === id);
+    });
+    return result;
+  }
+
+  /**
+   * Start times at which a whole group can be served, each member with their own services.
+   *   parallel: everyone starts together, each with a different qualified professional
+   *   sequential: members follow each other with one professional qualified for all of them
+   * Members with `lines` (their booked service lines) take as long and cost as
+   * much as the professional serving them charges.
+   * @param {Object} params - { salonId, date, schedule,
+   *   members: [{ serviceIds, durationMinutes, professionalId, lines }] }
+   * @returns {Promise<Array>} [{ startTime, endTime,
+   *   members: [{ startTime, endTime, professional: { _id, name }, price? }] }]
+   */
+  async getGroupStartTimes({ salonId, date, members, schedule = 'parallel' }) {
+    const servicesById = await serviceCatalogService.loadServices(members.flatMap(m => m.lines || []));
+    const memberPricing = (member, professional) => (member.lines
+      ? this.priceFor(member.lines, servicesById, professional)
+      : { durationMinutes: member.durationMinutes });
+
+    if (schedule === 'sequential') {
+      const withLines = members.every(m => m.lines);
+      const serviceIds = [...new Set(members.flatMap(m => m.serviceIds))];
+      const professionalId = members.find(m => m.professionalId)?.professionalId || null;
+      const slots = await this.getAvailableStartTimes({
+        salonId,
+        date,
+        serviceIds,
+        durationMinutes: members.reduce((sum, m) => sum + m.durationMinutes, 0),
+        professionalId,
+        lines: withLines ? members.flatMap(m => m.lines) : null,
+      });
+      if (slots.length === 0) return [];
+
+      const qualified = await this.getQualifiedProfessionals(salonId, serviceIds, professionalId);
+      const byId = new Map(qualified.map(p => [p._id.toString(), p]));
+
+      return slots.map((slot) => {
+        const professional = byId.get(slot.professional._id.toString());
+        let start = timeToMinutes(slot.startTime);
+        return {
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          members: members.map((member) => {
+            const priced = memberPricing(member, professional);
+            const startTime = minutesToTime(start);
+            start += priced.durationMinutes;
+            return {
+              startTime,
+              endTime: minutesToTime(start),
+              professional: slot.professional,
+              ...(member.lines && { price: priced.price }),
+            };
+          }),
+        };
+      });
+    }
+
+    const qualifiedByMember = await Promise.all(
+      members.map(m => this.getQualifiedProfessionals(salonId, m.serviceIds, m.professionalId))
+    );
+    if (qualifiedByMember.some(list => list.length === 0)) return [];
+
+    // Prefer professionals the salon's assignment strategy would pick first
+    const assignmentService = require('./assignmentService');
+    const unique = new Map(qualifiedByMember.flat().map(p => [p._id.toString(), p]));
+    const ordered = await assignmentService.orderCandidates([...unique.values()], { salonId, date });
+    const rank = new Map(ordered.map((p, i) => [p._id.toString(), i]));
+    const candidates = qualifiedByMember.map(list =>
+      [...list].sort((a, b) => rank.get(a._id.toString()) - rank.get(b._id.toString()))
+    );
+
+    const freeByProfessional = await this.getFreeSlotMinutes(ordered.map(p => p._id), date);
+
+    // Never offer a start time that has already passed today
+    const earliest = this.getEarliestStart(date);
+
+    const allStarts = new Set();
+    freeByProfessional.forEach(free => free.forEach(t => allStarts.add(t)));
+
+    return [...allStarts]
+      .filter(start => start > earliest)
+      .sort((a, b) => a - b)
+      .map((start) => {
+        const assigned = this.matchProfessionals(candidates.map((list, i) => list.filter(p =>
+          this.isRunFree(freeByProfessional.get(p._id.toString()), start, memberPricing(members[i], p).durationMinutes)
+        )));
+        if (!assigned) return null;
+
+        const startTime = minutesToTime(start);
+        const priced = members.map((member, i) => memberPricing(member, assigned[i]));
+        return {
+          startTime,
+          endTime: computeEndTime(startTime, Math.max(...priced.map(p => p.durationMinutes))),
+          members: members.map((member, i) => ({
+            startTime,
+            endTime: computeEndTime(startTime, priced[i].durationMinutes),
+            professional: { _id: assigned[i]._id, name: assigned[i].name },
+            ...(member.lines && { price: priced[i].price }),
+          })),
+        };
+      })
+      .filter(Boolean);
+  }
+}
+
+const availabilityService = new AvailabilityService();
+
+module.exports = availabilityService;
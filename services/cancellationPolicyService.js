@@ -0,0 +1,145 @@
+const dayjs = require('dayjs');
+const Salon = require('../models/Salon');
+const appointmentStatusService = require('./appointmentStatusService');
+const slotReservationService = require('./slotReservationService');
+const { salonDateTime } = require('../utils/timeUtils');
+
+/**
+ * Cancellation Policy Service
+ *
+ * Works out what a customer owes when they cancel late or do not show up,
+ * based on the salon's Salon.cancellationPolicy:
+ *   - freeCancellationHours: cancelling at least this many hours before the
+ *     start time is free
+ *   - lateCancellationFee / noShowFee: { type: 'percentage' | 'fixed', amount }
+ *
+ * Fees only apply to customers; cancellations by the salon or an admin are free.
+ * For paid bookings the refundable amount is the total minus the fee.
+ */
+
+const FEE_TYPES = ['percentage', 'fixed'];
+
+const DEFAULT_POLICY = {
+  freeCancellationHours: 24,
+  lateCancellationFee: { type: 'percentage', amount: 0 },
+  noShowFee: { type: 'percentage', amount: 0 },
+};
+
+// Roles whose cancellations never incur a fee
+const EXEMPT_ROLES = ['owner', 'admin', 'system'];
+
+const computeFee = (fee, total) => {
+  if (!fee || !fee.amount) return 0;
+  const value = fee.type === 'fixed'
+    ? fee.amount
+    : Math.round((total * fee.amount) / 100 * 100) / 100;
+  return Math.min(value, total);
+};
+
+const validateFee = (fee, label) => {
+  if (fee === undefined) return null;
+  if (!fee || !FEE_TYPES.includes(fee.type)) return `${label}.type must be one of: ${FEE_TYPES.join(', ')}`;
+  if (typeof fee.amount !== 'number' || fee.amount < 0) return `${label}.amount must be a non-negative number`;
+  if (fee.type === 'percentage' && fee.amount > 100) return `${label}.amount cannot exceed 100 percent`;
+  return null;
+};
+
+class CancellationPolicyService {
+  // Salon policy merged over the defaults
+  getPolicy(salon) {
+    const policy = salon?.cancellationPolicy || {};
+    return {
+      freeCancellationHours: policy.freeCancellationHours ?? DEFAULT_POLICY.freeCancellationHours,
+      lateCancellationFee: policy.lateCancellationFee?.type ? policy.lateCancellationFee : DEFAULT_POLICY.lateCancellationFee,
+      noShowFee: policy.noShowFee?.type ? policy.noShowFee : DEFAULT_POLICY.noShowFee,
+    };
+  }
+
+  // What the customer pays: the services' prices less any booking discount
+  getAppointmentTotal(appointment) {
+    const total = (appointment.services || []).reduce((sum, s) => sum + (s.price || 0), 0);
+    return Math.max(total - (appointment.discount?.amount || 0), 0);
+  }
+
+  /**
+   * Work out the charge for cancelling (type 'cancellation') or missing
+   * (type 'no-show') an appointment.
+   * @param {Object} appointment
+   * @param {Object} salon
+   * @param {Object} options - { type, actorRole, now }
+   * @returns {Object} charge to store on Appointment.cancellationCharge
+   */
+  evaluate(appointment, salon, { type = 'cancellation', actorRole = 'customer', now = new Date() } = {}) {
+    const policy = this.getPolicy(salon);
+    const total = this.getAppointmentTotal(appointment);
+    const start = salonDateTime(appointment.date, appointment.startTime);
+    const hoursNotice = Math.round(start.diff(dayjs(now), 'minute') / 6) / 10;
+    const exempt = EXEMPT_ROLES.includes(actorRole);
+
+    let fee = 0;
+    let isLate = false;
+    if (type === 'no-show') {
+      fee = exempt ? 0 : computeFee(policy.noShowFee, total);
+    } else {
+      isLate = hoursNotice < policy.freeCancellationHours;
+      fee = isLate && !exempt ? computeFee(policy.lateCancellationFee, total) : 0;
+    }
+
+    const isPaid = ['paid', 'partially_refunded'].includes(appointment.paymentStatus);
+
+    return {
+      type,
+      hoursNotice,
+      isLate,
+      appliedBy: actorRole,
+      total,
+      fee,
+      refundableAmount: isPaid ? Math.max(total - fee, 0) : 0,
+      policy,
+      evaluatedAt: new Date(now),
+    };
+  }
+
+  /**
+   * Cancel an appointment under its salon's policy and free its slots.
+   * @param {Object} appointment - Appointment document
+   * @param {Object} options - { actor, reason, session }
+   * @returns {Promise<Object>} { appointment, charge }
+   */
+  async cancel(appointment, { actor, reason = null, session = null } = {}) {
+    const salon = await Salon.findById(appointment.salonId).select('cancellationPolicy').session(session).lean();
+    const charge = this.evaluate(appointment, salon, { actorRole: actor?.role });
+
+    const cancelled = await appointmentStatusService.transition(appointment, 'cancelled', {
+      actor,
+      reason,
+      update: { cancellationCharge: charge },
+      session,
+    });
+    await slotReservationService.release(appointment, session);
+
+    return { appointment: cancelled, charge };
+  }
+
+  /**
+   * Validate a cancellation policy payload.
+   * @returns {string|null} error message, or null when valid
+   */
+  validatePolicy(policy) {
+    if (!policy || typeof policy !== 'object') return 'cancellationPolicy is required';
+
+    const { freeCancellationHours } = policy;
+    if (freeCancellationHours !== undefined && (typeof freeCancellationHours !== 'number' || freeCancellationHours < 0)) {
+      return 'freeCancellationHours must be a non-negative number';
+    }
+
+    return validateFee(policy.lateCancellationFee, 'lateCancellationFee')
+      || validateFee(policy.noShowFee, 'noShowFee');
+  }
+}
+
+const cancellationPolicyService = new CancellationPolicyService();
+
+module.exports = cancellationPolicyService;
+module.exports.DEFAULT_POLICY = DEFAULT_POLICY;
+module.exports.EXEMPT_ROLES = EXEMPT_ROLES;
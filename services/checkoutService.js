@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const Payment = require('../models/Payment');
+const Salon = require('../models/Salon');
+const pricingService = require('./pricingService');
+const groupBookingService = require('./groupBookingService');
+const slotReservationService = require('./slotReservationService');
+const { SlotConflictError } = require('./slotReservationService');
+const paymentFulfilmentService = require('./paymentFulfilmentService');
+const { getProvider, resolveProvider } = require('./paymentProviders');
+
+/**
+ * Checkout Service
+ *
+ * Paid bookings, whichever provider takes the money (services/paymentProviders):
+ *   1. startCheckout() prices the booking on the server, holds its slots, saves
+ *      a pending Payment carrying the appointments to create and asks the
+ *      provider for what the client needs to pay.
+ *   2. handleWebhook() verifies the provider's notification, records the
+ *      payment status and, once paid, creates the appointments
+ *      (services/paymentFulfilmentService). A failed or cancelled payment gives
+ *      the held slots and loyalty points back.
+ *   3. confirmFromRedirect() is the fallback when the customer is back before
+ *      the webhook: the provider is asked for the payment's status.
+ */
+
+class CheckoutError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.statusCode = statusCode;
+  }
+}
+
+class CheckoutService {
+  newOrderId() {
+    return `ORDER-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  async findPayment(orderId) {
+    const payment = await Payment.findOne({ appointmentId: orderId });
+    if (!payment) throw new CheckoutError('Payment record not found', 404);
+    return payment;
+  }
+
+  /**
+   * Start a paid checkout.
+   * `amount` must equal the quote's total (PricingError 409 with the quote
+   * otherwise); the slots must be free (SlotConflictError). Loyalty points are
+   * taken now. "Any professional" members get their professional now, on whose
+   * slots the hold is placed.
+   * @param {Object} params - { amount, currency, customer: { email, first_name, last_name, phone },
+   *   pendingAppointments, customerInfo, isGroupBooking, salonId, promoCode, loyaltyPoints,
+   *   provider, returnUrl, cancelUrl }
+   *   (the request may not ask for the fake provider outside tests)
+   * @param {Object} options - { user: req.user, provider: a provider name that overrides the request's }
+   * @returns {Promise<Object>} { orderId, provider, amount, currency, holdExpiresAt, checkout }
+   */
+  async startCheckout(params, { user = null, provider: forcedProvider = null } = {}) {
+    const {
+      amount,
+      currency = 'LKR',
+      customer,
+      pendingAppointments,
+      customerInfo,
+      isGroupBooking,
+      salonId,
+      promoCode,
+      loyaltyPoints,
+      returnUrl,
+      cancelUrl,
+    } = params;
+
+    if (!amount || !customer) {
+      throw new CheckoutError('Missing required fields: amount, customer');
+    }
+    if (!pendingAppointments || pendingAppointments.length === 0) {
+      throw new CheckoutError('No appointment data provided. Please select a time slot first.');
+    }
+
+    if (params.provider === 'fake' && !forcedProvider && process.env.NODE_ENV !== 'test') {
+      throw new CheckoutError('The fake payment provider cannot be requested');
+    }
+
+    const lines = pendingAppointments.map(line => ({ ...line, salonId: line.salonId || salonId }));
+    const salon = await Salon.findById(lines[0].salonId).select('paymentProvider').lean().catch(() => null);
+    const provider = resolveProvider({ requested: forcedProvider || params.provider, salon });
+
+    const missing = provider.requiredCustomerFields.filter(field => !customer[field]);
+    if (missing.length > 0) {
+      throw new CheckoutError(`Customer ${missing.join(' and ')} required`);
+    }
+
+    // Price the booking on the server; the client's amount must match
+    const customerId = user?.role === 'customer' ? user.userId : null;
+    const { quote, lines: pricedAppointments } = await pricingService.buildQuote({
+      lines,
+      promoCode,
+      loyaltyPoints,
+      userId: customerId,
+      currency,
+    });
+    pricingService.assertAmount(quote, amount);
+
+    const orderId = this.newOrderId();
+    const holdExpiresAt = slotReservationService.getHoldExpiry();
+    const customerName = [customer.first_name, customer.last_name].filter(Boolean).join(' ');
+
+    // A pending payment that stores the full appointment data, created once paid
+    const payment = new Payment({
+      provider: provider.name,
+      appointmentId: orderId,
+      amount: quote.total,
+      currency,
+      status: 'pending',
+      customerEmail: customer.email,
+      holdExpiresAt,
+      metadata: {
+        customer_name: customerName,
+        customer_phone: customer.phone,
+        isGroupBooking,
+        salonId: lines[0].salonId,
+        pendingAppointments: pricedAppointments,
+        quote,
+        customerId,
+        customerInfo: customerInfo || {
+          name: customerName,
+          phone: customer.phone,
+          email: customer.email,
+        },
+      },
+    });
+
+    // Hold the slots, save the payment and take the loyalty points in one transaction
+    const held = groupBookingService.buildAppointments(pricedAppointments, { bookingGroupId: orderId });
+    await groupBookingService.holdGroup(held, {
+      holdId: orderId,
+      expiresAt: holdExpiresAt,
+      keepPrices: true,
+      onHold: async (session) => {
+        payment.metadata.pendingAppointments = pricedAppointments.map((line, i) => {
+          const appt = held[i].toObject();
+          return {
+            ...line,
+            professionalId: appt.professionalId,
+            autoAssigned: appt.autoAssigned,
+            services: appt.services,
+          };
+        });
+        await payment.save({ session });
+        await pricingService.redeemLoyalty(quote, customerId, session);
+      },
+    });
+
+    let initiated;
+    try {
+      initiated = await provider.initiate({
+        orderId,
+        amount: quote.total,
+        currency,
+        customer,
+        items: pricedAppointments.flatMap(line => line.services.map(s => s.name)).join(', ') || undefined,
+        returnUrl,
+        cancelUrl,
+      });
+    } catch (error) {
+      // Nobody can pay for it: give the slots and points back
+      await paymentFulfilmentService.recordStatus(orderId, { status: 'failed', response: { error: error.message } });
+      throw error;
+    }
+
+    if (initiated.transactionId) {
+      await Payment.updateOne({ _id: payment._id }, { transactionId: initiated.transactionId });
+    }
+
+ console.log(` ${provider.name} checkout ${orderId} started: ${quote.total} ${currency}, ${pendingAppointments.length} appointment(s), held until ${holdExpiresAt.toISOString()}`);
+
+    return {
+      orderId,
+      provider: provider.name,
+      amount: quote.total,
+      currency,
+      holdExpiresAt,
+      checkout: initiated.checkout,
+    };
+  }
+
+  /**
+   * Handle a provider's webhook: record the payment's status and fulfil the
+   * order once it is paid. Throws PaymentProviderError for a bad signature;
+   * fulfilment problems are logged (the order is marked failed and can be retried).
+   * @returns {Promise<Object>} { handled, orderId, status, ignored, fulfilment }
+   */
+  async handleWebhook(providerName, req) {
+    const provider = getProvider(providerName);
+    if (!provider) throw new CheckoutError(`Unknown payment provider ${providerName}`, 404);
+
+    const notification = await provider.verifyWebhook(req);
+    if (!notification?.orderId) return { handled: false };
+
+    return this.handleNotification(provider, notification);
+  }
+
+  async handleNotification(provider, { orderId, transactionId, status, response }) {
+    const { payment, ignored } = await paymentFulfilmentService.recordStatus(orderId, {
+      status,
+      paymentId: transactionId,
+      response,
+      provider: provider.name,
+    });
+
+    if (!payment) {
+ console.error(` ${provider.name} notification for unknown order ${orderId}`);
+      return { handled: false, orderId };
+    }
+    if (ignored) {
+ console.warn(` Ignored ${ignored} ${provider.name} notification for order ${orderId} (payment ${transactionId})`);
+      return { handled: true, orderId, status: payment.status, ignored };
+    }
+
+    let fulfilment = null;
+    if (payment.status === 'succeeded') {
+      try {
+        fulfilment = await paymentFulfilmentService.fulfil(orderId, { via: 'notify' });
+      } catch (error) {
+        // Nothing was booked; the order is marked failed (needs_attention when
+        // its slots were taken) and can be retried
+ console.error(` Could not fulfil order ${orderId}:`, error.conflicts || error.message);
+        fulfilment = { status: error instanceof SlotConflictError ? 'needs_attention' : 'failed', error: error.message };
+      }
+    }
+
+    return { handled: true, orderId, status: payment.status, fulfilment };
+  }
+
+  // Payment, fulfilment and hold state of an order (for the confirmation page)
+  async getStatus(orderId) {
+    const payment = await this.findPayment(orderId);
+    const appointmentIds = paymentFulfilmentService.getAppointmentIds(payment);
+
+    return {
+      orderId,
+      provider: payment.provider,
+      paymentStatus: payment.status,
+      fulfilmentStatus: paymentFulfilmentService.getStatus(payment),
+      holdExpiresAt: payment.holdExpiresAt || null,
+      appointmentsCreated: appointmentIds.length > 0,
+      appointmentIds,
+      isGroupBooking: payment.metadata?.isGroupBooking || false,
+    };
+  }
+
+  /**
+   * The customer left the checkout: cancel the order and give its held slots
+   * and loyalty points back now instead of when the hold expires. A
+   * notification that arrived first wins.
+   * @returns {Promise<Object>} the payment as recorded
+   */
+  async cancel(orderId) {
+    const payment = await this.findPayment(orderId);
+    if (payment.status !== 'pending') {
+      throw new CheckoutError(`Payment is already ${payment.status}`);
+    }
+
+    const { payment: updated } = await paymentFulfilmentService.recordStatus(orderId, { status: 'canceled' });
+ console.log(` Order ${orderId} cancelled by the customer (payment ${updated.status})`);
+    return updated;
+  }
+
+  // Whether a redirect may stand in for a provider that cannot report the
+  // payment's status. Only for local development (PayHere cannot reach
+  // localhost); never for the fake provider, which has simulatePayment().
+  allowsRedirectConfirmation(payment) {
+    return process.env.ALLOW_REDIRECT_CONFIRMATION === 'true'
+      && process.env.NODE_ENV !== 'production'
+      && payment.provider === 'payhere';
+  }
+
+  /**
+   * The customer is back from the provider before its webhook. A pending
+   * payment is checked with the provider; when the provider cannot tell
+   * (e.g. PayHere without Merchant API credentials) it stays pending until the
+   * webhook, unless ALLOW_REDIRECT_CONFIRMATION lets the redirect confirm it.
+   * Paid orders are then fulfilled, unless that already happened.
+   * @returns {Promise<Object>} { paymentStatus, fulfilment } - fulfilment is null unless paid
+   */
+  async confirmFromRedirect(orderId) {
+    let payment = await this.findPayment(orderId);
+
+    if (payment.status === 'pending') {
+      const provider = getProvider(payment.provider);
+      let reported = null;
+      try {
+        reported = await provider?.fetchStatus(payment);
+      } catch (error) {
+ console.error(` Could not check order ${orderId} with ${payment.provider}:`, error.message);
+      }
+
+      if (reported) {
+        if (reported.status !== 'pending') {
+          ({ payment } = await paymentFulfilmentService.recordStatus(orderId, {
+            status: reported.status,
+            paymentId: reported.transactionId,
+            response: reported.response,
+            provider: payment.provider,
+          }));
+        }
+      } else if (this.allowsRedirectConfirmation(payment)) {
+ console.warn(` Order ${orderId} confirmed from the redirect alone (ALLOW_REDIRECT_CONFIRMATION)`);
+        await Payment.updateOne(
+          { _id: payment._id, status: 'pending' },
+          { $set: { status: 'succeeded', 'metadata.confirmedVia': 'redirect_fallback' } }
+        );
+        payment = await this.findPayment(orderId);
+      }
+    }
+
+    if (payment.status !== 'succeeded') {
+      return { paymentStatus: payment.status, fulfilment: null };
+    }
+
+    // Creates the appointments unless the webhook (or an earlier call) already did
+    const fulfilment = await paymentFulfilmentService.fulfil(orderId, { via: 'redirect_fallback' });
+    return { paymentStatus: payment.status, fulfilment };
+  }
+
+  /**
+   * Pay (or fail) a fake-provider order as its webhook would, for offline testing.
+   * @param {string} status - succeeded | failed | canceled | ...
+   */
+  async simulatePayment(orderId, status = 'succeeded') {
+    const payment = await this.findPayment(orderId);
+    const provider = getProvider('fake');
+    if (payment.provider !== 'fake' || !provider.isAvailable()) {
+      throw new CheckoutError('Only fake-provider orders can be simulated', 403);
+    }
+
+    return this.handleNotification(provider, await provider.verifyWebhook({ body: provider.simulate(payment, status) }));
+  }
+}
+
+const checkoutService = new CheckoutService();
+
+module.exports = checkoutService;
+module.exports.CheckoutError = CheckoutError;
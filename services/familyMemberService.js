@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Appointment = require('../models/Appointment');
+
+/**
+ * Family Member Service
+ *
+ * Saved family members live on the customer's User document, so they can be
+ * picked for group bookings instead of being typed in again. Appointments keep
+ * a snapshot of the member (memberInfo) plus memberInfo.memberId, which links
+ * a member's past visits together for the professional serving them.
+ */
+
+const MAX_FAMILY_MEMBERS = 20;
+const HISTORY_LIMIT = 10;
+const EDITABLE_FIELDS = ['name', 'relationship', 'ageCategory', 'dateOfBirth', 'gender', 'preferences'];
+
+class FamilyMemberError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'FamilyMemberError';
+    this.statusCode = statusCode;
+  }
+}
+
+const pickFields = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+class FamilyMemberService {
+  async getUser(userId) {
+    const user = mongoose.Types.ObjectId.isValid(userId) ? await User.findById(userId) : null;
+    if (!user) throw new FamilyMemberError('User not found', 404);
+    return user;
+  }
+
+  getMember(user, memberId) {
+    const member = mongoose.Types.ObjectId.isValid(memberId) ? user.familyMembers.id(memberId) : null;
+    if (!member) throw new FamilyMemberError('Family member not found', 404);
+    return member;
+  }
+
+  /**
+   * Validate a member payload.
+   * @param {Object} fields - editable fields
+   * @param {boolean} partial - true for updates, where name may be left out
+   * @returns {string|null} error message, or null when valid
+   */
+  validate(fields, partial = false) {
+    if (!partial || fields.name !== undefined) {
+      if (typeof fields.name !== 'string' || !fields.name.trim()) return 'Family member name is required';
+    }
+    if (fields.dateOfBirth !== undefined && fields.dateOfBirth !== null) {
+      const dob = new Date(fields.dateOfBirth);
+      if (Number.isNaN(dob.getTime()) || dob > new Date()) return 'dateOfBirth must be a past date';
+    }
+    if (fields.preferences !== undefined && typeof fields.preferences !== 'string') {
+      return 'preferences must be text';
+    }
+    return null;
+  }
+
+  async list(userId) {
+    const user = await this.getUser(userId);
+    return user.familyMembers;
+  }
+
+  async add(userId, body) {
+    const fields = pickFields(body);
+    const error = this.validate(fields);
+    if (error) throw new FamilyMemberError(error, 400);
+
+    const user = await this.getUser(userId);
+    if (user.familyMembers.length >= MAX_FAMILY_MEMBERS) {
+      throw new FamilyMemberError(`You can save up to ${MAX_FAMILY_MEMBERS} family members`, 400);
+    }
+
+    user.familyMembers.push(fields);
+    await user.save();
+    return user.familyMembers[user.familyMembers.length - 1];
+  }
+
+  async update(userId, memberId, body) {
+    const fields = pickFields(body);
+    const error = this.validate(fields, true);
+    if (error) throw new FamilyMemberError(error, 400);
+
+    const user = await this.getUser(userId);
+    const member = this.getMember(user, memberId);
+    member.set(fields);
+    await user.save();
+    return member;
+  }
+
+  // Past bookings keep their memberInfo snapshot; only the saved profile goes
+  async remove(userId, memberId) {
+    const user = await this.getUser(userId);
+    this.getMember(user, memberId).deleteOne();
+    await user.save();
+  }
+
+  /**
+   * A member's visits, newest first.
+   * @param {string} memberId
+   * @param {Object} options - { salonId (only that salon's visits), limit }
+   */
+  async getHistory(memberId, { salonId = null, limit = HISTORY_LIMIT } = {}) {
+    const filter = { 'memberInfo.memberId': memberId, status: 'completed' };
+    if (salonId) filter.salonId = salonId;
+
+    const visits = await Appointment.find(filter)
+      .sort({ date: -1, startTime: -1 })
+      .limit(limit)
+      .populate('professionalId', 'name')
+      .select('salonId professionalId services date startTime notes')
+      .lean();
+
+    return visits.map(visit => ({
+      appointmentId: visit._id,
+      salonId: visit.salonId,
+      date: visit.date,
+      startTime: visit.startTime,
+      services: visit.services.map(s => s.name),
+      professional: visit.professionalId?.name || null,
+      notes: visit.notes || '',
+    }));
+  }
+
+  /**
+   * Fill booking lines that reference a saved member ({ familyMemberId }) with
+   * that member's details. Lines without one are returned unchanged.
+   * Throws FamilyMemberError when a referenced member is not on the account.
+   * @param {string|null} userId - the signed-in customer
+   * @param {Array} lines - booking lines for groupBookingService.buildAppointments()
+   */
+  async applySavedMembers(userId, lines) {
+    if (!lines.some(line => line.familyMemberId)) return lines;
+    if (!userId) throw new FamilyMemberError('Sign in to book for saved family members', 401);
+
+    const user = await this.getUser(userId);
+    return lines.map((line) => {
+      if (!line.familyMemberId) return line;
+      const member = this.getMember(user, line.familyMemberId);
+      return {
+        ...line,
+        memberId: member._id,
+        memberName: member.name,
+        memberCategory: line.memberCategory || member.relationship || member.ageCategory,
+        dateOfBirth: member.dateOfBirth,
+        preferences: member.preferences,
+      };
+    });
+  }
+
+  /**
+   * What the professional should know about the person in an appointment:
+   * their current preferences and past services at this salon.
+   * @returns {Promise<Object|null>} null when the appointment is not for a saved member
+   */
+  async getProfileForAppointment(appointment) {
+    const memberId = appointment.memberInfo?.memberId;
+    if (!memberId) return null;
+
+    const owner = appointment.user?.userId
+      ? await User.findOne({ _id: appointment.user.userId, 'familyMembers._id': memberId })
+        .select('familyMembers.$')
+        .lean()
+      : null;
+    const member = owner?.familyMembers?.[0];
+
+    return {
+      memberId,
+      name: member?.name || appointment.memberInfo.name,
+      relationship: member?.relationship || appointment.memberInfo.category,
+      dateOfBirth: member?.dateOfBirth || appointment.memberInfo.dateOfBirth,
+      preferences: member ? member.preferences : appointment.memberInfo.preferences,
+      pastServices: await this.getHistory(memberId, { salonId: appointment.salonId?._id || appointment.salonId }),
+    };
+  }
+}
+
+const familyMemberService = new FamilyMemberService();
+
+module.exports = familyMemberService;
+module.exports.FamilyMemberError = FamilyMemberError;
+module.exports.MAX_FAMILY_MEMBERS = MAX_FAMILY_MEMBERS;
@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const slotReservationService = require('./slotReservationService');
+const assignmentService = require('./assignmentService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const { getServiceMinutes, formatDuration, computeEndTime, timeToMinutes } = require('../utils/timeUtils');
+
+/**
+ * Group Booking Service
+ *
+ * A group (family) booking is a set of Appointment documents sharing a
+ * bookingGroupId, one per member. Regular bookings, family bookings and paid
+ * PayHere orders are all built and reserved here, so every group visit shows
+ * up in salon calendars, revenue, reminders and feedback like any other
+ * appointment. The group itself (status, total) is derived from its members.
+ */
+
+// Member statuses that still count as an upcoming visit
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+// parallel: members are served at the same time by different professionals
+// sequential: members are served one after another, by the same professional
+const SCHEDULES = ['parallel', 'sequential'];
+
+const getTotalMinutes = services => services.reduce((sum, s) => sum + getServiceMinutes(s), 0);
+
+class GroupBookingService {
+  newGroupId() {
+    return `group-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Service lines of one member, from either `services: [{ name, price, duration }]`
+   * or the legacy single `serviceName` / `price` / `duration` fields. Lines priced
+   * from the catalogue (serviceCatalogService) keep their variant and add-ons.
+   * @returns {Object} { services, durationMinutes }
+   */
+  buildServices(line) {
+    let services;
+    if (Array.isArray(line.services) && line.services.length > 0) {
+      services = line.services.map(s => ({
+        serviceId: s.serviceId || undefined,
+        name: s.name || '',
+        price: s.price || 0,
+        durationMinutes: getServiceMinutes(s),
+        duration: s.duration || formatDuration(getServiceMinutes(s)),
+        variantId: s.variantId || null,
+        variantName: s.variantName || undefined,
+        addOns: s.addOns || [],
+      }));
+    } else if (line.serviceName) {
+      const durationMinutes = getServiceMinutes(line);
+      services = [{
+        serviceId: line.serviceId || undefined,
+        name: line.serviceName,
+        price: line.price || 0,
+        durationMinutes,
+        duration: line.duration || formatDuration(durationMinutes),
+      }];
+    } else {
+ console.warn('️ No service data found in appointment, using defaults');
+      services = [{ name: 'Service', price: 0, durationMinutes: 30, duration: '30 minutes' }];
+    }
+
+    return {
+      services,
+      durationMinutes: services.reduce((sum, s) => sum + s.durationMinutes, 0),
+    };
+  }
+
+  /**
+   * Work out each member's startTime for a schedule.
+   *   parallel: each member's own startTime, else the group's
+   *   sequential: the first member starts at the group's startTime (else their own),
+   *     every next member when the previous one's services are finished
+   * @param {Array} lines - member lines, as for buildAppointments()
+   * @param {Object} options - { schedule, startTime }
+   * @returns {Array} copies of the lines with startTime filled in (null when unknown)
+   */
+  scheduleMembers(lines, { schedule = 'parallel', startTime = null } = {}) {
+    if (schedule !== 'sequential') {
+      return lines.map(line => ({ ...line, startTime: line.startTime || startTime }));
+    }
+
+    let next = startTime || lines[0]?.startTime || null;
+    return lines.map((line) => {
+      const start = next;
+      next = start ? computeEndTime(start, this.buildServices(line).durationMinutes) : null;
+      return { ...line, startTime: start };
+    });
+  }
+
+  /**
+   * Build (unsaved) Appointment documents for the members of one booking.
+   * `user` is the person who booked; each member's name goes into memberInfo.
+   * @param {Array} lines - [{ salonId, professionalId, autoAssigned, date, startTime, services | serviceName,
+   *   memberId, memberName, memberCategory, dateOfBirth, preferences, notes }]
+   * @param {Object} options - { customer: { name, email, phone, userId }, bookingGroupId,
+   *   isGroupBooking, status, paymentStatus, paymentReference, specialInstructions }
+   * @returns {Array} Appointment documents
+   */
+  buildAppointments(lines, options = {}) {
+    const {
+      customer = {},
+      bookingGroupId = this.newGroupId(),
+      isGroupBooking = lines.length > 1,
+      status = 'pending',
+      paymentStatus,
+      paymentReference,
+      specialInstructions = '',
+    } = options;
+
+    return lines.map((line) => {
+      const { services, durationMinutes } = this.buildServices(line);
+
+      return new Appointment({
+        salonId: line.salonId,
+        professionalId: line.professionalId || null,
+        ...(line.autoAssigned && { autoAssigned: true }),
+        services,
+        date: line.date,
+        startTime: line.startTime,
+        endTime: computeEndTime(line.startTime, durationMinutes),
+        user: {
+          userId: customer.userId || undefined,
+          name: customer.name || line.memberName || 'Guest',
+          phone: line.phone || customer.phone || '',
+          email: line.email || customer.email || '',
+          photoURL: '',
+        },
+        status,
+        ...(paymentStatus && { paymentStatus }),
+        ...(paymentReference && { paymentReference }),
+        isGroupBooking,
+        bookingGroupId,
+        memberInfo: isGroupBooking ? {
+          memberId: line.memberId || null,
+          name: line.memberName,
+          category: line.memberCategory,
+          dateOfBirth: line.dateOfBirth,
+          preferences: line.preferences,
+        } : null,
+        notes: line.notes || '',
+        specialInstructions,
+      });
+    });
+  }
+
+  /**
+   * The reservation step shared by reserveGroup() and holdGroup(): returns an
+   * async (session) => reservations that assigns "any professional" members
+   * inside the transaction, so a retry after a concurrent booking can pick
+   * someone else.
+   * With `sameProfessional` and nobody chosen, one professional who can do every
+   * member's services and is free for the whole block is assigned to all of them.
+   * Assigned members take that professional's own durations, and their prices
+   * unless `keepPrices` (the booking was quoted or paid at the listed prices).
+   */
+  assignAndList(appointments, { sameProfessional = false, keepPrices = false } = {}) {
+    const unassigned = appointments.filter(appt => !appt.professionalId);
+    const assignAsBlock = sameProfessional && unassigned.length === appointments.length;
+
+    return async (session) => {
+      unassigned.forEach(appt => {
+        appt.professionalId = null;
+        appt.autoAssigned = false;
+      });
+
+      if (assignAsBlock) {
+        const first = appointments[0];
+        const block = {
+          salonId: first.salonId,
+          date: first.date,
+          startTime: first.startTime,
+          endTime: appointments[appointments.length - 1].endTime,
+          services: appointments.flatMap(appt => appt.services),
+        };
+        await assignmentService.assignMissingProfessionals([block], session, { keepPrices });
+
+        // The block took the professional's own durations; members follow on from each other again
+        let offset = 0;
+        let next = first.startTime;
+        appointments.forEach(appt => {
+          const services = block.services.slice(offset, offset + appt.services.length);
+          const minutes = timeToMinutes(appt.endTime) - timeToMinutes(appt.startTime)
+            + getTotalMinutes(services) - getTotalMinutes(appt.services);
+          offset += appt.services.length;
+
+          appt.services = services;
+          appt.startTime = next;
+          appt.endTime = computeEndTime(next, minutes);
+          next = appt.endTime;
+          appt.professionalId = block.professionalId;
+          appt.autoAssigned = true;
+        });
+      } else {
+        await assignmentService.assignMissingProfessionals(appointments, session, { keepPrices });
+      }
+
+      return appointments.map(appt => ({
+        professionalId: appt.professionalId,
+        date: appt.date,
+        startTime: appt.startTime,
+        endTime: appt.endTime,
+      }));
+    };
+  }
+
+  /**
+   * Reserve every member's slots and save the whole group in one transaction
+   * (professionals are assigned as in assignAndList()).
+   * Slots held for `holdId` (holdGroup()) are released first in the same
+   * transaction, so the booking takes over its own hold.
+   * `onReserve(session)` runs in the same transaction before the group is saved.
+   * Throws SlotConflictError when any slot is taken; nothing is saved then.
+   * @param {Array} appointments - from buildAppointments(), in visit order
+   * @param {Object} [options] - { sameProfessional, keepPrices, holdId, onReserve }
+   * @returns {Promise<Array>} the saved appointments
+   */
+  async reserveGroup(appointments, { sameProfessional = false, keepPrices = false, holdId = null, onReserve = null } = {}) {
+    const assign = this.assignAndList(appointments, { sameProfessional, keepPrices });
+
+    return slotReservationService.reserveAndRun(
+      async (session) => {
+        if (holdId) await slotReservationService.releaseHold(holdId, session);
+        return assign(session);
+      },
+      async (session) => {
+        if (onReserve) await onReserve(session);
+        return Appointment.insertMany(appointments, { session });
+      }
+    );
+  }
+
+  /**
+   * Hold every member's slots for a checkout without saving any appointment.
+   * Professionals are assigned as for reserveGroup(), so the appointments can
+   * later be booked on exactly the held slots (reserveGroup with the same holdId).
+   * `onHold(session)` runs in the same transaction.
+   * Throws SlotConflictError when any slot is taken; nothing is held then.
+   * @param {Array} appointments - from buildAppointments(), in visit order
+   * @param {Object} options - { holdId, expiresAt, sameProfessional, keepPrices, onHold }
+   * @returns {Promise<Array>} the appointments, with professionals assigned
+   */
+  async holdGroup(appointments, { holdId, expiresAt, sameProfessional = false, keepPrices = false, onHold = null }) {
+    return slotReservationService.reserveAndRun(
+      this.assignAndList(appointments, { sameProfessional, keepPrices }),
+      async (session) => {
+        if (onHold) await onHold(session);
+        return appointments;
+      },
+      { hold: { holdId, expiresAt } }
+    );
+  }
+
+  /**
+   * Members of a group the caller may see, in visit order.
+   * @param {string} bookingGroupId
+   * @param {Object} [scope] - filter from appointmentScope()
+   */
+  async findGroup(bookingGroupId, scope = {}) {
+    return Appointment.find({ $and: [scope, { bookingGroupId }] })
+      .sort({ date: 1, startTime: 1 })
+      .populate('salonId', 'name location')
+      .populate('professionalId', 'name');
+  }
+
+  // Group status: pending/confirmed while anyone is still to come, otherwise completed or cancelled
+  getGroupStatus(appointments) {
+    const statuses = appointments.map(a => a.status);
+    if (statuses.includes('pending')) return 'pending';
+    if (statuses.some(s => !['completed', 'cancelled', 'no-show'].includes(s))) return 'confirmed';
+    if (statuses.includes('completed')) return 'completed';
+    return 'cancelled';
+  }
+
+  /**
+   * One group as the family-booking API presents it.
+   * @param {Array} appointments - members of the same group, in visit order
+   */
+  toGroup(appointments) {
+    const first = appointments[0];
+    const active = appointments.filter(a => a.status !== 'cancelled');
+
+    return {
+      bookingGroupId: first.bookingGroupId,
+      salonId: first.salonId,
+      customerInfo: {
+        name: first.user?.name,
+        email: first.user?.email,
+        phone: first.user?.phone,
+      },
+      bookingDate: first.date,
+      status: this.getGroupStatus(appointments),
+      totalPrice: active.reduce(
+        (sum, a) => sum + a.services.reduce((s, line) => s + (line.price || 0), 0) - (a.discount?.amount || 0), 0
+      ),
+      specialInstructions: first.specialInstructions || '',
+      paymentStatus: first.paymentStatus,
+      createdAt: first.createdAt,
+      appointments,
+    };
+  }
+
+  /**
+   * Page through groups matching `filter` (newest visit first).
+   * @param {Object} filter - Appointment filter; ids must already be ObjectIds
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { groups, total }
+   */
+  async listGroups(filter, { page = 1, limit = 10 } = {}) {
+    const match = { $and: [filter, { isGroupBooking: true, bookingGroupId: { $ne: null } }] };
+
+    const [result] = await Appointment.aggregate([
+      { $match: match },
+      { $group: { _id: '$bookingGroupId', date: { $min: '$date' }, createdAt: { $min: '$createdAt' } } },
+      { $sort: { date: -1, createdAt: -1 } },
+      {
+        $facet: {
+          page: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+          total: [{ $count: 'count' }],
+        },
+      },
+    ]);
+
+    const groupIds = result.page.map(g => g._id);
+    const members = await Appointment.find({ $and: [match, { bookingGroupId: { $in: groupIds } }] })
+      .sort({ date: 1, startTime: 1 })
+      .populate('salonId', 'name location')
+      .populate('professionalId', 'name');
+
+    return {
+      groups: groupIds.map(id => this.toGroup(members.filter(m => m.bookingGroupId === id))),
+      total: result.total[0]?.count || 0,
+    };
+  }
+
+  /**
+   * Cancel every member still to come under the salon's cancellation policy,
+   * all in one transaction.
+   * @param {Array} appointments - members of the group
+   * @param {Object} options - { actor, reason }
+   * @returns {Promise<Array>} [{ appointment, charge }] for the members cancelled
+   */
+  async cancelGroup(appointments, { actor, reason = null } = {}) {
+    const cancellable = appointments.filter(a => ACTIVE_STATUSES.includes(a.status));
+    const results = [];
+
+    await mongoose.connection.transaction(async (session) => {
+      results.length = 0;
+      for (const appointment of cancellable) {
+        results.push(await cancellationPolicyService.cancel(appointment, { actor, reason, session }));
+      }
+    });
+
+    return results;
+  }
+}
+
+const groupBookingService = new GroupBookingService();
+
+module.exports = groupBookingService;
+module.exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
+module.exports.SCHEDULES = SCHEDULES;
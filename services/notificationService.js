@@ -2097,6 +2097,111 @@ const emailTemplates = {
         - Salon Booking System
       `
     };
+  },
+
+  waitlistOffer: (data) => {
+    const { customerName, salonName, serviceName, professionalName, date, time, expiresAt, acceptUrl } = data;
+    return {
+      subject: `🎉 A spot opened up at ${salonName}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                body { font-family: 'Arial', sans-serif; margin: 0; padding: 20px; background-color: #f5f5f5; }
+                .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+                .header { background: linear-gradient(135deg, #a8e6cf 0%, #56ab2f 100%); color: white; padding: 30px 20px; text-align: center; }
+                .content { padding: 30px; }
+                .appointment-summary { background: #e8f5e9; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #56ab2f; }
+                .button { display: inline-block; background: #56ab2f; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>🎉 A Spot Opened Up!</h1>
+                </div>
+                <div class="content">
+                    <p>Dear <strong>${customerName}</strong>,</p>
+                    <p>Good news! An appointment matching your waitlist request is now available:</p>
+
+                    <div class="appointment-summary">
+                        <p><strong>Salon:</strong> ${salonName}</p>
+                        <p><strong>Service:</strong> ${serviceName}</p>
+                        ${professionalName ? `<p><strong>Professional:</strong> ${professionalName}</p>` : ''}
+                        <p><strong>Date:</strong> ${date}</p>
+                        <p><strong>Time:</strong> ${time}</p>
+                    </div>
+
+                    <p>This offer is open until <strong>${expiresAt}</strong> and may also have been sent to other customers on the waitlist. The first to accept gets the booking.</p>
+                    <p style="text-align: center;"><a class="button" href="${acceptUrl}">Accept Offer</a></p>
+                </div>
+            </div>
+        </body>
+        </html>
+      `,
+      text: `
+        A Spot Opened Up!
+
+        Dear ${customerName},
+
+        An appointment matching your waitlist request is now available:
+
+        Salon: ${salonName}
+        Service: ${serviceName}
+        Date: ${date}
+        Time: ${time}
+
+        This offer is open until ${expiresAt}. The first customer to accept gets the booking.
+        Accept here: ${acceptUrl}
+
+        - Salon Booking System
+      `
+    };
+  },
+
+  ownerPaymentNeedsAttention: (data) => {
+    const { ownerName, salonName, orderId, amount, currency, customerName, customerEmail, customerPhone, bookings } = data;
+    return {
+      subject: `⚠️ Paid booking could not be made - ${salonName}`,
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <style>
+                body { font-family: 'Arial', sans-serif; margin: 0; padding: 20px; background-color: #f5f5f5; }
+                .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 10px; overflow: hidden; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+                .header { background: linear-gradient(135deg, #e17055 0%, #d63031 100%); color: white; padding: 30px 20px; text-align: center; }
+                .content { padding: 30px; }
+                .booking-details { background: #ffeaa7; padding: 20px; border-radius: 8px; margin: 20px 0; }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <div class="header">
+                    <h1>⚠️ Payment Needs Attention</h1>
+                </div>
+                <div class="content">
+                    <p>Dear <strong>${ownerName}</strong>,</p>
+                    <p>A customer paid for a booking at <strong>${salonName}</strong>, but the time they chose was taken before the payment arrived, so no appointment was made.</p>
+
+                    <div class="booking-details">
+                        <h3 style="margin-top: 0;">📋 Order Details</h3>
+                        <p><strong>Order:</strong> ${orderId}</p>
+                        <p><strong>Amount paid:</strong> ${String(currency || '').toUpperCase()} ${amount}</p>
+                        <p><strong>Customer:</strong> ${customerName}</p>
+                        ${customerEmail ? `<p><strong>Email:</strong> ${customerEmail}</p>` : ''}
+                        ${customerPhone ? `<p><strong>Phone:</strong> ${customerPhone}</p>` : ''}
+                        <p><strong>Requested:</strong> ${bookings}</p>
+                    </div>
+
+                    <p>Please contact the customer to book another time, or refund the order from your dashboard.</p>
+                </div>
+            </div>
+        </body>
+        </html>
+      `
+    };
   }
 };
 
@@ -2135,6 +2240,11 @@ const smsTemplates = {
   appointmentReschedule: (data) => {
     const { customerName, salonName, date, time, appointmentId } = data;
     return `🔄 Appointment Rescheduled!\n\nHi ${customerName}, your appointment at ${salonName} has been successfully rescheduled to ${date} at ${time}.\n\nBooking ID: ${appointmentId}\n\nThank you! - Salon Booking System`;
+  },
+
+  waitlistOffer: (data) => {
+    const { customerName, salonName, date, time, expiresAt, acceptUrl } = data;
+    return `🎉 Hi ${customerName}, a spot opened up at ${salonName} on ${date} at ${time}. First to accept gets it - offer open until ${expiresAt}: ${acceptUrl}`;
   }
 };
 
@@ -2412,6 +2522,21 @@ class NotificationService {
     return { success: false, error: 'Owner email not provided' };
   }
 
+  // Tell the salon that a paid order could not be booked (its slots were taken)
+  async notifyOwnerPaymentNeedsAttention(ownerData, orderData) {
+    const { ownerEmail, ownerName, salonName } = ownerData;
+
+    if (ownerEmail) {
+      return await this.sendEmail(ownerEmail, 'ownerPaymentNeedsAttention', {
+        ownerName,
+        salonName,
+        ...orderData
+      });
+    }
+
+    return { success: false, error: 'Owner email not provided' };
+  }
+
   // Send password reset email
   async sendPasswordReset(resetData) {
     const { customerEmail, customerName, resetToken, resetUrl } = resetData;
@@ -2696,6 +2821,52 @@ class NotificationService {
     return results;
   }
 
+  // Send a waitlist offer for a freed opening (email + SMS)
+  async sendWaitlistOffer(offerData) {
+    const {
+      customerEmail,
+      customerPhone,
+      customerName,
+      salonName,
+      serviceName,
+      professionalName,
+      date,
+      time,
+      expiresAt,
+      acceptUrl
+    } = offerData;
+
+    const results = { email: null, sms: null };
+
+    // Send email notification
+    if (customerEmail) {
+      results.email = await this.sendEmail(customerEmail, 'waitlistOffer', {
+        customerName,
+        salonName,
+        serviceName,
+        professionalName,
+        date,
+        time,
+        expiresAt,
+        acceptUrl
+      });
+    }
+
+    // Send SMS notification
+    if (customerPhone) {
+      results.sms = await this.sendSMS(customerPhone, 'waitlistOffer', {
+        customerName,
+        salonName,
+        date,
+        time,
+        expiresAt,
+        acceptUrl
+      });
+    }
+
+    return results;
+  }
+
   // Bulk email sending for promotions
   async sendBulkPromotionalEmails(customerList, promotionData) {
  console.log(` Sending promotional emails to ${customerList.length} customers...`);
@@ -0,0 +1,329 @@
+const dayjs = require('dayjs');
+const Payment = require('../models/Payment');
+const Appointment = require('../models/Appointment');
+const Salon = require('../models/Salon');
+const groupBookingService = require('./groupBookingService');
+const pricingService = require('./pricingService');
+const slotReservationService = require('./slotReservationService');
+const { SlotConflictError } = require('./slotReservationService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const notificationService = require('./notificationService');
+
+/**
+ * Payment Fulfilment Service
+ *
+ * Turns a paid order (a Payment carrying pendingAppointments) into
+ * appointments exactly once, whichever path gets there first: the provider's
+ * webhook or the customer's redirect back. Payment.fulfilment records the
+ * state:
+ *   pending -> processing -> fulfilled
+ *                         -> failed (can be retried)
+ *                         -> needs_attention (paid, but a slot was taken meanwhile)
+ * A request must claim the order (processing, with a lock timestamp) before
+ * fulfilling it. The appointments, their slot reservations and the switch to
+ * 'fulfilled' are written in one transaction, so an order is either fully
+ * booked or not booked at all. A claim left behind by a crashed request
+ * expires after LOCK_TIMEOUT_MS.
+ *
+ * The slots were held for the order when the checkout started
+ * (groupBookingService.holdGroup); fulfilment turns that hold into the
+ * booking, and a failed or cancelled payment releases it. A payment that
+ * succeeds after its hold expired is booked if the slots are still free;
+ * otherwise the customer has paid for nothing, so the order is flagged
+ * 'needs_attention' and the salon is told once to rebook or refund it. It can
+ * still be fulfilled by a retry once the slots are free again.
+ */
+
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+
+class FulfilmentError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'FulfilmentError';
+    this.statusCode = statusCode;
+  }
+}
+
+class PaymentFulfilmentService {
+  /**
+   * Record the provider's status for an order, once per status change.
+   * A notification from another provider than the order's, for another
+   * payment id than the one already recorded, or a late 'pending' after
+   * success, is ignored. When the payment fails or is
+   * cancelled, the loyalty points taken and the slots held when the checkout
+   * started are given back; should it still succeed afterwards (Stripe lets
+   * the customer retry a failed payment), the points are taken again.
+   * @param {string} orderId
+   * @param {Object} update - { status, paymentId, response, provider }
+   * @returns {Promise<Object>} { payment, changed, ignored } (payment is null when unknown)
+   */
+  async recordStatus(orderId, { status, paymentId, response, provider }) {
+    const payment = await Payment.findOne({ appointmentId: orderId });
+    if (!payment) return { payment: null, changed: false };
+
+    if (provider && payment.provider !== provider) {
+      return { payment, changed: false, ignored: 'other-provider' };
+    }
+    if (payment.transactionId && paymentId && payment.transactionId !== paymentId) {
+      return { payment, changed: false, ignored: 'different-payment' };
+    }
+    if (payment.status === 'succeeded' && status === 'pending') {
+      return { payment, changed: false, ignored: 'stale' };
+    }
+
+    const previousStatus = payment.status;
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: previousStatus },
+      {
+        $set: {
+          status,
+          ...(paymentId && { transactionId: paymentId }),
+          ...(response && { [`metadata.${payment.provider}_response`]: response }),
+        },
+      },
+      { new: true }
+    );
+    // Another request recorded a status first
+    if (!updated) return { payment: await Payment.findById(payment._id), changed: false };
+
+    const changed = previousStatus !== status;
+    if (changed && previousStatus === 'pending' && ['failed', 'canceled'].includes(status)) {
+      await pricingService.restoreLoyalty(updated.metadata?.quote, updated.metadata?.customerId);
+      await slotReservationService.releaseHold(orderId);
+    }
+    if (changed && ['failed', 'canceled'].includes(previousStatus) && status === 'succeeded' && updated.metadata?.quote) {
+      await pricingService.redeemLoyalty(updated.metadata.quote, updated.metadata.customerId)
+        .catch(error => console.error(` Could not take loyalty points again for order ${orderId}:`, error.message));
+    }
+    return { payment: updated, changed };
+  }
+
+  /**
+   * Cancel the pending orders whose slot hold has run out (cron job), so their
+   * held slots and loyalty points go back; providers such as PayHere send
+   * nothing for an abandoned payment page. A payment that still succeeds
+   * later is fulfilled if its slots are free. Holds without a pending order
+   * are released as well.
+   * @returns {Promise<Object>} { orders, holds, slots } - orders cancelled, other holds and slots released
+   */
+  async expireHolds(now = new Date()) {
+    const expired = await Payment.find({ status: 'pending', holdExpiresAt: { $lt: now } })
+      .select('appointmentId')
+      .lean();
+
+    let orders = 0;
+    for (const { appointmentId } of expired) {
+      try {
+        const { changed } = await this.recordStatus(appointmentId, { status: 'canceled' });
+        if (changed) orders += 1;
+      } catch (error) {
+ console.error(` Could not expire order ${appointmentId}:`, error.message);
+      }
+    }
+
+    const { holds, slots } = await slotReservationService.releaseExpiredHolds(now);
+    return { orders, holds, slots };
+  }
+
+  // Appointment ids of a fulfilled order (also for orders fulfilled before fulfilment was recorded)
+  getAppointmentIds(payment) {
+    const ids = payment?.fulfilment?.appointmentIds?.length
+      ? payment.fulfilment.appointmentIds
+      : payment?.metadata?.createdAppointmentIds || [];
+    return ids.map(id => id.toString());
+  }
+
+  getStatus(payment) {
+    if (this.getAppointmentIds(payment).length > 0) return 'fulfilled';
+    return payment?.fulfilment?.status || 'pending';
+  }
+
+  /**
+   * Claim an order for fulfilment.
+   * @returns {Promise<Object|null>} the payment, or null when it is fulfilled or claimed by someone else
+   */
+  async claim(orderId, via) {
+    return Payment.findOneAndUpdate(
+      {
+        appointmentId: orderId,
+        'metadata.createdAppointmentIds.0': { $exists: false },
+        $or: [
+          { 'fulfilment.status': { $in: [null, 'pending', 'failed', 'needs_attention'] } },
+          { 'fulfilment.status': 'processing', 'fulfilment.lockedAt': { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+        ],
+      },
+      {
+        $set: { 'fulfilment.status': 'processing', 'fulfilment.lockedAt': new Date(), 'fulfilment.via': via },
+        $inc: { 'fulfilment.attempts': 1 },
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Create the order's appointments unless that has already happened.
+   * Throws SlotConflictError or FulfilmentError when the order cannot be
+   * booked; it is then marked 'failed' ('needs_attention' when it was paid
+   * and its slots were taken) and nothing is saved.
+   * @param {string} orderId
+   * @param {Object} options - { via: 'notify' (provider webhook) | 'redirect_fallback' }
+   * @returns {Promise<Object>} { status, appointmentIds, created }
+   */
+  async fulfil(orderId, { via }) {
+    const payment = await this.claim(orderId, via);
+    if (!payment) {
+      const current = await Payment.findOne({ appointmentId: orderId }).lean();
+      if (!current) throw new FulfilmentError('Payment record not found', 404);
+      return { status: this.getStatus(current), appointmentIds: this.getAppointmentIds(current), created: false };
+    }
+
+    let appointments;
+    try {
+      appointments = await this.createAppointments(payment);
+    } catch (error) {
+      const needsAttention = error instanceof SlotConflictError && payment.status === 'succeeded';
+      const flag = needsAttention && !payment.fulfilment.flaggedAt;
+      await Payment.updateOne(
+        { _id: payment._id, 'fulfilment.status': 'processing', 'fulfilment.lockedAt': payment.fulfilment.lockedAt },
+        {
+          $set: {
+            'fulfilment.status': needsAttention ? 'needs_attention' : 'failed',
+            'fulfilment.lastError': error.message,
+            'fulfilment.conflicts': error.conflicts || null,
+            ...(flag && { 'fulfilment.flaggedAt': new Date() }),
+          },
+          $unset: { 'fulfilment.lockedAt': 1 },
+        }
+      );
+      if (flag) await this.notifyNeedsAttention(payment, error.conflicts);
+      throw error;
+    }
+
+ console.log(` Order ${orderId} fulfilled via ${via}: ${appointments.length} appointment(s)`);
+    await this.sendConfirmations(payment, appointments);
+
+    return { status: 'fulfilled', appointmentIds: appointments.map(a => a._id.toString()), created: true };
+  }
+
+  /**
+   * Reserve and save the order's appointments and mark it fulfilled, in one transaction.
+   * @returns {Promise<Array>} the saved appointments
+   */
+  async createAppointments(payment) {
+    const { pendingAppointments, customerInfo, quote, customerId } = payment.metadata || {};
+    if (!pendingAppointments || pendingAppointments.length === 0) {
+      throw new FulfilmentError('No pending appointment data found in payment record.', 400);
+    }
+
+    const appointments = groupBookingService.buildAppointments(pendingAppointments, {
+      customer: { ...customerInfo, userId: customerId || undefined },
+      bookingGroupId: payment.appointmentId,
+      status: 'confirmed', // Confirmed because payment succeeded
+      paymentStatus: 'paid',
+      paymentReference: payment.transactionId || payment.appointmentId,
+    });
+    if (quote) pricingService.applyDiscount(appointments, quote);
+    const appointmentIds = appointments.map(a => a._id);
+
+    // The held slots become the booking. Orders from before holds (or whose
+    // hold expired) are booked on whatever is free, assigning "any professional"
+    // members; the paid price stays
+    return groupBookingService.reserveGroup(appointments, {
+      keepPrices: true,
+      holdId: payment.appointmentId,
+      onReserve: async (session) => {
+        if (await Appointment.exists({ bookingGroupId: payment.appointmentId }).session(session)) {
+          throw new FulfilmentError('Appointments already exist for this order');
+        }
+
+        const result = await Payment.updateOne(
+          { _id: payment._id, 'fulfilment.status': 'processing', 'fulfilment.lockedAt': payment.fulfilment.lockedAt },
+          {
+            $set: {
+              'fulfilment.status': 'fulfilled',
+              'fulfilment.appointmentIds': appointmentIds,
+              'fulfilment.fulfilledAt': new Date(),
+              'metadata.createdAppointmentIds': appointmentIds.map(id => id.toString()),
+            },
+            $unset: { 'fulfilment.lockedAt': 1, 'fulfilment.lastError': 1, 'fulfilment.conflicts': 1 },
+          },
+          { session }
+        );
+        // Our claim expired and another request took the order over
+        if (result.modifiedCount === 0) throw new FulfilmentError('Order is being fulfilled by another request');
+      },
+    });
+  }
+
+  // Email/SMS the customer and the salon; failures are logged, not thrown
+  async sendConfirmations(payment, appointments) {
+    const customerInfo = payment.metadata?.customerInfo;
+    try {
+      const salon = await Salon.findById(appointments[0]?.salonId);
+      if (!salon) {
+ console.warn(' Salon not found, skipping notifications.');
+        return;
+      }
+
+      for (const appointment of appointments) {
+        const notificationData = {
+          customerEmail: customerInfo?.email || appointment.user?.email,
+          customerPhone: customerInfo?.phone || appointment.user?.phone,
+          customerName: appointment.user?.name || 'Guest',
+          salonName: salon.name,
+          serviceName: appointment.services.map(s => s.name).join(', ') || 'Service',
+          date: dayjs(appointment.date).format('MMMM DD, YYYY'),
+          time: appointment.startTime,
+          totalAmount: cancellationPolicyService.getAppointmentTotal(appointment),
+          appointmentId: appointment._id.toString().slice(-6).toUpperCase(),
+        };
+
+        await notificationService.sendAppointmentConfirmation(notificationData);
+
+        if (salon.email) {
+          await notificationService.notifyOwnerNewBooking(
+            { ownerEmail: salon.email, ownerName: salon.name, salonName: salon.name },
+            { ...notificationData, customerPhone: customerInfo?.phone }
+          );
+        }
+      }
+    } catch (error) {
+ console.error(' Notification error after payment:', error.message);
+    }
+  }
+
+  // Tell the salon a paid order could not be booked; failures are logged, not thrown
+  async notifyNeedsAttention(payment, conflicts) {
+ console.warn(` Order ${payment.appointmentId} is paid but could not be booked:`, (conflicts || []).map(c => `${c.date} ${c.startTime}`).join(', '));
+    const { pendingAppointments = [], customerInfo } = payment.metadata || {};
+    try {
+      const salon = await Salon.findById(pendingAppointments[0]?.salonId);
+      if (!salon) {
+ console.warn(' Salon not found, skipping notifications.');
+        return;
+      }
+
+      await notificationService.notifyOwnerPaymentNeedsAttention(
+        { ownerEmail: salon.email, ownerName: salon.name, salonName: salon.name },
+        {
+          orderId: payment.appointmentId,
+          amount: payment.amount,
+          currency: payment.currency,
+          customerName: customerInfo?.name || 'Guest',
+          customerEmail: customerInfo?.email || payment.customerEmail,
+          customerPhone: customerInfo?.phone,
+          bookings: pendingAppointments
+            .map(a => `${dayjs(a.date).format('MMMM DD, YYYY')} ${a.startTime}`)
+            .join(', '),
+        }
+      );
+    } catch (error) {
+ console.error(' Notification error for an unbooked payment:', error.message);
+    }
+  }
+}
+
+const paymentFulfilmentService = new PaymentFulfilmentService();
+
+module.exports = paymentFulfilmentService;
+module.exports.FulfilmentError = FulfilmentError;
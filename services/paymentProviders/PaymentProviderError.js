@@ -0,0 +1,10 @@
+// A payment provider refused a request or sent something we cannot trust (e.g. a bad webhook signature)
+class PaymentProviderError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PaymentProviderError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = PaymentProviderError;
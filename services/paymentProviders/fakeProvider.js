@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const PaymentProviderError = require('./PaymentProviderError');
+
+/**
+ * Fake provider
+ *
+ * Takes payments without talking to anyone, so the whole checkout (hold,
+ * payment, webhook, fulfilment, refunds) can be run offline and in tests.
+ * simulate() builds the signed notification a real provider would send;
+ * refunds get the outcome set with setRefundOutcome() ('succeeded' unless
+ * changed). Off unless ALLOW_FAKE_PAYMENTS=true is set explicitly, and it
+ * signs nothing without FAKE_PAYMENT_SECRET, so a deployment that forgets
+ * NODE_ENV cannot be paid for free.
+ */
+
+const STATUSES = ['pending', 'succeeded', 'failed', 'canceled', 'chargedback'];
+
+class FakeProvider {
+  constructor() {
+    this.name = 'fake';
+    this.requiredCustomerFields = ['email'];
+    this.refundOutcome = 'succeeded';
+    this.refunds = new Map(); // providerRefundId -> { paymentId, amount, status }
+  }
+
+  isAvailable() {
+    return process.env.ALLOW_FAKE_PAYMENTS === 'true';
+  }
+
+  sign({ orderId, transactionId, status }) {
+    if (!process.env.FAKE_PAYMENT_SECRET) {
+      throw new PaymentProviderError('FAKE_PAYMENT_SECRET is not configured', 503);
+    }
+    return crypto
+      .createHmac('sha256', process.env.FAKE_PAYMENT_SECRET)
+      .update(`${orderId}|${transactionId}|${status}`)
+      .digest('hex');
+  }
+
+  async initiate({ orderId, amount, currency }) {
+    const transactionId = `fake_${crypto.randomBytes(8).toString('hex')}`;
+    return {
+      transactionId,
+      checkout: { provider: this.name, orderId, transactionId, amount, currency },
+    };
+  }
+
+  /**
+   * The notification the provider would send for a payment.
+   * @param {Object} payment - Payment document
+   * @param {string} status - one of STATUSES
+   */
+  simulate(payment, status = 'succeeded') {
+    if (!STATUSES.includes(status)) {
+      throw new PaymentProviderError(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+    const notification = { orderId: payment.appointmentId, transactionId: payment.transactionId, status };
+    return { ...notification, signature: this.sign(notification) };
+  }
+
+  async verifyWebhook(req) {
+    if (!this.isAvailable()) throw new PaymentProviderError('Fake payments are not enabled', 503);
+    const { orderId, transactionId, status, signature } = req.body || {};
+    if (!signature || signature !== this.sign({ orderId, transactionId, status })) {
+      throw new PaymentProviderError('Invalid fake payment signature');
+    }
+    return { orderId, transactionId, status: this.mapStatus(status), response: { orderId, transactionId, status } };
+  }
+
+  mapStatus(status) {
+    return STATUSES.includes(status) ? status : 'failed';
+  }
+
+  // 'succeeded' | 'pending' | 'failed' for the refunds that follow
+  setRefundOutcome(status) {
+    this.refundOutcome = status;
+  }
+
+  // Settle a pending fake refund, as a provider eventually would
+  settleRefund(providerRefundId, status = 'succeeded') {
+    const stored = this.refunds.get(providerRefundId);
+    if (stored) stored.status = status;
+  }
+
+  reset() {
+    this.refundOutcome = 'succeeded';
+    this.refunds.clear();
+  }
+
+  async refund({ payment, refund }) {
+    const providerRefundId = `fake_re_${crypto.randomBytes(6).toString('hex')}`;
+    this.refunds.set(providerRefundId, { paymentId: payment._id.toString(), amount: refund.amount, status: this.refundOutcome });
+    return this.fetchRefund({ providerRefundId });
+  }
+
+  async fetchRefund(refund) {
+    const stored = this.refunds.get(refund.providerRefundId);
+    if (!stored) throw new Error(`Unknown fake refund ${refund.providerRefundId}`);
+
+    return {
+      status: stored.status,
+      providerRefundId: refund.providerRefundId,
+      response: { ...stored },
+      failureReason: stored.status === 'failed' ? 'Fake refund failure' : undefined,
+    };
+  }
+
+  // Fake payments only change through simulate(); there is nothing else to ask
+  async fetchStatus() {
+    return null;
+  }
+}
+
+module.exports = new FakeProvider();
@@ -0,0 +1,63 @@
+const payhereProvider = require('./payhereProvider');
+const stripeProvider = require('./stripeProvider');
+const fakeProvider = require('./fakeProvider');
+const PaymentProviderError = require('./PaymentProviderError');
+
+/**
+ * Payment providers
+ *
+ * Every provider has the same interface, so checkout, webhooks, fulfilment
+ * and refunds work alike whichever one takes the money:
+ *   name, requiredCustomerFields
+ *   isAvailable() - configured and allowed here
+ *   initiate({ orderId, amount, currency, customer, items, returnUrl, cancelUrl })
+ *     -> { transactionId?, checkout } (what the client needs to pay)
+ *   verifyWebhook(req) -> { orderId, transactionId, status, response }, or null when
+ *     the event is not about a payment; throws PaymentProviderError for a bad signature
+ *   mapStatus(providerStatus) -> Payment.status
+ *   refund({ payment, refund }) -> { status, providerRefundId, response, failureReason }
+ *   fetchRefund(refund) -> the same, for a pending refund
+ *   fetchStatus(payment) -> { status, transactionId, response }, or null when the
+ *     provider cannot tell
+ *
+ * Which one a checkout uses: the provider asked for in the request, else the
+ * salon's Salon.paymentProvider, else PAYMENT_PROVIDER (default payhere).
+ */
+
+const providers = {
+  payhere: payhereProvider,
+  stripe: stripeProvider,
+  fake: fakeProvider,
+};
+
+const PROVIDERS = Object.keys(providers);
+const DEFAULT_PROVIDER = 'payhere';
+
+// The provider with this name, or null
+const getProvider = (name) => providers[name] || null;
+
+/**
+ * The provider for a checkout.
+ * Throws PaymentProviderError when it is unknown or not available here.
+ * @param {Object} params - { requested, salon }
+ */
+const resolveProvider = ({ requested = null, salon = null } = {}) => {
+  const name = requested || salon?.paymentProvider || process.env.PAYMENT_PROVIDER || DEFAULT_PROVIDER;
+  const provider = getProvider(name);
+
+  if (!provider) {
+    throw new PaymentProviderError(`Unknown payment provider ${name}; use one of: ${PROVIDERS.join(', ')}`);
+  }
+  if (!provider.isAvailable()) {
+    throw new PaymentProviderError(`Payments with ${name} are not available`, 503);
+  }
+  return provider;
+};
+
+module.exports = {
+  getProvider,
+  resolveProvider,
+  PROVIDERS,
+  DEFAULT_PROVIDER,
+  PaymentProviderError,
+};
@@ -0,0 +1,148 @@
+const axios = require('axios');
+const payhereConfig = require('../../config/payhere');
+const payHereService = require('../payment.service');
+const PaymentProviderError = require('./PaymentProviderError');
+
+/**
+ * PayHere
+ *
+ * Checkout is PayHere's hosted form: initiate() returns the signed form
+ * fields (services/payment.service.js) and PayHere posts the result to the
+ * notify URL. Refunds and status checks use the Merchant API, which needs a
+ * Business App's credentials (PAYHERE_APP_ID / PAYHERE_APP_SECRET).
+ */
+
+// Merchant API payment status -> Payment.status
+const SEARCH_STATUS_MAP = {
+  RECEIVED: 'succeeded',
+  'REFUND REQUESTED': 'succeeded',
+  'REFUND PROCESSING': 'succeeded',
+  REFUNDED: 'succeeded',
+  CHARGEBACKED: 'chargedback',
+};
+
+class PayHereProvider {
+  constructor() {
+    this.name = 'payhere';
+    this.requiredCustomerFields = ['email', 'first_name'];
+    this.token = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  isAvailable() {
+    return !!(payhereConfig.merchantId && payhereConfig.merchantSecret);
+  }
+
+  hasMerchantApi() {
+    return !!(payhereConfig.appId && payhereConfig.appSecret);
+  }
+
+  getBaseUrl() {
+    return payhereConfig.mode === 'live' ? 'https://www.payhere.lk' : payhereConfig.baseUrl;
+  }
+
+  async initiate({ orderId, amount, currency, customer, items, returnUrl, cancelUrl }) {
+    return {
+      checkout: payHereService.getPaymentData(orderId, amount, currency, customer, {
+        items,
+        return_url: returnUrl,
+        cancel_url: cancelUrl,
+      }),
+    };
+  }
+
+  async verifyWebhook(req) {
+    const notification = req.body || {};
+    if (!payHereService.verifySignature(notification)) {
+      throw new PaymentProviderError('Invalid PayHere signature');
+    }
+
+    return {
+      orderId: notification.order_id,
+      transactionId: notification.payment_id,
+      status: this.mapStatus(notification.status_code),
+      response: notification,
+    };
+  }
+
+  mapStatus(statusCode) {
+    return payHereService.mapStatus(statusCode);
+  }
+
+  // Access token for the Merchant API, reused until shortly before it expires
+  async getAccessToken() {
+    if (this.token && Date.now() < this.tokenExpiresAt) return this.token;
+
+    if (!this.hasMerchantApi()) {
+      throw new Error('PAYHERE_APP_ID and PAYHERE_APP_SECRET are required for the PayHere Merchant API');
+    }
+
+    const credentials = Buffer.from(`${payhereConfig.appId}:${payhereConfig.appSecret}`).toString('base64');
+    const response = await axios.post(
+      `${this.getBaseUrl()}/merchant/v1/oauth/token`,
+      'grant_type=client_credentials',
+      {
+        headers: {
+          Authorization: `Basic ${credentials}`,
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        timeout: 10000,
+      }
+    );
+
+    this.token = response.data.access_token;
+    this.tokenExpiresAt = Date.now() + Math.max((response.data.expires_in || 0) - 60, 0) * 1000;
+    return this.token;
+  }
+
+  // Partial refunds send the amount; PayHere answers status 1 when the refund is accepted
+  async refund({ payment, refund }) {
+    if (!payment.transactionId) throw new Error('The payment has no PayHere payment_id');
+
+    const isPartial = refund.amount < payment.amount;
+    const response = await axios.post(
+      `${this.getBaseUrl()}/merchant/v1/payment/refund`,
+      {
+        payment_id: payment.transactionId,
+        description: refund.reason || `Refund for order ${payment.appointmentId}`,
+        ...(isPartial && { amount: Number(refund.amount).toFixed(2) }),
+      },
+      {
+        headers: { Authorization: `Bearer ${await this.getAccessToken()}` },
+        timeout: 15000,
+      }
+    );
+
+    const accepted = response.data?.status === 1;
+    return {
+      status: accepted ? 'succeeded' : 'failed',
+      providerRefundId: response.data?.data ? String(response.data.data) : undefined,
+      response: response.data,
+      failureReason: accepted ? undefined : response.data?.msg || 'Refund rejected by PayHere',
+    };
+  }
+
+  /**
+   * What PayHere knows about the order's payment; null without Merchant API
+   * credentials. An order PayHere has no payment for is still pending.
+   */
+  async fetchStatus(payment) {
+    if (!this.hasMerchantApi()) return null;
+
+    const response = await axios.get(`${this.getBaseUrl()}/merchant/v1/payment/search`, {
+      params: { order_id: payment.appointmentId },
+      headers: { Authorization: `Bearer ${await this.getAccessToken()}` },
+      timeout: 10000,
+    });
+
+    const found = Array.isArray(response.data?.data) ? response.data.data[0] : null;
+    if (!found) return { status: 'pending', response: response.data };
+    return {
+      status: SEARCH_STATUS_MAP[found.status] || 'failed',
+      transactionId: found.payment_id ? String(found.payment_id) : undefined,
+      response: found,
+    };
+  }
+}
+
+module.exports = new PayHereProvider();
@@ -0,0 +1,145 @@
+const PaymentProviderError = require('./PaymentProviderError');
+
+/**
+ * Stripe
+ *
+ * Checkout is a PaymentIntent in the order's own currency; the client
+ * confirms it with the returned clientSecret. The PaymentIntent id is the
+ * payment's transactionId and carries the order id in its metadata, so the
+ * webhook can find the order. Webhooks are verified with
+ * STRIPE_WEBHOOK_SECRET and refused while it is not set (for local testing,
+ * `stripe listen` prints one).
+ */
+
+// Currencies Stripe counts in whole units
+const ZERO_DECIMAL_CURRENCIES = ['bif', 'clp', 'djf', 'gnf', 'jpy', 'kmf', 'krw', 'mga', 'pyg', 'rwf', 'ugx', 'vnd', 'vuv', 'xaf', 'xof', 'xpf'];
+
+// PaymentIntent status or webhook event type -> Payment.status
+const STATUS_MAP = {
+  succeeded: 'succeeded',
+  'payment_intent.succeeded': 'succeeded',
+  canceled: 'canceled',
+  'payment_intent.canceled': 'canceled',
+  'payment_intent.payment_failed': 'failed',
+};
+
+// Stripe refund status -> Refund.status
+const REFUND_STATUS_MAP = {
+  succeeded: 'succeeded',
+  pending: 'pending',
+  requires_action: 'pending',
+  failed: 'failed',
+  canceled: 'failed',
+};
+
+class StripeProvider {
+  constructor() {
+    this.name = 'stripe';
+    this.requiredCustomerFields = ['email'];
+    this.client = null;
+  }
+
+  isAvailable() {
+    return !!process.env.STRIPE_SECRET_KEY;
+  }
+
+  // The Stripe client, created on first use
+  getClient() {
+    if (!this.client) {
+      if (!process.env.STRIPE_SECRET_KEY) throw new PaymentProviderError('STRIPE_SECRET_KEY is not configured', 503);
+      this.client = require('stripe')(process.env.STRIPE_SECRET_KEY);
+    }
+    return this.client;
+  }
+
+  toMinorUnits(amount, currency) {
+    const factor = ZERO_DECIMAL_CURRENCIES.includes(String(currency).toLowerCase()) ? 1 : 100;
+    return Math.round(Number(amount) * factor);
+  }
+
+  async initiate({ orderId, amount, currency, customer }) {
+    const intent = await this.getClient().paymentIntents.create({
+      amount: this.toMinorUnits(amount, currency),
+      currency: String(currency).toLowerCase(),
+      automatic_payment_methods: { enabled: true },
+      receipt_email: customer.email,
+      metadata: { orderId, customer_email: customer.email },
+    }, {
+      idempotencyKey: `checkout-${orderId}`,
+    });
+
+    return {
+      transactionId: intent.id,
+      checkout: {
+        clientSecret: intent.client_secret,
+        paymentIntentId: intent.id,
+        amount: intent.amount,
+        currency: intent.currency,
+      },
+    };
+  }
+
+  // PaymentIntent events only; anything else is not about a payment (null)
+  async verifyWebhook(req) {
+    // A paid event creates confirmed appointments: never take one unsigned
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) throw new PaymentProviderError('STRIPE_WEBHOOK_SECRET is not configured', 503);
+
+    let event;
+    try {
+      event = this.getClient().webhooks.constructEvent(req.rawBody || req.body, req.headers['stripe-signature'], secret);
+    } catch (error) {
+      throw new PaymentProviderError(`Invalid Stripe signature: ${error.message}`);
+    }
+
+    if (!event?.type?.startsWith('payment_intent.')) return null;
+
+    const intent = event.data.object;
+    return {
+      orderId: intent.metadata?.orderId,
+      transactionId: intent.id,
+      status: this.mapStatus(event.type),
+      response: { eventId: event.id, type: event.type, status: intent.status },
+    };
+  }
+
+  // Anything not yet paid, failed or cancelled (processing, requires_action, ...) is pending
+  mapStatus(status) {
+    return STATUS_MAP[status] || 'pending';
+  }
+
+  toRefundOutcome(stripeRefund) {
+    return {
+      status: REFUND_STATUS_MAP[stripeRefund.status] || 'pending',
+      providerRefundId: stripeRefund.id,
+      response: stripeRefund,
+      failureReason: stripeRefund.failure_reason || undefined,
+    };
+  }
+
+  async refund({ payment, refund }) {
+    if (!payment.transactionId) throw new Error('The payment has no Stripe PaymentIntent id');
+
+    const stripeRefund = await this.getClient().refunds.create({
+      payment_intent: payment.transactionId,
+      amount: this.toMinorUnits(refund.amount, payment.currency),
+      metadata: { refundId: refund._id.toString(), reason: refund.reason || '' },
+    }, {
+      idempotencyKey: `refund-${refund._id}`,
+    });
+    return this.toRefundOutcome(stripeRefund);
+  }
+
+  async fetchRefund(refund) {
+    return this.toRefundOutcome(await this.getClient().refunds.retrieve(refund.providerRefundId));
+  }
+
+  async fetchStatus(payment) {
+    if (!payment.transactionId) return null;
+
+    const intent = await this.getClient().paymentIntents.retrieve(payment.transactionId);
+    return { status: this.mapStatus(intent.status), transactionId: intent.id, response: { status: intent.status } };
+  }
+}
+
+module.exports = new StripeProvider();
@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const Promotion = require('../models/Promotion');
+const { Loyalty, LoyaltyConfig } = require('../models/Loyalty');
+const serviceCatalogService = require('./serviceCatalogService');
+
+/**
+ * Pricing Service
+ *
+ * Builds the price of a booking on the server. Every service line is rebuilt
+ * from its Service document (variant, add-ons and the professional's own
+ * price included, see serviceCatalogService); prices sent by the client are
+ * ignored. A promotion code and loyalty points are then taken off, giving an
+ * itemised quote. Bookings and payment initiation charge the quote's total
+ * and reject a client amount that differs from it.
+ *
+ * Loyalty: a customer can redeem once they hold the salon's pointsThreshold
+ * (LoyaltyConfig, salon first, then the global config); every conversionRate
+ * points are worth 1 unit of currency.
+ */
+
+const DEFAULT_CURRENCY = 'LKR';
+const DEFAULT_LOYALTY_CONFIG = { pointsThreshold: 100, conversionRate: 10, isActive: true };
+
+class PricingError extends Error {
+  constructor(message, statusCode = 400, quote = null) {
+    super(message);
+    this.name = 'PricingError';
+    this.statusCode = statusCode;
+    this.quote = quote;
+  }
+}
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+class PricingService {
+  /**
+   * The services a booking line asks for, as { serviceId, variantId, addOnIds }.
+   * Lines naming a service instead of giving its id are matched by name within the salon.
+   * Throws PricingError when a service cannot be found.
+   */
+  async resolveRequestedServices(line) {
+    const requested = Array.isArray(line.services) && line.services.length > 0
+      ? line.services.map(s => ({ serviceId: s.serviceId, name: s.name, variantId: s.variantId, addOnIds: s.addOnIds }))
+      : [{ serviceId: line.serviceId, name: line.serviceName, variantId: line.variantId, addOnIds: line.addOnIds }];
+
+    const byName = requested.filter(s => !mongoose.Types.ObjectId.isValid(s.serviceId));
+    if (byName.some(s => !s.name)) {
+      throw new PricingError('Every appointment needs a serviceId (or the service name)');
+    }
+
+    if (byName.length > 0) {
+      const services = await Service.find({ salonId: line.salonId, name: { $in: byName.map(s => s.name) } })
+        .select('name')
+        .lean();
+      for (const s of byName) {
+        const service = services.find(found => found.name === s.name);
+        if (!service) throw new PricingError(`Service "${s.name}" is not offered by this salon`);
+        s.serviceId = service._id;
+      }
+    }
+
+    return requested.map(({ serviceId, variantId, addOnIds }) => ({ serviceId, variantId, addOnIds }));
+  }
+
+  /**
+   * A promotion that can be applied now: matching code, this salon's or a
+   * platform-wide one, inside its dates and not expired.
+   * Throws PricingError for an unknown or unusable code.
+   */
+  async findPromotion(code, salonId) {
+    const now = new Date();
+    const promotion = await Promotion.findOne({
+      code: { $regex: `^${code.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' },
+      $or: [{ salonId }, { salonId: null }, { salonId: { $exists: false } }],
+      status: { $ne: 'expired' },
+      startDate: { $lte: now },
+      endDate: { $gte: now },
+    }).lean();
+
+    if (!promotion || !(promotion.discountPercentage > 0)) {
+      throw new PricingError(`Promotion code ${code} is not valid for this booking`);
+    }
+    return promotion;
+  }
+
+  async getLoyaltyConfig(salonId) {
+    const configs = await LoyaltyConfig.find({ salonId: { $in: [salonId, null] } }).lean();
+    return configs.find(c => c.salonId?.toString() === salonId?.toString())
+      || configs.find(c => !c.salonId)
+      || DEFAULT_LOYALTY_CONFIG;
+  }
+
+  /**
+   * Work out what a redemption of `points` is worth, capped at `maxAmount`
+   * (only the points needed are used). Throws PricingError when it is not allowed.
+   * @returns {Promise<Object>} { points, amount }
+   */
+  async priceLoyalty({ userId, salonId, points, maxAmount }) {
+    if (!userId) throw new PricingError('Sign in to redeem loyalty points', 401);
+
+    const config = await this.getLoyaltyConfig(salonId);
+    if (!config.isActive) throw new PricingError('This salon does not accept loyalty points');
+
+    const account = await Loyalty.findOne({ userId }).select('points').lean();
+    const balance = account?.points || 0;
+    if (points > balance) throw new PricingError(`You have ${balance} loyalty points`);
+    if (balance < config.pointsThreshold) {
+      throw new PricingError(`Loyalty points can be redeemed from ${config.pointsThreshold} points`);
+    }
+
+    const usable = Math.min(points, Math.ceil(maxAmount * config.conversionRate));
+    return { points: usable, amount: roundMoney(Math.min(usable / config.conversionRate, maxAmount)) };
+  }
+
+  /**
+   * An itemised quote for a booking.
+   * @param {Object} params - { lines (booking lines, as for POST /api/appointments),
+   *   promoCode, loyaltyPoints, userId (signed-in customer), currency }
+   * @returns {Promise<Object>} { quote, lines } - lines are the priced booking lines
+   *   for groupBookingService.buildAppointments()
+   */
+  async buildQuote({ lines, promoCode = null, loyaltyPoints = 0, userId = null, currency = DEFAULT_CURRENCY }) {
+    if (!Array.isArray(lines) || lines.length === 0) throw new PricingError('No appointments to price');
+
+    const salonIds = new Set(lines.map(l => l.salonId?.toString()));
+    if (salonIds.size !== 1 || !mongoose.Types.ObjectId.isValid([...salonIds][0])) {
+      throw new PricingError('All appointments must be for the same salon');
+    }
+    const salonId = lines[0].salonId;
+
+    const requested = await Promise.all(lines.map(async (line) => {
+      const { serviceName, serviceId, variantId, addOnIds, price, duration, ...rest } = line;
+      return { ...rest, services: await this.resolveRequestedServices(line) };
+    }));
+    const priced = await serviceCatalogService.priceBookingLines(requested);
+
+    const items = priced.flatMap((line, member) => line.services.map(s => ({
+      member,
+      memberName: line.memberName || null,
+      serviceId: s.serviceId,
+      name: s.name,
+      variantName: s.variantName,
+      addOns: s.addOns,
+      professionalId: line.professionalId || null,
+      durationMinutes: s.durationMinutes,
+      price: s.price,
+    })));
+    const subtotal = roundMoney(items.reduce((sum, item) => sum + item.price, 0));
+
+    let promotion = null;
+    if (promoCode) {
+      const found = await this.findPromotion(String(promoCode).trim(), salonId);
+      promotion = {
+        promotionId: found._id,
+        code: found.code,
+        title: found.title,
+        discountPercentage: found.discountPercentage,
+        amount: roundMoney(Math.min(subtotal * found.discountPercentage / 100, subtotal)),
+      };
+    }
+
+    let loyalty = null;
+    const points = Number(loyaltyPoints) || 0;
+    if (points < 0 || !Number.isInteger(points)) throw new PricingError('loyaltyPoints must be a whole number');
+    if (points > 0) {
+      loyalty = await this.priceLoyalty({ userId, salonId, points, maxAmount: subtotal - (promotion?.amount || 0) });
+    }
+
+    const discount = roundMoney((promotion?.amount || 0) + (loyalty?.amount || 0));
+    return {
+      quote: {
+        salonId,
+        currency,
+        items,
+        subtotal,
+        promotion,
+        loyalty,
+        discount,
+        total: roundMoney(subtotal - discount),
+      },
+      lines: priced,
+    };
+  }
+
+  /**
+   * Throw PricingError (409, with the quote) unless `amount` is the quote's total.
+   * A missing amount is accepted when `required` is false.
+   */
+  assertAmount(quote, amount, { required = true } = {}) {
+    if (amount === undefined || amount === null || amount === '') {
+      if (!required) return;
+      throw new PricingError('amount is required', 400, quote);
+    }
+    if (roundMoney(Number(amount)) !== quote.total) {
+      throw new PricingError(`Amount ${amount} does not match the quoted total ${quote.total}`, 409, quote);
+    }
+  }
+
+  /**
+   * Spread the quote's discount over the booking's appointments in proportion
+   * to their prices, so each appointment knows what it really costs.
+   * @param {Array} appointments - from groupBookingService.buildAppointments()
+   */
+  applyDiscount(appointments, quote) {
+    if (!quote.discount) return;
+
+    const totals = appointments.map(a => a.services.reduce((sum, s) => sum + (s.price || 0), 0));
+    let remaining = quote.discount;
+    appointments.forEach((appt, i) => {
+      const share = i === appointments.length - 1
+        ? remaining
+        : roundMoney(quote.subtotal ? quote.discount * totals[i] / quote.subtotal : 0);
+      remaining = roundMoney(remaining - share);
+
+      appt.discount = {
+        promotionId: quote.promotion?.promotionId || null,
+        promoCode: quote.promotion?.code || null,
+        loyaltyPoints: i === 0 ? quote.loyalty?.points || 0 : 0,
+        amount: share,
+      };
+    });
+  }
+
+  /**
+   * Take the quote's loyalty points off the customer's balance.
+   * Throws PricingError (409) when the points have been spent in the meantime.
+   */
+  async redeemLoyalty(quote, userId, session = null) {
+    if (!quote.loyalty?.points) return;
+
+    const result = await Loyalty.updateOne(
+      { userId, points: { $gte: quote.loyalty.points } },
+      { $inc: { points: -quote.loyalty.points }, lastUpdated: new Date() },
+      { session }
+    );
+    if (result.modifiedCount === 0) {
+      throw new PricingError('Your loyalty points have changed; please review the price again', 409, quote);
+    }
+  }
+
+  // Give back points redeemed for a booking that did not go ahead
+  async restoreLoyalty(quote, userId, session = null) {
+    if (!quote?.loyalty?.points || !userId) return;
+
+    await Loyalty.updateOne(
+      { userId },
+      { $inc: { points: quote.loyalty.points }, lastUpdated: new Date() },
+      { session, upsert: true }
+    );
+  }
+}
+
+const pricingService = new PricingService();
+
+module.exports = pricingService;
+module.exports.PricingError = PricingError;
+module.exports.DEFAULT_CURRENCY = DEFAULT_CURRENCY;
@@ -0,0 +1,131 @@
+const dayjs = require('dayjs');
+const { isValidTime, salonNow } = require('../utils/timeUtils');
+
+/**
+ * Recurrence Service
+ *
+ * Expands an AppointmentSeries rule into occurrence dates (YYYY-MM-DD).
+ */
+
+const MAX_OCCURRENCES = 52;
+// Longest gap between occurrences (weeks or months) and how far ahead a series may run
+const MAX_INTERVAL = 12;
+const MAX_HORIZON_MONTHS = 12;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// The `weekOfMonth`-th `weekday` of the month containing `monthStart` (-1 = last), or null
+const nthWeekdayOfMonth = (monthStart, weekday, weekOfMonth) => {
+  if (weekOfMonth === -1) {
+    let d = monthStart.endOf('month').startOf('day');
+    while (d.day() !== weekday) d = d.subtract(1, 'day');
+    return d;
+  }
+
+  let d = monthStart.startOf('month');
+  while (d.day() !== weekday) d = d.add(1, 'day');
+  d = d.add(weekOfMonth - 1, 'week');
+  return d.month() === monthStart.month() ? d : null;
+};
+
+class RecurrenceService {
+  /**
+   * Fill in monthly defaults from the start date, e.g. a series starting on
+   * the 2nd Tuesday repeats on the 2nd Tuesday.
+   */
+  normalizeRule(rule, startDate) {
+    const start = dayjs(startDate);
+    const normalized = {
+      frequency: rule.frequency,
+      interval: parseInt(rule.interval || 1, 10),
+    };
+
+    if (rule.frequency === 'monthly') {
+      normalized.weekday = rule.weekday ?? start.day();
+      normalized.weekOfMonth = rule.weekOfMonth ?? Math.ceil(start.date() / 7);
+    }
+    return normalized;
+  }
+
+  /**
+   * Validate a series request.
+   * @returns {string|null} error message, or null when valid
+   */
+  validate({ rule, startDate, startTime, endDate, occurrenceCount }) {
+    if (!rule || !['weekly', 'monthly'].includes(rule.frequency)) {
+      return 'rule.frequency must be "weekly" or "monthly"';
+    }
+    if (rule.interval !== undefined
+      && (!Number.isInteger(Number(rule.interval)) || Number(rule.interval) < 1 || Number(rule.interval) > MAX_INTERVAL)) {
+      return `rule.interval must be a whole number between 1 and ${MAX_INTERVAL}`;
+    }
+    if (rule.weekday !== undefined && !(rule.weekday >= 0 && rule.weekday <= 6)) {
+      return 'rule.weekday must be between 0 (Sunday) and 6 (Saturday)';
+    }
+    if (rule.weekOfMonth !== undefined && !(rule.weekOfMonth === -1 || (rule.weekOfMonth >= 1 && rule.weekOfMonth <= 5))) {
+      return 'rule.weekOfMonth must be 1-5, or -1 for the last week';
+    }
+    if (!DATE_PATTERN.test(startDate || '') || !isValidTime(startTime)) {
+      return 'startDate (YYYY-MM-DD) and startTime (HH:mm) are required';
+    }
+    if (startDate < salonNow().format('YYYY-MM-DD')) {
+      return 'startDate cannot be in the past';
+    }
+    if (!endDate && !occurrenceCount) {
+      return 'Either endDate or occurrenceCount is required';
+    }
+    if (endDate && (!DATE_PATTERN.test(endDate) || endDate < startDate)) {
+      return 'endDate must be a YYYY-MM-DD date on or after startDate';
+    }
+    if (endDate && endDate > this.getHorizon(startDate)) {
+      return `endDate must be within ${MAX_HORIZON_MONTHS} months of startDate`;
+    }
+    if (occurrenceCount && (!Number.isInteger(Number(occurrenceCount)) || occurrenceCount < 1 || occurrenceCount > MAX_OCCURRENCES)) {
+      return `occurrenceCount must be between 1 and ${MAX_OCCURRENCES}`;
+    }
+    return null;
+  }
+
+  // Last date (YYYY-MM-DD) a series starting on `startDate` may run to
+  getHorizon(startDate) {
+    return dayjs(startDate).add(MAX_HORIZON_MONTHS, 'month').format('YYYY-MM-DD');
+  }
+
+  /**
+   * Occurrence dates of a series, in order, capped at MAX_OCCURRENCES and
+   * MAX_HORIZON_MONTHS from the start.
+   * @returns {Array<string>} YYYY-MM-DD dates
+   */
+  getOccurrenceDates({ rule, startDate, endDate, occurrenceCount }) {
+    const normalized = this.normalizeRule(rule, startDate);
+    const limit = Math.min(occurrenceCount || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const start = dayjs(startDate);
+    const lastDate = endDate && endDate < this.getHorizon(startDate) ? endDate : this.getHorizon(startDate);
+    const dates = [];
+
+    for (let i = 0; dates.length < limit; i++) {
+      let date;
+      if (normalized.frequency === 'weekly') {
+        date = start.add(i * normalized.interval, 'week');
+      } else {
+        const month = start.startOf('month').add(i * normalized.interval, 'month');
+        date = nthWeekdayOfMonth(month, normalized.weekday, normalized.weekOfMonth);
+        if (!date || date.isBefore(start, 'day')) continue; // e.g. no 5th Friday that month
+      }
+
+      const formatted = date.format('YYYY-MM-DD');
+      if (formatted > lastDate) break;
+      dates.push(formatted);
+
+      // Safety net for monthly rules that rarely match (5th weekday)
+      if (i > MAX_OCCURRENCES * 12) break;
+    }
+
+    return dates;
+  }
+}
+
+const recurrenceService = new RecurrenceService();
+
+module.exports = recurrenceService;
+module.exports.MAX_OCCURRENCES = MAX_OCCURRENCES;
+module.exports.MAX_INTERVAL = MAX_INTERVAL;
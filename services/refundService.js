@@ -0,0 +1,351 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Appointment = require('../models/Appointment');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const paymentFulfilmentService = require('./paymentFulfilmentService');
+const { getProvider } = require('./paymentProviders');
+
+/**
+ * Refund Service
+ *
+ * Owners (for their own salon) and admins refund a succeeded payment in full
+ * or in part, either for a whole order or for one of its appointments. Every
+ * refund is a Refund document linked to the Payment:
+ *   pending -> succeeded
+ *           -> failed (the amount can be refunded again)
+ * The amount is set aside on Payment.refundedAmount before the provider is
+ * called, so concurrent refunds can never add up to more than was paid.
+ * An order refund is spread over its appointments in visit order. Once its
+ * refunds succeed, an appointment's paymentStatus becomes partially_refunded,
+ * or refunded when everything refundable has been paid back.
+ *
+ * What an appointment can get back is what it cost; a full refund of a
+ * cancelled appointment defaults to the refundable amount left by the salon's
+ * cancellation policy.
+ */
+
+const ROLES = ['owner', 'admin'];
+
+class RefundError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RefundError';
+    this.statusCode = statusCode;
+  }
+}
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+class RefundService {
+  // Appointments paid for by a payment: an order's appointments, or the one appointment it names
+  async getAppointments(payment) {
+    const ids = paymentFulfilmentService.getAppointmentIds(payment);
+    if (ids.length === 0 && /^[0-9a-f]{24}$/i.test(payment.appointmentId)) ids.push(payment.appointmentId);
+    if (ids.length === 0) return [];
+
+    return Appointment.find({ _id: { $in: ids } }).sort({ date: 1, startTime: 1 });
+  }
+
+  /**
+   * The payment a refund request is about, from one of paymentId, orderId or appointmentId.
+   * Throws RefundError (404) when there is none.
+   * @returns {Promise<Object>} { payment, appointments, appointment } - appointment only for appointmentId
+   */
+  async findTarget({ paymentId, orderId, appointmentId }) {
+    let payment = null;
+    let appointment = null;
+
+    if (appointmentId) {
+      if (mongoose.Types.ObjectId.isValid(appointmentId)) appointment = await Appointment.findById(appointmentId);
+      if (!appointment) throw new RefundError('Appointment not found', 404);
+
+      payment = await Payment.findOne({
+        $or: [
+          { 'fulfilment.appointmentIds': appointment._id },
+          { 'metadata.createdAppointmentIds': appointment._id.toString() },
+          { appointmentId: appointment._id.toString() },
+          ...(appointment.bookingGroupId ? [{ appointmentId: appointment.bookingGroupId }] : []),
+        ],
+      });
+    } else if (paymentId) {
+      if (mongoose.Types.ObjectId.isValid(paymentId)) payment = await Payment.findById(paymentId);
+    } else if (orderId) {
+      payment = await Payment.findOne({ appointmentId: orderId });
+    } else {
+      throw new RefundError('paymentId, orderId or appointmentId is required');
+    }
+    if (!payment) throw new RefundError('No payment found for this booking', 404);
+
+    const appointments = await this.getAppointments(payment);
+    if (appointment && !appointments.some(a => a._id.equals(appointment._id))) appointments.push(appointment);
+
+    return {
+      payment,
+      appointments,
+      appointment: appointment && appointments.find(a => a._id.equals(appointment._id)),
+    };
+  }
+
+  // Admins refund anything; owners only payments for their own salon
+  canRefund(user, payment, appointments) {
+    if (!ROLES.includes(user?.role)) return false;
+    if (user.role === 'admin') return true;
+
+    const salonId = appointments[0]?.salonId || payment.metadata?.salonId || payment.metadata?.quote?.salonId;
+    return !!salonId && salonId.toString() === user.userId?.toString();
+  }
+
+  // What an appointment can get back: what it cost, or what the cancellation policy left refundable
+  getRefundableAmount(appointment) {
+    const total = cancellationPolicyService.getAppointmentTotal(appointment);
+    return appointment.status === 'cancelled' && typeof appointment.cancellationCharge?.refundableAmount === 'number'
+      ? Math.min(appointment.cancellationCharge.refundableAmount, total)
+      : total;
+  }
+
+  /**
+   * How much of a payment, and of each of its appointments, is left to refund.
+   * Refunds that have not failed count as refunded.
+   * @returns {Promise<Object>} { amount, refunded, remaining,
+   *   appointments: [{ appointmentId, total, refundable, refunded, remaining }] }
+   */
+  async getRefundable(payment, appointments) {
+    const refunds = await Refund.find({ paymentId: payment._id, status: { $ne: 'failed' } }).lean();
+    const refundedById = new Map();
+    refunds.forEach(r => r.allocations.forEach(a => {
+      const id = a.appointmentId.toString();
+      refundedById.set(id, roundMoney((refundedById.get(id) || 0) + a.amount));
+    }));
+
+    const refunded = roundMoney(refunds.reduce((sum, r) => sum + r.amount, 0));
+    return {
+      amount: payment.amount,
+      refunded,
+      remaining: roundMoney(Math.max(payment.amount - refunded, 0)),
+      appointments: appointments.map(appt => {
+        const total = cancellationPolicyService.getAppointmentTotal(appt);
+        const apptRefunded = refundedById.get(appt._id.toString()) || 0;
+        return {
+          appointmentId: appt._id.toString(),
+          total,
+          refundable: this.getRefundableAmount(appt),
+          refunded: apptRefunded,
+          remaining: roundMoney(Math.max(total - apptRefunded, 0)),
+        };
+      }),
+    };
+  }
+
+  /**
+   * Split an amount over appointments in order: first up to what each has
+   * left of its refundable amount, then up to what each has left of its total.
+   * @param {Array} targets - entries of getRefundable().appointments
+   * @returns {Array} [{ appointmentId, amount }]
+   */
+  allocate(amount, targets) {
+    const shares = targets.map(() => 0);
+    let left = amount;
+    const fill = capOf => targets.forEach((target, i) => {
+      const share = roundMoney(Math.min(left, Math.max(capOf(target) - shares[i], 0)));
+      shares[i] = roundMoney(shares[i] + share);
+      left = roundMoney(left - share);
+    });
+    fill(target => Math.max(target.refundable - target.refunded, 0));
+    fill(target => target.remaining);
+
+    return targets
+      .map((target, i) => ({ appointmentId: target.appointmentId, amount: shares[i] }))
+      .filter(a => a.amount > 0);
+  }
+
+  /**
+   * Refund a payment, or one appointment of it.
+   * Without `amount`, everything still refundable is refunded.
+   * Throws RefundError when the refund is not allowed; a refund the provider
+   * rejects is returned with status 'failed'.
+   * @param {Object} params - { paymentId | orderId | appointmentId, amount, reason }
+   * @param {Object} options - { actor: req.user }
+   * @returns {Promise<Object>} the Refund
+   */
+  async refund({ paymentId, orderId, appointmentId, amount, reason = '' }, { actor }) {
+    const { payment, appointments, appointment } = await this.findTarget({ paymentId, orderId, appointmentId });
+    if (!this.canRefund(actor, payment, appointments)) {
+      throw new RefundError('You cannot refund this payment', 403);
+    }
+    if (payment.status !== 'succeeded') {
+      throw new RefundError(`Only succeeded payments can be refunded (this one is ${payment.status})`, 409);
+    }
+
+    const provider = getProvider(payment.provider);
+    if (!provider) throw new RefundError(`Refunds are not supported for ${payment.provider} payments`);
+
+    const summary = await this.getRefundable(payment, appointments);
+    const targets = appointment
+      ? summary.appointments.filter(a => a.appointmentId === appointment._id.toString())
+      : summary.appointments;
+
+    // Without appointments (e.g. an order that could not be booked) the payment itself is the limit
+    let limit = summary.remaining;
+    let suggested = limit;
+    if (targets.length > 0) {
+      const remaining = targets.reduce((sum, t) => sum + t.remaining, 0);
+      const refundableLeft = targets.reduce((sum, t) => sum + Math.max(t.refundable - t.refunded, 0), 0);
+      limit = roundMoney(Math.min(limit, remaining));
+      suggested = roundMoney(Math.min(limit, refundableLeft));
+    }
+
+    const value = amount === undefined || amount === null || amount === '' ? suggested : roundMoney(Number(amount));
+    if (!(value > 0)) {
+      throw new RefundError(limit > 0 ? 'amount must be a positive number' : 'Nothing is left to refund', limit > 0 ? 400 : 409);
+    }
+    if (value > limit) {
+      throw new RefundError(`At most ${limit} can be refunded`, 409);
+    }
+
+    const refund = new Refund({
+      paymentId: payment._id,
+      orderId: payment.appointmentId,
+      provider: provider.name,
+      amount: value,
+      currency: payment.currency,
+      reason: reason || '',
+      allocations: this.allocate(value, targets),
+      requestedBy: { role: actor.role, id: actor.userId?.toString() },
+    });
+
+    // Set the amount aside; fails when a concurrent refund got there first
+    await mongoose.connection.transaction(async (session) => {
+      const result = await Payment.updateOne(
+        {
+          _id: payment._id,
+          $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, value] }, { $add: ['$amount', 0.001] }] },
+        },
+        { $inc: { refundedAmount: value } },
+        { session }
+      );
+      if (result.modifiedCount === 0) throw new RefundError('The refund exceeds what is left of the payment', 409);
+      await refund.save({ session });
+    });
+
+    let outcome;
+    try {
+      outcome = await provider.refund({ payment, refund });
+    } catch (error) {
+ console.error(` ${provider.name} refund ${refund._id} failed:`, error.response?.data || error.message);
+      outcome = { status: 'failed', failureReason: error.response?.data?.msg || error.message };
+    }
+
+    const updated = await this.applyOutcome(refund, outcome);
+ console.log(` Refund ${refund._id} of ${value} ${payment.currency} for ${payment.appointmentId}: ${updated.status}`);
+    return updated;
+  }
+
+  /**
+   * Record the provider's answer on a pending refund, once. A failed refund
+   * gives its amount back to the payment; a succeeded one updates the
+   * appointments' paymentStatus.
+   * @returns {Promise<Object>} the Refund as it is now
+   */
+  async applyOutcome(refund, { status, providerRefundId, response, failureReason }) {
+    const updated = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: 'pending' },
+      {
+        $set: {
+          status,
+          ...(providerRefundId && { providerRefundId }),
+          ...(response && { providerResponse: response }),
+          ...(failureReason && { failureReason }),
+          ...(status !== 'pending' && { processedAt: new Date() }),
+        },
+      },
+      { new: true }
+    );
+    // Already settled by another request
+    if (!updated) return Refund.findById(refund._id);
+
+    if (status === 'failed') {
+      await Payment.updateOne({ _id: updated.paymentId }, { $inc: { refundedAmount: -updated.amount } });
+    } else if (status === 'succeeded') {
+      await this.updateAppointmentStatuses(updated);
+    }
+    return updated;
+  }
+
+  // partially_refunded or refunded, from the succeeded refunds of each appointment
+  async updateAppointmentStatuses(refund) {
+    const ids = refund.allocations.map(a => a.appointmentId);
+    if (ids.length === 0) return;
+
+    const [appointments, totals] = await Promise.all([
+      Appointment.find({ _id: { $in: ids } }),
+      Refund.aggregate([
+        { $match: { status: 'succeeded', 'allocations.appointmentId': { $in: ids } } },
+        { $unwind: '$allocations' },
+        { $match: { 'allocations.appointmentId': { $in: ids } } },
+        { $group: { _id: '$allocations.appointmentId', refunded: { $sum: '$allocations.amount' } } },
+      ]),
+    ]);
+    const refundedById = new Map(totals.map(t => [t._id.toString(), t.refunded]));
+
+    for (const appt of appointments) {
+      const refunded = refundedById.get(appt._id.toString()) || 0;
+      const paymentStatus = refunded >= this.getRefundableAmount(appt) - 0.005 ? 'refunded' : 'partially_refunded';
+      await Appointment.updateOne({ _id: appt._id }, { paymentStatus });
+    }
+  }
+
+  /**
+   * One refund, as `actor` may see it. A pending refund is checked with its
+   * provider first.
+   */
+  async getRefund(id, actor) {
+    const refund = mongoose.Types.ObjectId.isValid(id) ? await Refund.findById(id) : null;
+    if (!refund) throw new RefundError('Refund not found', 404);
+
+    const payment = await Payment.findById(refund.paymentId);
+    if (!payment || !this.canRefund(actor, payment, await this.getAppointments(payment))) {
+      throw new RefundError('You cannot view this refund', 403);
+    }
+
+    const provider = getProvider(refund.provider);
+    if (refund.status !== 'pending' || !refund.providerRefundId || !provider?.fetchRefund) return refund;
+
+    try {
+      return await this.applyOutcome(refund, await provider.fetchRefund(refund));
+    } catch (error) {
+ console.error(` Could not check refund ${refund._id} with ${refund.provider}:`, error.message);
+      return refund;
+    }
+  }
+
+  /**
+   * A payment's refunds (newest first) and what is left to refund.
+   * @param {Object} target - { paymentId | orderId | appointmentId }
+   * @returns {Promise<Object>} { paymentId, orderId, provider, currency, summary, refunds }
+   */
+  async listRefunds(target, actor) {
+    const { payment, appointments } = await this.findTarget(target);
+    if (!this.canRefund(actor, payment, appointments)) {
+      throw new RefundError('You cannot view refunds of this payment', 403);
+    }
+
+    const [summary, refunds] = await Promise.all([
+      this.getRefundable(payment, appointments),
+      Refund.find({ paymentId: payment._id }).sort({ createdAt: -1 }).lean(),
+    ]);
+    return {
+      paymentId: payment._id,
+      orderId: payment.appointmentId,
+      provider: payment.provider,
+      currency: payment.currency,
+      summary,
+      refunds,
+    };
+  }
+}
+
+const refundService = new RefundService();
+
+module.exports = refundService;
+module.exports.RefundError = RefundError;
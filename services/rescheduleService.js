@@ -0,0 +1,218 @@
+const dayjs = require('dayjs');
+const Appointment = require('../models/Appointment');
+const slotReservationService = require('./slotReservationService');
+const appointmentStatusService = require('./appointmentStatusService');
+const availabilityService = require('./availabilityService');
+const serviceCatalogService = require('./serviceCatalogService');
+const { EXEMPT_ROLES } = require('./cancellationPolicyService');
+const { computeEndTime, salonDateTime } = require('../utils/timeUtils');
+
+/**
+ * Reschedule Service
+ *
+ * Moves an appointment to a new time (and optionally professional). The new
+ * endTime is worked out from the booked services, and the old slots are freed
+ * and the new ones claimed in one transaction, so a failed move leaves the
+ * original booking untouched.
+ *
+ * Salon.reschedulePolicy limits how often and how late customers can move a
+ * booking; owners and admins are not limited.
+ */
+
+const DEFAULT_POLICY = {
+  maxReschedules: 3,
+  minNoticeHours: 24,
+};
+
+// Only bookings that have not started yet can be moved
+const RESCHEDULABLE_STATUSES = ['pending', 'confirmed'];
+
+// Money was taken at these prices; a new professional does not change them
+const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+class ReschedulePolicyError extends Error {
+  constructor(message, policy) {
+    super(message);
+    this.name = 'ReschedulePolicyError';
+    this.statusCode = 403;
+    this.policy = policy;
+  }
+}
+
+// The move itself is not possible, e.g. the professional does not perform the services
+class RescheduleError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RescheduleError';
+    this.statusCode = statusCode;
+  }
+}
+
+class RescheduleService {
+  // Salon policy merged over the defaults
+  getPolicy(salon) {
+    const policy = salon?.reschedulePolicy || {};
+    return {
+      maxReschedules: policy.maxReschedules ?? DEFAULT_POLICY.maxReschedules,
+      minNoticeHours: policy.minNoticeHours ?? DEFAULT_POLICY.minNoticeHours,
+    };
+  }
+
+  /**
+   * Validate a reschedule policy payload.
+   * @returns {string|null} error message, or null when valid
+   */
+  validatePolicy(policy) {
+    if (!policy || typeof policy !== 'object') return 'reschedulePolicy is required';
+
+    const { maxReschedules, minNoticeHours } = policy;
+    if (maxReschedules !== undefined && (!Number.isInteger(maxReschedules) || maxReschedules < 0)) {
+      return 'maxReschedules must be a non-negative whole number';
+    }
+    if (minNoticeHours !== undefined && (typeof minNoticeHours !== 'number' || minNoticeHours < 0)) {
+      return 'minNoticeHours must be a non-negative number';
+    }
+    return null;
+  }
+
+  /**
+   * Throw ReschedulePolicyError when the actor may not move this appointment.
+   */
+  checkPolicy(appointment, salon, { actorRole = 'customer', now = new Date() } = {}) {
+    if (EXEMPT_ROLES.includes(actorRole)) return;
+
+    const policy = this.getPolicy(salon);
+    if ((appointment.rescheduleCount || 0) >= policy.maxReschedules) {
+      throw new ReschedulePolicyError(
+        `This appointment has already been rescheduled the maximum of ${policy.maxReschedules} times`,
+        policy
+      );
+    }
+
+    const hoursNotice = salonDateTime(appointment.date, appointment.startTime).diff(dayjs(now), 'minute') / 60;
+    if (hoursNotice < policy.minNoticeHours) {
+      throw new ReschedulePolicyError(
+        `Appointments can only be rescheduled at least ${policy.minNoticeHours} hours in advance`,
+        policy
+      );
+    }
+  }
+
+  canReschedule(appointment) {
+    return RESCHEDULABLE_STATUSES.includes(appointmentStatusService.normalize(appointment.status) || 'pending');
+  }
+
+  /**
+   * The service lines for the professional the appointment moves to.
+   * A new professional must perform every booked service, and brings their
+   * own durations and prices (Professional.serviceOverrides); paid
+   * appointments keep the prices they were paid at.
+   * Throws RescheduleError when there is no professional or they are not qualified.
+   * @returns {Promise<Object>} { professionalId, services }
+   */
+  async planProfessional(appointment, professionalId) {
+    const current = appointment.services.map(s => (s.toObject ? s.toObject() : s));
+    const targetId = professionalId || appointment.professionalId;
+    if (!targetId) {
+      throw new RescheduleError('This appointment has no professional; choose one to reschedule it');
+    }
+    if (appointment.professionalId && targetId.toString() === appointment.professionalId.toString()) {
+      return { professionalId: targetId, services: current };
+    }
+
+    const serviceIds = await availabilityService.resolveServiceIds(appointment.salonId, current);
+    const [professional] = await availabilityService.getQualifiedProfessionals(appointment.salonId, serviceIds, targetId);
+    if (!professional) {
+      throw new RescheduleError('This professional is not available for all of the booked services');
+    }
+
+    const servicesById = await serviceCatalogService.loadServices(current);
+    const priced = serviceCatalogService.forProfessional(current, servicesById, professional);
+    const services = PAID_STATUSES.includes(appointment.paymentStatus)
+      ? priced.map((line, i) => ({ ...line, price: current[i].price }))
+      : priced;
+    return { professionalId: professional._id, services };
+  }
+
+  /**
+   * Move an appointment. Throws SlotConflictError when the target slots are
+   * taken, RescheduleError when the professional cannot take it.
+   * @param {Object} appointment - Appointment document
+   * @param {Object} target - { date, startTime, professionalId }
+   * @param {Object} options - { createNew, actor }
+   * @returns {Promise<Object>} { appointment (the moved booking), original (when createNew) }
+   */
+  async reschedule(appointment, { date, startTime, professionalId }, { createNew = false, actor } = {}) {
+    const planned = await this.planProfessional(appointment, professionalId);
+    const target = {
+      professionalId: planned.professionalId,
+      services: planned.services,
+      date,
+      startTime,
+      endTime: computeEndTime(startTime, availabilityService.getTotalDuration(planned.services)),
+    };
+    const previous = {
+      professionalId: appointment.professionalId,
+      date: appointment.date,
+      startTime: appointment.startTime,
+      endTime: appointment.endTime,
+      rescheduledAt: new Date(),
+      rescheduledBy: actor?.role || 'anonymous',
+    };
+
+    let result;
+    await slotReservationService.reserveAndRun(
+      async (session) => {
+        await slotReservationService.release(appointment, session);
+        return [target];
+      },
+      async (session) => {
+        if (!createNew) {
+          const moved = await Appointment.findOneAndUpdate(
+            { _id: appointment._id, date: appointment.date, startTime: appointment.startTime },
+            {
+              $set: { ...target, isRescheduled: true },
+              $inc: { rescheduleCount: 1 },
+              $push: { rescheduleHistory: previous },
+            },
+            { new: true, session }
+          );
+          if (!moved) throw new Error('Appointment was changed by someone else, please try again');
+          result = { appointment: moved, original: null };
+          return;
+        }
+
+        // A new appointment replaces the original, which is kept as cancelled for the link.
+        // It keeps everything else (discount, payment, group and series links, ...)
+        const {
+          _id, __v, createdAt, updatedAt, statusHistory, cancellationCharge, rescheduledToId, ...kept
+        } = appointment.toObject({ depopulate: true });
+        const [created] = await Appointment.create([{
+          ...kept,
+          ...target,
+          isRescheduled: true,
+          rescheduleCount: (appointment.rescheduleCount || 0) + 1,
+          rescheduleHistory: [...(appointment.rescheduleHistory || []), previous],
+          originalAppointmentId: appointment._id,
+        }], { session });
+
+        const original = await appointmentStatusService.transition(appointment, 'cancelled', {
+          actor,
+          reason: 'Rescheduled',
+          update: { rescheduledToId: created._id },
+          session,
+        });
+        result = { appointment: created, original };
+      }
+    );
+
+    return result;
+  }
+}
+
+const rescheduleService = new RescheduleService();
+
+module.exports = rescheduleService;
+module.exports.ReschedulePolicyError = ReschedulePolicyError;
+module.exports.RescheduleError = RescheduleError;
+module.exports.DEFAULT_POLICY = DEFAULT_POLICY;
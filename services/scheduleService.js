@@ -0,0 +1,164 @@
+const dayjs = require('dayjs');
+const { WEEKDAYS, isValidTime, timeToMinutes, minutesToTime, SLOT_INTERVAL_MINUTES } = require('../utils/timeUtils');
+
+/**
+ * Schedule Service
+ *
+ * Turns Salon.weeklySchedule and Professional.schedule into the working
+ * windows used for TimeSlot generation.
+ */
+
+const DEFAULT_OPEN_TIME = '09:00';
+const DEFAULT_CLOSE_TIME = '18:00';
+
+// Remove every [start, end) range in `cuts` from the windows (all values in minutes)
+const subtractRanges = (windows, cuts) => {
+  return cuts.reduce((remaining, cut) => remaining.flatMap(w => {
+    if (cut.end <= w.start || cut.start >= w.end) return [w];
+    const pieces = [];
+    if (cut.start > w.start) pieces.push({ start: w.start, end: cut.start });
+    if (cut.end < w.end) pieces.push({ start: cut.end, end: w.end });
+    return pieces;
+  }), windows);
+};
+
+const toRange = (range) => ({
+  start: timeToMinutes(range.startTime),
+  end: timeToMinutes(range.endTime),
+});
+
+// Returns an error message for the first invalid range, or null
+const validateRanges = (ranges, label) => {
+  if (!Array.isArray(ranges)) return `${label} must be an array`;
+  for (const range of ranges) {
+    if (!isValidTime(range?.startTime) || !isValidTime(range?.endTime)) {
+      return `${label} times must use HH:mm format`;
+    }
+    if (timeToMinutes(range.startTime) >= timeToMinutes(range.endTime)) {
+      return `${label} startTime must be before endTime`;
+    }
+  }
+  return null;
+};
+
+// Returns an error message for a duplicate or unknown weekday, or null
+const validateDays = (schedule) => {
+  if (!Array.isArray(schedule)) return 'Schedule must be an array';
+  const seen = new Set();
+  for (const entry of schedule) {
+    if (!WEEKDAYS.includes(entry?.day)) return `Invalid day: ${entry?.day}`;
+    if (seen.has(entry.day)) return `Duplicate entry for ${entry.day}`;
+    seen.add(entry.day);
+  }
+  return null;
+};
+
+class ScheduleService {
+  /**
+   * Opening hours of a salon on a date, or null when it is closed.
+   * @param {Object} salon - Salon document (or lean object)
+   * @param {string} date - YYYY-MM-DD
+   * @returns {{ openTime: string, closeTime: string } | null}
+   */
+  getSalonHours(salon, date) {
+    const schedule = salon?.weeklySchedule || [];
+    if (schedule.length === 0) {
+      return { openTime: DEFAULT_OPEN_TIME, closeTime: DEFAULT_CLOSE_TIME };
+    }
+
+    const day = WEEKDAYS[dayjs(date).day()];
+    const entry = schedule.find(d => d.day === day);
+    if (!entry || !entry.isOpen) return null;
+
+    return { openTime: entry.openTime, closeTime: entry.closeTime };
+  }
+
+  /**
+   * Windows in which a professional can take bookings on a date:
+   * their shifts, clipped to the salon's opening hours, minus breaks.
+   * @returns {Array<{ startTime: string, endTime: string }>}
+   */
+  getWorkingWindows(salon, professional, date) {
+    const hours = this.getSalonHours(salon, date);
+    if (!hours) return [];
+
+    const salonWindow = toRange({ startTime: hours.openTime, endTime: hours.closeTime });
+    const schedule = professional?.schedule || [];
+
+    let windows;
+    let breaks = [];
+
+    if (schedule.length === 0) {
+      windows = [salonWindow];
+    } else {
+      const day = WEEKDAYS[dayjs(date).day()];
+      const entry = schedule.find(d => d.day === day);
+      if (!entry) return [];
+
+      windows = entry.shifts
+        .map(toRange)
+        .map(w => ({ start: Math.max(w.start, salonWindow.start), end: Math.min(w.end, salonWindow.end) }))
+        .filter(w => w.start < w.end);
+      breaks = entry.breaks.map(toRange);
+    }
+
+    return subtractRanges(windows, breaks)
+      .sort((a, b) => a.start - b.start)
+      .map(w => ({ startTime: minutesToTime(w.start), endTime: minutesToTime(w.end) }));
+  }
+
+  /**
+   * Start/end times of every TimeSlot a professional should have on a date.
+   * @returns {Array<{ startTime: string, endTime: string }>}
+   */
+  getSlotTimes(salon, professional, date) {
+    const slots = [];
+    for (const window of this.getWorkingWindows(salon, professional, date)) {
+      const end = timeToMinutes(window.endTime);
+      for (let t = timeToMinutes(window.startTime); t + SLOT_INTERVAL_MINUTES <= end; t += SLOT_INTERVAL_MINUTES) {
+        slots.push({ startTime: minutesToTime(t), endTime: minutesToTime(t + SLOT_INTERVAL_MINUTES) });
+      }
+    }
+    return slots;
+  }
+
+  /**
+   * Validate a Salon.weeklySchedule payload.
+   * @returns {string|null} error message, or null when valid
+   */
+  validateSalonSchedule(schedule) {
+    const dayError = validateDays(schedule);
+    if (dayError) return dayError;
+
+    for (const entry of schedule) {
+      if (entry.isOpen === false) continue;
+      const rangeError = validateRanges(
+        [{ startTime: entry.openTime, endTime: entry.closeTime }],
+        `Opening hours for ${entry.day}`
+      );
+      if (rangeError) return rangeError;
+    }
+    return null;
+  }
+
+  /**
+   * Validate a Professional.schedule payload.
+   * @returns {string|null} error message, or null when valid
+   */
+  validateProfessionalSchedule(schedule) {
+    const dayError = validateDays(schedule);
+    if (dayError) return dayError;
+
+    for (const entry of schedule) {
+      const shiftError = validateRanges(entry.shifts || [], `Shifts for ${entry.day}`);
+      if (shiftError) return shiftError;
+      const breakError = validateRanges(entry.breaks || [], `Breaks for ${entry.day}`);
+      if (breakError) return breakError;
+    }
+    return null;
+  }
+}
+
+const scheduleService = new ScheduleService();
+
+module.exports = scheduleService;
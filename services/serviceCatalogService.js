@@ -0,0 +1,322 @@
+const mongoose = require('mongoose');
+const Service = require('../models/Service');
+const Professional = require('../models/Professional');
+const { SLOT_INTERVAL_MINUTES, formatDuration, getServiceMinutes } = require('../utils/timeUtils');
+
+/**
+ * Service Catalogue Service
+ *
+ * Services are grouped into categories and can have price/duration variants
+ * ("Haircut - long hair") and add-ons ("Deep conditioning", +15 min). A booked
+ * service line is built from the Service document and the chosen options, so
+ * its price and length always match the catalogue.
+ *
+ * A professional can have their own price and/or duration for a service
+ * (Professional.serviceOverrides). An override replaces the base price and
+ * duration, and shifts a variant's price and duration by the same amount;
+ * add-ons are unaffected.
+ */
+
+class CatalogError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogError';
+    this.statusCode = 400;
+  }
+}
+
+// Multipart forms send arrays as JSON strings
+const parseList = (value, field) => {
+  if (value === undefined) return undefined;
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed;
+  } catch (error) {
+    // fall through
+  }
+  throw new CatalogError(`${field} must be a list`);
+};
+
+const toNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+const sameId = (a, b) => a && b && a.toString() === b.toString();
+
+// Add-ons chosen on a request line (addOnIds) or already on a booked line (addOns)
+const chosenAddOnIds = line => line.addOnIds || (line.addOns || []).map(a => a.addOnId);
+
+class ServiceCatalogService {
+  /**
+   * Clean up a create/update payload: numeric prices and durations, parsed
+   * variant and add-on lists. Throws CatalogError on bad input.
+   * @param {Object} body - request body
+   * @param {boolean} partial - true for updates
+   * @returns {Object} fields to save
+   */
+  normalizeInput(body, partial = false) {
+    const fields = {};
+    for (const key of ['name', 'category', 'description', 'gender']) {
+      if (body[key] !== undefined) fields[key] = body[key];
+    }
+
+    const price = toNumber(body.price);
+    if (price !== undefined) {
+      if (!Number.isFinite(price) || price < 0) throw new CatalogError('price must be a non-negative number');
+      fields.price = price;
+    }
+
+    const durationMinutes = toNumber(body.durationMinutes);
+    if (durationMinutes !== undefined) {
+      if (!Number.isInteger(durationMinutes) || durationMinutes < 5) {
+        throw new CatalogError('durationMinutes must be a whole number of at least 5');
+      }
+      fields.durationMinutes = durationMinutes;
+      fields.duration = formatDuration(durationMinutes);
+    } else if (body.duration !== undefined) {
+      // Older clients still send "1 hour 15 minutes"
+      fields.duration = body.duration;
+      fields.durationMinutes = getServiceMinutes({ duration: body.duration });
+    }
+
+    const variants = parseList(body.variants, 'variants');
+    if (variants !== undefined) {
+      fields.variants = variants.map((v) => {
+        const variant = { name: v.name, price: toNumber(v.price), durationMinutes: toNumber(v.durationMinutes) };
+        if (v._id) variant._id = v._id;
+        if (!variant.name || !Number.isFinite(variant.price) || variant.price < 0
+          || !Number.isInteger(variant.durationMinutes) || variant.durationMinutes < 5) {
+          throw new CatalogError('Each variant needs a name, a price and durationMinutes (at least 5)');
+        }
+        return variant;
+      });
+    }
+
+    const addOns = parseList(body.addOns, 'addOns');
+    if (addOns !== undefined) {
+      fields.addOns = addOns.map((a) => {
+        const addOn = { name: a.name, price: toNumber(a.price) || 0, durationMinutes: toNumber(a.durationMinutes) || 0 };
+        if (a._id) addOn._id = a._id;
+        if (!addOn.name || addOn.price < 0 || !Number.isInteger(addOn.durationMinutes) || addOn.durationMinutes < 0) {
+          throw new CatalogError('Each add-on needs a name, a price and whole durationMinutes');
+        }
+        return addOn;
+      });
+    }
+
+    if (!partial) {
+      if (!fields.name || fields.price === undefined || !fields.durationMinutes) {
+        throw new CatalogError('name, price and durationMinutes are required');
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * The booked line for a service with the chosen variant and add-ons.
+   * Throws CatalogError when an option does not belong to the service.
+   * @param {Object} service - Service document
+   * @param {Object} options - { variantId, addOnIds, override (from getOverride()) }
+   * @returns {Object} { serviceId, name, variantId, variantName, addOns, price, durationMinutes, duration }
+   */
+  selectOptions(service, { variantId = null, addOnIds = [], override = null } = {}) {
+    const baseMinutes = getServiceMinutes(service);
+    let price = override?.price ?? service.price;
+    let durationMinutes = override?.durationMinutes ?? baseMinutes;
+    let variant = null;
+
+    if (variantId) {
+      variant = (service.variants || []).find(v => sameId(v._id, variantId));
+      if (!variant) throw new CatalogError(`Variant ${variantId} is not offered for ${service.name}`);
+      price = Math.max(0, variant.price + price - service.price);
+      durationMinutes = Math.max(SLOT_INTERVAL_MINUTES, variant.durationMinutes + durationMinutes - baseMinutes);
+    }
+
+    const addOns = [...new Set((addOnIds || []).map(String))].map((id) => {
+      const addOn = (service.addOns || []).find(a => sameId(a._id, id));
+      if (!addOn) throw new CatalogError(`Add-on ${id} is not offered for ${service.name}`);
+      return { addOnId: addOn._id, name: addOn.name, price: addOn.price, durationMinutes: addOn.durationMinutes };
+    });
+
+    price += addOns.reduce((sum, a) => sum + a.price, 0);
+    durationMinutes += addOns.reduce((sum, a) => sum + a.durationMinutes, 0);
+
+    return {
+      serviceId: service._id,
+      name: variant ? `${service.name} - ${variant.name}` : service.name,
+      variantId: variant?._id || null,
+      variantName: variant?.name || null,
+      addOns,
+      price,
+      durationMinutes,
+      duration: formatDuration(durationMinutes),
+    };
+  }
+
+  /**
+   * A professional's own price/duration for a service, if they have one.
+   * @param {Object|null} professional - needs serviceOverrides
+   * @returns {Object|null} { serviceId, price, durationMinutes }
+   */
+  getOverride(professional, serviceId) {
+    return (professional?.serviceOverrides || []).find(o => sameId(o.serviceId, serviceId)) || null;
+  }
+
+  /**
+   * Validate a professional's overrides: each one for a service they perform,
+   * at most one per service, with a price and/or durationMinutes.
+   * Throws CatalogError on bad input.
+   * @param {Object} professional - needs services
+   * @param {Array} overrides - [{ serviceId, price, durationMinutes }]
+   * @returns {Array} overrides to save
+   */
+  normalizeOverrides(professional, overrides) {
+    const list = parseList(overrides, 'serviceOverrides');
+    if (!list) throw new CatalogError('serviceOverrides must be a list');
+
+    const seen = new Set();
+    return list.map((o) => {
+      const serviceId = o.serviceId?.toString();
+      if (!serviceId || !(professional.services || []).some(id => sameId(id, serviceId))) {
+        throw new CatalogError(`${professional.name} does not perform service ${serviceId}`);
+      }
+      if (seen.has(serviceId)) throw new CatalogError(`Service ${serviceId} has more than one override`);
+      seen.add(serviceId);
+
+      const override = { serviceId, price: toNumber(o.price), durationMinutes: toNumber(o.durationMinutes) };
+      if (override.price === undefined && override.durationMinutes === undefined) {
+        throw new CatalogError('Each override needs a price, durationMinutes or both');
+      }
+      if (override.price !== undefined && (!Number.isFinite(override.price) || override.price < 0)) {
+        throw new CatalogError('Override price must be a non-negative number');
+      }
+      if (override.durationMinutes !== undefined
+        && (!Number.isInteger(override.durationMinutes) || override.durationMinutes < 5)) {
+        throw new CatalogError('Override durationMinutes must be a whole number of at least 5');
+      }
+      return override;
+    });
+  }
+
+  /**
+   * Catalogue services referenced by service lines, by id.
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async loadServices(lines, session = null) {
+    const ids = lines.map(l => l.serviceId).filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (ids.length === 0) return new Map();
+
+    const services = await Service.find({ _id: { $in: ids } }).session(session).lean();
+    return new Map(services.map(s => [s._id.toString(), s]));
+  }
+
+  /**
+   * Booked service lines priced for one professional (their overrides applied).
+   * Lines whose service is not in `servicesById` are returned unchanged.
+   * @param {Array} lines - booked service lines
+   * @param {Map} servicesById - from loadServices()
+   * @param {Object|null} professional - needs serviceOverrides; null for catalogue prices
+   * @returns {Array}
+   */
+  forProfessional(lines, servicesById, professional) {
+    return lines.map((line) => {
+      const service = line.serviceId && servicesById.get(line.serviceId.toString());
+      if (!service) return line;
+      return this.selectOptions(service, {
+        variantId: line.variantId,
+        addOnIds: chosenAddOnIds(line),
+        override: this.getOverride(professional, service._id),
+      });
+    });
+  }
+
+  /**
+   * Replace every booked service line that names a catalogue service
+   * ({ serviceId, variantId?, addOnIds? }) with the catalogue's price and length,
+   * using the professional's own values where they have them.
+   * Lines without a serviceId are left as they are.
+   * @param {string} salonId
+   * @param {Array} lines - service lines of one appointment
+   * @param {Object|null} [professional] - needs serviceOverrides
+   * @returns {Promise<Array>}
+   */
+  async priceServiceLines(salonId, lines, professional = null) {
+    const ids = lines.map(l => l.serviceId).filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (ids.length === 0) return lines;
+
+    const services = await Service.find({ _id: { $in: ids }, salonId }).lean();
+    return lines.map((line) => {
+      if (!mongoose.Types.ObjectId.isValid(line.serviceId)) return line;
+      const service = services.find(s => sameId(s._id, line.serviceId));
+      if (!service) throw new CatalogError(`Service ${line.serviceId} is not offered by this salon`);
+      return this.selectOptions(service, {
+        variantId: line.variantId,
+        addOnIds: chosenAddOnIds(line),
+        override: this.getOverride(professional, service._id),
+      });
+    });
+  }
+
+  /**
+   * Apply priceServiceLines() to each member line of a booking
+   * (`services: [...]`, or the legacy single serviceId / variantId / addOnIds),
+   * with the overrides of the member's chosen professional.
+   * @returns {Promise<Array>} member lines with catalogue-priced services
+   */
+  async priceBookingLines(lines) {
+    const professionalIds = lines.map(l => l.professionalId).filter(id => mongoose.Types.ObjectId.isValid(id));
+    const professionals = professionalIds.length > 0
+      ? await Professional.find({ _id: { $in: professionalIds } }).select('serviceOverrides').lean()
+      : [];
+    const professionalFor = line => professionals.find(p => sameId(p._id, line.professionalId)) || null;
+
+    return Promise.all(lines.map(async (line) => {
+      if (Array.isArray(line.services) && line.services.length > 0) {
+        return { ...line, services: await this.priceServiceLines(line.salonId, line.services, professionalFor(line)) };
+      }
+      if (mongoose.Types.ObjectId.isValid(line.serviceId)) {
+        const services = await this.priceServiceLines(line.salonId, [line], professionalFor(line));
+        return { ...line, services };
+      }
+      return line;
+    }));
+  }
+
+  /**
+   * Resolve "variant" and "add-on" ids sent with a basket of services
+   * (each id belongs to exactly one service) into booked lines.
+   * @param {Array} services - Service documents
+   * @param {Object} options - { variantIds, addOnIds }
+   */
+  selectForBasket(services, { variantIds = [], addOnIds = [] } = {}) {
+    const ownedBy = (list, ids, service) => ids.filter(id => (service[list] || []).some(o => sameId(o._id, id)));
+    const lines = services.map(service => this.selectOptions(service, {
+      variantId: ownedBy('variants', variantIds, service)[0] || null,
+      addOnIds: ownedBy('addOns', addOnIds, service),
+    }));
+
+    const used = new Set(lines.flatMap(l => [l.variantId, ...l.addOns.map(a => a.addOnId)]).filter(Boolean).map(String));
+    const unknown = [...variantIds, ...addOnIds].find(id => !used.has(id.toString()));
+    if (unknown) throw new CatalogError(`Option ${unknown} does not belong to the selected services`);
+    return lines;
+  }
+
+  /**
+   * A salon's services grouped by category, in name order.
+   * @returns {Promise<Array>} [{ category, services }]
+   */
+  async getCatalog(salonId) {
+    const services = await Service.find({ salonId }).sort({ category: 1, name: 1 }).lean();
+    const byCategory = new Map();
+    for (const service of services) {
+      const category = service.category || 'General';
+      if (!byCategory.has(category)) byCategory.set(category, []);
+      byCategory.get(category).push({ ...service, durationMinutes: getServiceMinutes(service) });
+    }
+    return [...byCategory].map(([category, list]) => ({ category, services: list }));
+  }
+}
+
+const serviceCatalogService = new ServiceCatalogService();
+
+module.exports = serviceCatalogService;
+module.exports.CatalogError = CatalogError;
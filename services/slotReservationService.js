@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const TimeSlot = require('../models/TimeSlot');
+const { listSlotStartTimes } = require('../utils/timeUtils');
+
+/**
+ * Slot Reservation Service
+ *
+ * Claims the 5-minute TimeSlot documents that make up an appointment.
+ * A reservation is all-or-nothing: either every slot between startTime and
+ * endTime is free and gets marked as booked, or nothing changes and a
+ * SlotConflictError lists the clashing times.
+ *
+ * Slots can also be held for a checkout that is not paid yet: they count as
+ * booked, carry the order id (heldBy) and an expiry (heldUntil), and are freed
+ * again when the payment fails or the hold expires.
+ *
+ * Environment:
+ * SLOT_HOLD_MINUTES - how long a checkout holds its slots (default 15)
+ */
+
+const HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES || '15', 10);
+
+class SlotConflictError extends Error {
+  constructor(conflicts) {
+    super('One or more selected time slots are no longer available');
+    this.name = 'SlotConflictError';
+    this.statusCode = 409;
+    this.conflicts = conflicts;
+  }
+}
+
+class SlotReservationService {
+  /**
+   * Find the slots of a single reservation that cannot be booked.
+   * A slot is a conflict when it is already booked or was never generated
+   * (outside working hours / beyond the generated window).
+   * @param {Object} reservation - { professionalId, date, startTime, endTime }
+   * @param {ClientSession} [session]
+   * @returns {Promise<Array>} [{ professionalId, date, startTime, reason }]
+   */
+  async findConflicts(reservation, session = null) {
+    const { professionalId, date, startTime, endTime } = reservation;
+
+    const slots = await TimeSlot.find({
+      professionalId,
+      date,
+      startTime: { $gte: startTime, $lt: endTime },
+    })
+      .select('startTime isBooked')
+      .session(session)
+      .lean();
+
+    const slotsByStart = new Map(slots.map(s => [s.startTime, s]));
+
+    return listSlotStartTimes(startTime, endTime)
+      .filter(time => !slotsByStart.has(time) || slotsByStart.get(time).isBooked)
+      .map(time => ({
+        professionalId: professionalId.toString(),
+        date,
+        startTime: time,
+        reason: slotsByStart.has(time) ? 'booked' : 'unavailable',
+      }));
+  }
+
+  /**
+   * Mark the slots of every reservation as booked inside the given session.
+   * Throws SlotConflictError if any slot is taken; the caller's transaction
+   * should then be aborted so nothing is persisted.
+   * @param {Array} reservations - [{ professionalId, date, startTime, endTime }]
+   * @param {ClientSession} session
+   * @param {Object} [options] - { hold: { holdId, expiresAt } } to hold the slots instead
+   */
+  async reserve(reservations, session, { hold = null } = {}) {
+    const conflicts = [];
+    const update = hold
+      ? { isBooked: true, heldBy: hold.holdId, heldUntil: hold.expiresAt }
+      : { isBooked: true };
+
+    for (const reservation of reservations) {
+      const reservationConflicts = await this.findConflicts(reservation, session);
+      if (reservationConflicts.length > 0) {
+        conflicts.push(...reservationConflicts);
+        continue;
+      }
+
+      const expected = listSlotStartTimes(reservation.startTime, reservation.endTime).length;
+      const result = await TimeSlot.updateMany(
+        {
+          professionalId: reservation.professionalId,
+          date: reservation.date,
+          startTime: { $gte: reservation.startTime, $lt: reservation.endTime },
+          isBooked: false,
+        },
+        update,
+        { session }
+      );
+
+      // Another booking claimed a slot between the check and the update
+      if (result.modifiedCount !== expected) {
+        conflicts.push(...await this.findConflicts(reservation, session));
+      }
+    }
+
+    if (conflicts.length > 0) {
+      throw new SlotConflictError(conflicts);
+    }
+  }
+
+  /**
+   * Free the slots held by an appointment (cancel, delete, reschedule).
+   * @param {Object} appointment - { professionalId, date, startTime, endTime }
+   * @param {ClientSession} [session]
+   * @returns {Promise<number>} number of slots freed
+   */
+  async release(appointment, session = null) {
+    const { professionalId, date, startTime, endTime } = appointment;
+    if (!professionalId || !date || !startTime || !endTime) return 0;
+
+    const result = await TimeSlot.updateMany(
+      {
+        professionalId,
+        date,
+        startTime: { $gte: startTime, $lt: endTime },
+        isBooked: true,
+      },
+      { isBooked: false },
+      { session }
+    );
+    return result.modifiedCount;
+  }
+
+  // When a hold taken now would expire
+  getHoldExpiry() {
+    return new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+  }
+
+  /**
+   * Free the slots held for an order.
+   * @param {string} holdId - the order id the slots were held for
+   * @param {ClientSession} [session]
+   * @returns {Promise<number>} number of slots freed
+   */
+  async releaseHold(holdId, session = null) {
+    if (!holdId) return 0;
+
+    const result = await TimeSlot.updateMany(
+      { heldBy: holdId },
+      { $set: { isBooked: false }, $unset: { heldBy: 1, heldUntil: 1 } },
+      { session }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Free every hold whose time is up (cron job).
+   * @returns {Promise<Object>} { holds, slots } - orders and slots released
+   */
+  async releaseExpiredHolds(now = new Date()) {
+    const holdIds = await TimeSlot.distinct('heldBy', { heldUntil: { $lt: now } });
+    if (holdIds.length === 0) return { holds: 0, slots: 0 };
+
+    const result = await TimeSlot.updateMany(
+      { heldBy: { $in: holdIds }, heldUntil: { $lt: now } },
+      { $set: { isBooked: false }, $unset: { heldBy: 1, heldUntil: 1 } }
+    );
+    return { holds: holdIds.length, slots: result.modifiedCount };
+  }
+
+  /**
+   * Reserve slots and run `work` in a single transaction.
+   * If reservation or `work` fails, every slot and document write is rolled back.
+   * @param {Array|Function} reservations - list, or async (session) => list when it
+   *   has to be worked out inside the transaction (e.g. auto-assigned professionals)
+   * @param {Function} work - async (session) => result
+   * @param {Object} [options] - passed on to reserve()
+   * @returns {Promise<*>} result of `work`
+   */
+  async reserveAndRun(reservations, work, options = {}) {
+    let result;
+    await mongoose.connection.transaction(async (session) => {
+      const list = typeof reservations === 'function' ? await reservations(session) : reservations;
+      await this.reserve(list, session, options);
+      result = await work(session);
+    });
+    return result;
+  }
+}
+
+const slotReservationService = new SlotReservationService();
+
+module.exports = slotReservationService;
+module.exports.SlotConflictError = SlotConflictError;
+module.exports.HOLD_MINUTES = HOLD_MINUTES;
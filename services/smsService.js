@@ -26,6 +26,14 @@ const smsTemplates = {
   appointmentReschedule: (data) => {
     const { customerName, salonName, date, time, appointmentId } = data;
     return `Hi ${customerName}! Your appointment at ${salonName} has been rescheduled to ${date} at ${time}. ID: ${appointmentId}. Reply STOP to unsubscribe.`;
+  },
+  waitlistOffer: (data) => {
+    const { customerName, salonName, date, time, expiresAt, acceptUrl } = data;
+    return `Hi ${customerName}! A spot opened up at ${salonName} on ${date} at ${time}. First to accept gets it, offer open until ${expiresAt}: ${acceptUrl}`;
+  },
+  walkInTurn: (data) => {
+    const { customerName, salonName, waitMinutes } = data;
+    return `Hi ${customerName}! Your turn at ${salonName} is coming up in about ${waitMinutes} minutes. Please be ready at reception. Reply STOP to unsubscribe.`;
   }
 };
 
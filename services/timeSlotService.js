@@ -0,0 +1,151 @@
+const dayjs = require('dayjs');
+const TimeSlot = require('../models/TimeSlot');
+const Professional = require('../models/Professional');
+const Salon = require('../models/Salon');
+const scheduleService = require('./scheduleService');
+const { salonNow } = require('../utils/timeUtils');
+
+/**
+ * Time Slot Service
+ *
+ * Generates the 5-minute TimeSlot documents for professionals from their
+ * salon's weekly hours and their own shifts/breaks, over a rolling window
+ * of upcoming days (TIMESLOT_WINDOW_DAYS, default 7).
+ */
+
+const getWindowDays = () => parseInt(process.env.TIMESLOT_WINDOW_DAYS || '7', 10) || 7;
+
+// Dates (YYYY-MM-DD) of the rolling window, starting today in the salon
+const getWindowDates = (days) => {
+  const today = salonNow().format('YYYY-MM-DD');
+  return Array.from({ length: days }, (_, i) => dayjs(today).add(i, 'day').format('YYYY-MM-DD'));
+};
+
+class TimeSlotService {
+  // Load the salons of the given professionals, keyed by id
+  async loadSalons(professionals) {
+    const salons = await Salon.find({ _id: { $in: professionals.map(p => p.salonId) } })
+      .select('weeklySchedule')
+      .lean();
+    return new Map(salons.map(s => [s._id.toString(), s]));
+  }
+
+  // "date|startTime" keys of the slots a professional already has on the dates
+  async findExistingSlots(professional, dates) {
+    const slots = await TimeSlot.find({
+      professionalId: professional._id,
+      date: { $in: dates },
+    })
+      .select('date startTime')
+      .lean();
+    return new Set(slots.map(s => `${s.date}|${s.startTime}`));
+  }
+
+  /**
+   * Upsert the slots of the professionals over the given dates.
+   * Only start times that have no slot yet are written, so a day with a few
+   * leftover slots is still completed. The unique (professionalId, date,
+   * startTime) index makes this idempotent.
+   * @returns {Promise<number>} number of slots created
+   */
+  async generateForProfessionals(professionals, dates) {
+    if (professionals.length === 0 || dates.length === 0) return 0;
+
+    const salonsById = await this.loadSalons(professionals);
+    let created = 0;
+
+    for (const prof of professionals) {
+      const salon = salonsById.get(prof.salonId?.toString());
+      const existing = await this.findExistingSlots(prof, dates);
+      const operations = [];
+
+      for (const date of dates) {
+        for (const { startTime, endTime } of scheduleService.getSlotTimes(salon, prof, date)) {
+          if (existing.has(`${date}|${startTime}`)) continue;
+
+          operations.push({
+            updateOne: {
+              filter: { professionalId: prof._id, date, startTime },
+              update: {
+                $setOnInsert: {
+                  salonId: prof.salonId,
+                  professionalId: prof._id,
+                  date,
+                  startTime,
+                  endTime,
+                  isBooked: false,
+                },
+              },
+              upsert: true,
+            },
+          });
+        }
+      }
+
+      if (operations.length > 0) {
+        const result = await TimeSlot.bulkWrite(operations, { ordered: false });
+        created += result.upsertedCount;
+      }
+    }
+
+    return created;
+  }
+
+  // Delete unbooked slots of days that have already passed in the salon
+  async removePastSlots() {
+    const today = salonNow().format('YYYY-MM-DD');
+    const result = await TimeSlot.deleteMany({ date: { $lt: today }, isBooked: false });
+    return result.deletedCount;
+  }
+
+  /**
+   * Nightly job: create the missing slots of the rolling window for every
+   * professional and clean up past unbooked slots.
+   */
+  async runRollingWindow(days = getWindowDays()) {
+    const professionals = await Professional.find().select('salonId schedule').lean();
+    const dates = getWindowDates(days);
+
+    const created = await this.generateForProfessionals(professionals, dates);
+    const removed = await this.removePastSlots();
+
+ console.log(` Time slot window (${days} days): ${created} created, ${removed} past slots removed`);
+    return { created, removed, days, professionals: professionals.length };
+  }
+
+  /**
+   * Bring already-generated slots in line with a changed schedule.
+   * Unbooked slots that now fall outside working hours are removed and
+   * missing ones are created. Booked slots are never touched.
+   * @param {Object} filter - { salonId } or { _id: professionalId }
+   */
+  async syncSchedule(filter, days = getWindowDays()) {
+    const professionals = await Professional.find(filter).select('salonId schedule').lean();
+    const salonsById = await this.loadSalons(professionals);
+    const dates = getWindowDates(days);
+    let removed = 0;
+
+    for (const date of dates) {
+      for (const prof of professionals) {
+        const salon = salonsById.get(prof.salonId?.toString());
+        const wanted = scheduleService.getSlotTimes(salon, prof, date).map(s => s.startTime);
+
+        const result = await TimeSlot.deleteMany({
+          professionalId: prof._id,
+          date,
+          isBooked: false,
+          startTime: { $nin: wanted },
+        });
+        removed += result.deletedCount;
+      }
+    }
+
+    const created = await this.generateForProfessionals(professionals, dates);
+ console.log(` Synced time slots for ${professionals.length} professionals (${created} created, ${removed} removed)`);
+    return { created, removed };
+  }
+}
+
+const timeSlotService = new TimeSlotService();
+
+module.exports = timeSlotService;
@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const Appointment = require('../models/Appointment');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Professional = require('../models/Professional');
+const Salon = require('../models/Salon');
+const availabilityService = require('./availabilityService');
+const notificationService = require('./notificationService');
+const slotReservationService = require('./slotReservationService');
+const { SlotConflictError } = require('./slotReservationService');
+const {
+  SALON_TIMEZONE,
+  SLOT_INTERVAL_MINUTES,
+  timeToMinutes,
+  minutesToTime,
+  computeEndTime,
+  salonNow
+} = require('../utils/timeUtils');
+
+/**
+ * Waitlist Service
+ *
+ * When an appointment frees its slots, the oldest matching waitlist entries
+ * (same salon, date in range, professional or "any", time window fits) get a
+ * time-limited offer. Several customers may be offered the same opening; the
+ * first to accept gets the booking and the other offers are withdrawn.
+ *
+ * WAITLIST_OFFER_MINUTES - how long an offer stays open (default 30)
+ * WAITLIST_OFFER_BATCH   - entries offered per freed opening (default 3)
+ */
+
+const OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES || '30', 10);
+const OFFER_BATCH = parseInt(process.env.WAITLIST_OFFER_BATCH || '3', 10);
+
+class WaitlistOfferError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'WaitlistOfferError';
+    this.statusCode = statusCode;
+  }
+}
+
+const offerKey = ({ professionalId, date, startTime }) => `${professionalId}|${date}|${startTime}`;
+
+class WaitlistService {
+  /**
+   * Earliest start that overlaps the freed range, fits the entry's time
+   * window and has enough free slots in a row. Returns minutes or null.
+   */
+  findStartInRange(entry, free, { freedStart, freedEnd, durationMinutes, earliest }) {
+    const windowStart = timeToMinutes(entry.preferredStartTime || '00:00');
+    const windowEnd = timeToMinutes(entry.preferredEndTime || '23:59');
+    const first = Math.max(freedStart - durationMinutes + SLOT_INTERVAL_MINUTES, windowStart, 0);
+
+    for (let t = first; t < freedEnd; t += SLOT_INTERVAL_MINUTES) {
+      if (t <= earliest || t + durationMinutes > windowEnd) continue;
+      if (availabilityService.isRunFree(free, t, durationMinutes)) return t;
+    }
+    return null;
+  }
+
+  /**
+   * Offer the slots freed by an appointment to matching waitlisted customers.
+   * Call after the slots have been released.
+   * @param {Object} appointment - { salonId, professionalId, date, startTime, endTime }
+   * @returns {Promise<number>} number of offers sent
+   */
+  async offerFreedSlots(appointment) {
+    const { salonId, professionalId, date, startTime, endTime } = appointment;
+    if (!professionalId || !date || !startTime || !endTime) return 0;
+
+    const now = salonNow();
+    const today = now.format('YYYY-MM-DD');
+    if (date < today) return 0;
+
+    const entries = await WaitlistEntry.find({
+      salonId,
+      status: 'waiting',
+      dateFrom: { $lte: date },
+      dateTo: { $gte: date },
+      $or: [{ professionalId: null }, { professionalId }],
+    }).sort({ createdAt: 1 });
+    if (entries.length === 0) return 0;
+
+    const professional = await Professional.findById(professionalId).select('name services').lean();
+    if (!professional) return 0;
+    const qualifiedFor = new Set((professional.services || []).map(id => id.toString()));
+
+    const freeByProfessional = await availabilityService.getFreeSlotMinutes([professionalId], date);
+    const free = freeByProfessional.get(professionalId.toString());
+    const salon = await Salon.findById(salonId).select('name').lean();
+
+    const range = {
+      freedStart: timeToMinutes(startTime),
+      freedEnd: timeToMinutes(endTime),
+      earliest: date === today ? now.hour() * 60 + now.minute() : -1,
+    };
+
+    let sent = 0;
+    for (const entry of entries) {
+      if (sent >= OFFER_BATCH) break;
+
+      // "Any professional" entries need someone who can do every service
+      const serviceIds = entry.services.map(s => s.serviceId).filter(Boolean);
+      if (!entry.professionalId && serviceIds.some(id => !qualifiedFor.has(id.toString()))) continue;
+
+      const durationMinutes = availabilityService.getTotalDuration(entry.services);
+      const start = this.findStartInRange(entry, free, { ...range, durationMinutes });
+      if (start === null) continue;
+
+      const offerStart = minutesToTime(start);
+      const offer = {
+        token: crypto.randomBytes(16).toString('hex'),
+        professionalId,
+        date,
+        startTime: offerStart,
+        endTime: computeEndTime(offerStart, durationMinutes),
+        sentAt: new Date(),
+        expiresAt: now.add(OFFER_MINUTES, 'minute').toDate(),
+      };
+      if (entry.passedOffers.includes(offerKey(offer))) continue;
+
+      // Skip entries that were offered something else in the meantime
+      const offered = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'waiting' },
+        { $set: { status: 'offered', offer } },
+        { new: true }
+      );
+      if (!offered) continue;
+
+      await this.sendOffer(offered, { salonName: salon?.name, professionalName: professional.name });
+      sent++;
+    }
+
+ console.log(` Waitlist: ${sent} offers sent for ${date} ${startTime}-${endTime}`);
+    return sent;
+  }
+
+  async sendOffer(entry, { salonName, professionalName }) {
+    const acceptUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/waitlist/${entry._id}?token=${entry.offer.token}`;
+
+    try {
+      await notificationService.sendWaitlistOffer({
+        customerEmail: entry.user?.email,
+        customerPhone: entry.user?.phone,
+        customerName: entry.user?.name || 'Guest',
+        salonName: salonName || 'Salon',
+        serviceName: entry.services.map(s => s.name).filter(n => n).join(', ') || 'Service',
+        professionalName,
+        date: dayjs(entry.offer.date).format('MMMM DD, YYYY'),
+        time: entry.offer.startTime,
+        expiresAt: dayjs(entry.offer.expiresAt).tz(SALON_TIMEZONE).format('HH:mm'),
+        acceptUrl,
+      });
+    } catch (error) {
+ console.error(' Waitlist offer notification failed:', error);
+    }
+  }
+
+  // Put an entry back in the queue, never to be offered the same opening again
+  async returnToWaiting(entry, filter = {}) {
+    return WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'offered', ...filter },
+      {
+        $set: { status: 'waiting' },
+        $unset: { offer: 1 },
+        $addToSet: { passedOffers: offerKey(entry.offer) },
+      }
+    );
+  }
+
+  // Load an entry whose open offer matches the token, or throw
+  async getOpenOffer(entryId, token) {
+    const entry = await WaitlistEntry.findById(entryId);
+    if (!entry) throw new WaitlistOfferError('Waitlist entry not found', 404);
+    if (entry.status !== 'offered' || !token || entry.offer?.token !== token) {
+      throw new WaitlistOfferError('There is no open offer for this waitlist entry', 400);
+    }
+    if (entry.offer.expiresAt < new Date()) {
+      throw new WaitlistOfferError('This offer has expired', 410);
+    }
+    return entry;
+  }
+
+  /**
+   * Accept an offer: reserve its slots and create the appointment in one
+   * transaction. Fails with 409 when another customer was faster.
+   * @returns {Promise<Object>} { entry, appointment }
+   */
+  async acceptOffer(entryId, token) {
+    const entry = await this.getOpenOffer(entryId, token);
+    const { professionalId, date, startTime, endTime } = entry.offer;
+
+    let appointment;
+    try {
+      [appointment] = await slotReservationService.reserveAndRun(
+        [{ professionalId, date, startTime, endTime }],
+        async (session) => {
+          const created = await Appointment.create([{
+            salonId: entry.salonId,
+            professionalId,
+            services: entry.services.map(({ serviceId, name, price, durationMinutes, duration }) => ({
+              serviceId, name, price, durationMinutes, duration,
+            })),
+            date,
+            startTime,
+            endTime,
+            // Linked to the customer's account, so they can see and cancel it
+            user: {
+              userId: entry.userId || undefined,
+              name: entry.user?.name,
+              email: entry.user?.email,
+              phone: entry.user?.phone,
+            },
+            status: 'pending',
+          }], { session });
+
+          const claimed = await WaitlistEntry.updateOne(
+            { _id: entry._id, status: 'offered', 'offer.token': token },
+            { $set: { status: 'booked', appointmentId: created[0]._id } },
+            { session }
+          );
+          if (claimed.modifiedCount !== 1) {
+            throw new WaitlistOfferError('There is no open offer for this waitlist entry', 400);
+          }
+          return created;
+        }
+      );
+    } catch (err) {
+      if (!(err instanceof SlotConflictError)) throw err;
+      await this.returnToWaiting(entry, { 'offer.token': token });
+      throw new WaitlistOfferError('Sorry, this opening has already been taken', 409);
+    }
+
+    // Withdraw other offers that overlap the booked time
+    const competing = await WaitlistEntry.find({
+      _id: { $ne: entry._id },
+      status: 'offered',
+      'offer.professionalId': professionalId,
+      'offer.date': date,
+      'offer.startTime': { $lt: endTime },
+      'offer.endTime': { $gt: startTime },
+    });
+    for (const other of competing) {
+      await this.returnToWaiting(other);
+    }
+
+ console.log(` Waitlist entry ${entry._id} booked appointment ${appointment._id}`);
+    return { entry: await WaitlistEntry.findById(entry._id), appointment };
+  }
+
+  async declineOffer(entryId, token) {
+    const entry = await this.getOpenOffer(entryId, token);
+    await this.returnToWaiting(entry, { 'offer.token': token });
+    return WaitlistEntry.findById(entry._id);
+  }
+
+  /**
+   * Return expired offers to the queue and offer their openings to the next
+   * customers; entries whose date range has passed are marked expired.
+   */
+  async expireOffers() {
+    const expired = await WaitlistEntry.find({ status: 'offered', 'offer.expiresAt': { $lt: new Date() } });
+
+    let reoffered = 0;
+    for (const entry of expired) {
+      const opening = { salonId: entry.salonId, ...entry.offer.toObject() };
+      await this.returnToWaiting(entry, { 'offer.token': entry.offer.token });
+      reoffered += await this.offerFreedSlots(opening);
+    }
+
+    const outdated = await WaitlistEntry.updateMany(
+      { status: { $in: ['waiting', 'offered'] }, dateTo: { $lt: salonNow().format('YYYY-MM-DD') } },
+      { $set: { status: 'expired' }, $unset: { offer: 1 } }
+    );
+
+    return { expiredOffers: expired.length, reoffered, expiredEntries: outdated.modifiedCount };
+  }
+}
+
+const waitlistService = new WaitlistService();
+
+module.exports = waitlistService;
+module.exports.WaitlistOfferError = WaitlistOfferError;
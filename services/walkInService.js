@@ -0,0 +1,232 @@
+const Appointment = require('../models/Appointment');
+const Professional = require('../models/Professional');
+const Salon = require('../models/Salon');
+const WalkInEntry = require('../models/WalkInEntry');
+const availabilityService = require('./availabilityService');
+const assignmentService = require('./assignmentService');
+const appointmentStatusService = require('./appointmentStatusService');
+const slotReservationService = require('./slotReservationService');
+const smsService = require('./smsService');
+const { SLOT_INTERVAL_MINUTES, timeToMinutes, minutesToTime, computeEndTime, salonNow } = require('../utils/timeUtils');
+
+/**
+ * Walk-in Service
+ *
+ * Keeps a per-salon, per-day queue of walk-in customers. Wait estimates come
+ * from a simulation in arrival order: each entry takes the earliest run of free
+ * TimeSlots long enough for its services with a qualified professional, after
+ * that professional's in-progress appointment ends and after the slots given
+ * to the entries ahead of it.
+ *
+ * WALKIN_NOTIFY_MINUTES - SMS the customer once the estimated wait is at most this (default 15)
+ */
+
+const NOTIFY_MINUTES = parseInt(process.env.WALKIN_NOTIFY_MINUTES || '15', 10);
+const ACTIVE_STATUSES = ['waiting', 'notified'];
+const DAY_MINUTES = 24 * 60;
+
+class WalkInError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'WalkInError';
+    this.statusCode = statusCode;
+  }
+}
+
+const roundUpToSlot = (minutes) => Math.ceil(minutes / SLOT_INTERVAL_MINUTES) * SLOT_INTERVAL_MINUTES;
+
+class WalkInService {
+  // The salon's date and time of day, not the server's
+  today() {
+    return salonNow().format('YYYY-MM-DD');
+  }
+
+  nowMinutes() {
+    const now = salonNow();
+    return now.hour() * 60 + now.minute();
+  }
+
+  /**
+   * Minute each professional finishes their in-progress appointment.
+   * An appointment running past its endTime is assumed to finish within the next slot.
+   * @returns {Promise<Map<string, number>>}
+   */
+  async getBusyUntil(professionalIds, date, nowMinutes) {
+    const running = await Appointment.find({
+      professionalId: { $in: professionalIds },
+      date,
+      status: 'in-progress',
+    }).select('professionalId endTime').lean();
+
+    const busyUntil = new Map();
+    for (const appt of running) {
+      const end = Math.max(timeToMinutes(appt.endTime), roundUpToSlot(nowMinutes + 1));
+      const key = appt.professionalId.toString();
+      busyUntil.set(key, Math.max(busyUntil.get(key) || 0, end));
+    }
+    return busyUntil;
+  }
+
+  /**
+   * Recalculate the wait of everyone in a salon's queue, store the estimates
+   * and text customers whose turn is near.
+   * @returns {Promise<Array>} active entries in queue order, with fresh estimates
+   */
+  async refreshQueue(salonId, date = this.today()) {
+    const entries = await WalkInEntry.find({ salonId, date, status: { $in: ACTIVE_STATUSES } }).sort({ createdAt: 1 });
+    if (entries.length === 0) return [];
+
+    const professionals = await Professional.find({ salonId, available: true }).select('name services').lean();
+    const ids = professionals.map(p => p._id);
+    const nowMinutes = date === this.today() ? this.nowMinutes() : 0;
+    const freeByProfessional = await availabilityService.getFreeSlotMinutes(ids, date);
+    const busyUntil = await this.getBusyUntil(ids, date, nowMinutes);
+    const calculatedAt = new Date();
+
+    for (const entry of entries) {
+      const serviceIds = entry.services.map(s => s.serviceId?.toString()).filter(Boolean);
+      const duration = availabilityService.getTotalDuration(entry.services);
+      const candidates = professionals.filter(p =>
+        (!entry.professionalId || p._id.equals(entry.professionalId))
+        && serviceIds.every(id => (p.services || []).some(s => s.toString() === id))
+      );
+
+      let best = null;
+      for (const prof of candidates) {
+        const free = freeByProfessional.get(prof._id.toString());
+        const from = Math.max(roundUpToSlot(nowMinutes), busyUntil.get(prof._id.toString()) || 0);
+        for (let t = from; t + duration <= DAY_MINUTES; t += SLOT_INTERVAL_MINUTES) {
+          if (!availabilityService.isRunFree(free, t, duration)) continue;
+          if (!best || t < best.start) best = { start: t, professional: prof };
+          break;
+        }
+      }
+
+      // Entries further back cannot use the time given to this one
+      if (best) {
+        const free = freeByProfessional.get(best.professional._id.toString());
+        for (let t = best.start; t < best.start + duration; t += SLOT_INTERVAL_MINUTES) free.delete(t);
+      }
+
+      entry.estimate = {
+        waitMinutes: best ? Math.max(best.start - nowMinutes, 0) : null,
+        startTime: best ? minutesToTime(best.start) : null,
+        professionalId: best ? best.professional._id : null,
+        calculatedAt,
+      };
+    }
+
+    await WalkInEntry.bulkWrite(entries.map(entry => ({
+      updateOne: { filter: { _id: entry._id }, update: { $set: { estimate: entry.estimate } } },
+    })));
+
+    await this.notifyNearTurn(entries);
+    return entries;
+  }
+
+  // Text customers whose estimated wait has dropped below the threshold (once each)
+  async notifyNearTurn(entries) {
+    const due = entries.filter(e =>
+      e.status === 'waiting' && e.customer?.phone
+      && e.estimate?.waitMinutes !== null && e.estimate?.waitMinutes <= NOTIFY_MINUTES
+    );
+    if (due.length === 0) return;
+
+    const salon = await Salon.findById(due[0].salonId).select('name').lean();
+    for (const entry of due) {
+      try {
+        await smsService.sendTemplatedSMS(entry.customer.phone, 'walkInTurn', {
+          customerName: entry.customer.name || 'Guest',
+          salonName: salon?.name || 'the salon',
+          waitMinutes: entry.estimate.waitMinutes,
+        });
+      } catch (error) {
+ console.error(' Walk-in SMS failed:', error);
+      }
+
+      // Mark as notified even if the SMS failed, so we do not retry every refresh
+      entry.status = 'notified';
+      entry.notifiedAt = new Date();
+      await WalkInEntry.updateOne(
+        { _id: entry._id, status: 'waiting' },
+        { $set: { status: 'notified', notifiedAt: entry.notifiedAt } }
+      );
+    }
+  }
+
+  // Refresh every salon that has people waiting today (used by the cron job)
+  async refreshAllQueues() {
+    const salonIds = await WalkInEntry.distinct('salonId', { date: this.today(), status: { $in: ACTIVE_STATUSES } });
+    for (const salonId of salonIds) {
+      await this.refreshQueue(salonId);
+    }
+    return { salons: salonIds.length };
+  }
+
+  /**
+   * Turn a queue entry into a checked-in Appointment, reserving its slots.
+   * Defaults to the estimated professional and start time.
+   * Throws SlotConflictError when the chosen time is not free.
+   * @returns {Promise<Object>} the appointment
+   */
+  async convert(entry, { professionalId, startTime, actor } = {}) {
+    if (!ACTIVE_STATUSES.includes(entry.status)) {
+      throw new WalkInError(`A ${entry.status} walk-in cannot be converted`, 409);
+    }
+
+    const start = startTime || entry.estimate?.startTime || minutesToTime(roundUpToSlot(this.nowMinutes()));
+    const appointment = new Appointment({
+      salonId: entry.salonId,
+      professionalId: professionalId || entry.professionalId || entry.estimate?.professionalId || null,
+      services: entry.services.map(({ serviceId, name, price, durationMinutes, duration }) => ({
+        serviceId, name, price, durationMinutes, duration,
+      })),
+      date: entry.date,
+      startTime: start,
+      endTime: computeEndTime(start, availabilityService.getTotalDuration(entry.services)),
+      user: { name: entry.customer.name, phone: entry.customer.phone, email: entry.customer.email },
+      status: 'confirmed',
+      isWalkIn: true,
+    });
+    const needsAssignment = !appointment.professionalId;
+
+    return slotReservationService.reserveAndRun(
+      async (session) => {
+        if (needsAssignment) {
+          appointment.professionalId = null;
+          await assignmentService.assignMissingProfessionals([appointment], session);
+        }
+        return [{
+          professionalId: appointment.professionalId,
+          date: appointment.date,
+          startTime: appointment.startTime,
+          endTime: appointment.endTime,
+        }];
+      },
+      async (session) => {
+        const [saved] = await Appointment.insertMany([appointment], { session });
+        const checkedIn = await appointmentStatusService.transition(saved, 'checked-in', {
+          actor,
+          reason: 'Walk-in',
+          session,
+        });
+
+        const converted = await WalkInEntry.updateOne(
+          { _id: entry._id, status: { $in: ACTIVE_STATUSES } },
+          { $set: { status: 'converted', appointmentId: saved._id } },
+          { session }
+        );
+        if (converted.modifiedCount !== 1) {
+          throw new WalkInError('This walk-in was already converted or left the queue', 409);
+        }
+        return checkedIn;
+      }
+    );
+  }
+}
+
+const walkInService = new WalkInService();
+
+module.exports = walkInService;
+module.exports.WalkInError = WalkInError;
+module.exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
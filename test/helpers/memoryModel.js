@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+
+/**
+ * In-memory stand-ins for the Mongoose model methods the services use, so
+ * their logic can be tested without a MongoDB server. Filters support
+ * equality, $in, $nin, $ne, $exists, $gt(e), $lt(e), $or and $and on dotted
+ * paths (array fields match any element), and $expr built from $add, $ifNull
+ * and comparisons; updates support $set, $unset, $inc and $push. Anything else throws, so a test never passes by accident.
+ * Every stand-in is installed with the test's `t.mock` and restored after it.
+ */
+
+// Without a server, a call that was not stood in for fails at once instead of waiting
+mongoose.set('bufferCommands', false);
+
+const SESSION = { id: 'memory-session' };
+
+const isPlainObject = value => value !== null && typeof value === 'object' && value.constructor === Object;
+
+// Deep copy that keeps ObjectIds and Dates
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  return value;
+};
+
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return value;
+};
+
+const isEqual = (a, b) => {
+  if (a === undefined || a === null) return b === undefined || b === null;
+  if (b === undefined || b === null) return false;
+  return String(comparable(a)) === String(comparable(b));
+};
+
+// Every value at a dotted path; arrays on the way are searched element by element
+const valuesAt = (value, keys) => {
+  if (keys.length === 0) return Array.isArray(value) ? [value, ...value] : [value];
+  if (value === undefined || value === null) return [undefined];
+  const [key, ...rest] = keys;
+  if (Array.isArray(value) && !/^\d+$/.test(key)) return value.flatMap(item => valuesAt(item, keys));
+  return valuesAt(value[key], rest);
+};
+
+const COMPARISONS = {
+  $gt: (a, b) => a > b,
+  $gte: (a, b) => a >= b,
+  $lt: (a, b) => a < b,
+  $lte: (a, b) => a <= b,
+};
+
+const matchesCondition = (values, condition) => {
+  const isOperator = isPlainObject(condition) && Object.keys(condition).every(k => k.startsWith('$'));
+  if (!isOperator) return values.some(v => isEqual(v, condition));
+
+  return Object.entries(condition).every(([op, arg]) => {
+    if (op === '$exists') return values.some(v => v !== undefined) === !!arg;
+    if (op === '$in') return values.some(v => arg.some(a => isEqual(v, a)));
+    if (op === '$nin') return !values.some(v => arg.some(a => isEqual(v, a)));
+    if (op === '$ne') return !values.some(v => isEqual(v, arg));
+    if (COMPARISONS[op]) {
+      return values.some(v => v !== undefined && v !== null && COMPARISONS[op](comparable(v), comparable(arg)));
+    }
+    throw new Error(`memoryModel: unsupported operator ${op}`);
+  });
+};
+
+// An aggregation expression: '$path' reads the document, operators are evaluated
+const evaluate = (doc, expr) => {
+  if (typeof expr === 'string' && expr.startsWith('$')) return valuesAt(doc, expr.slice(1).split('.'))[0];
+  if (!isPlainObject(expr)) return expr;
+
+  const [[op, args]] = Object.entries(expr);
+  const values = args.map(arg => evaluate(doc, arg));
+  if (op === '$add') return values.reduce((sum, v) => sum + v, 0);
+  if (op === '$ifNull') return values[0] ?? values[1];
+  if (COMPARISONS[op]) return COMPARISONS[op](comparable(values[0]), comparable(values[1]));
+  throw new Error(`memoryModel: unsupported expression ${op}`);
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(f => matches(doc, f));
+  if (key === '$and') return condition.every(f => matches(doc, f));
+  if (key === '$expr') return !!evaluate(doc, condition);
+  if (key.startsWith('$')) throw new Error(`memoryModel: unsupported operator ${key}`);
+  return matchesCondition(valuesAt(doc, key.split('.')), condition);
+});
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => {
+    if (obj[key] === undefined || obj[key] === null) obj[key] = {};
+    return obj[key];
+  }, doc);
+  parent[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => (obj ? obj[key] : undefined), doc);
+  if (parent) delete parent[last];
+};
+
+const applyUpdate = (doc, update) => {
+  for (const [key, value] of Object.entries(update)) {
+    if (key === '$set') Object.entries(value).forEach(([path, v]) => setPath(doc, path, clone(v)));
+    else if (key === '$unset') Object.keys(value).forEach(path => unsetPath(doc, path));
+    else if (key === '$inc') {
+      Object.entries(value).forEach(([path, n]) => setPath(doc, path, (valuesAt(doc, path.split('.'))[0] || 0) + n));
+    } else if (key === '$push') {
+      Object.entries(value).forEach(([path, v]) => {
+        const list = valuesAt(doc, path.split('.'))[0];
+        setPath(doc, path, [...(Array.isArray(list) ? list : []), clone(v)]);
+      });
+    } else if (key.startsWith('$')) throw new Error(`memoryModel: unsupported update ${key}`);
+    else setPath(doc, key, clone(value));
+  }
+};
+
+const sortDocs = (docs, spec) => {
+  if (!spec) return docs;
+  const keys = Object.entries(spec);
+  return [...docs].sort((a, b) => {
+    for (const [key, direction] of keys) {
+      const x = comparable(valuesAt(a, key.split('.'))[0]);
+      const y = comparable(valuesAt(b, key.split('.'))[0]);
+      if (x < y) return -direction;
+      if (x > y) return direction;
+    }
+    return 0;
+  });
+};
+
+// A thenable like a Mongoose query: select/session/populate are accepted and ignored
+class MemoryQuery {
+  constructor(run) {
+    this.run = run;
+    this.isLean = false;
+    this.sortSpec = null;
+  }
+
+  select() { return this; }
+
+  session() { return this; }
+
+  populate() { return this; }
+
+  lean() {
+    this.isLean = true;
+    return this;
+  }
+
+  sort(spec) {
+    this.sortSpec = spec;
+    return this;
+  }
+
+  exec() {
+    try {
+      return Promise.resolve(this.run(this));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+}
+
+/**
+ * Serve a model from an array of plain documents for the rest of the test.
+ * @param {TestContext} t - node:test context
+ * @param {Model} Model - Mongoose model
+ * @param {Array} docs - initial documents (plain objects; _id is added when missing)
+ * @returns {Array} the live store, for assertions
+ */
+const useMemoryModel = (t, Model, docs = []) => {
+  const store = docs.map(doc => ({ _id: new mongoose.Types.ObjectId(), ...clone(doc) }));
+  const toResult = (doc, query) => {
+    if (!doc) return null;
+    return query?.isLean ? clone(doc) : Model.hydrate(clone(doc));
+  };
+  const plain = doc => clone(doc instanceof mongoose.Document ? doc.toObject({ depopulate: true }) : doc);
+  const insert = (doc) => {
+    const stored = plain(doc);
+    const index = store.findIndex(d => isEqual(d._id, stored._id));
+    if (index >= 0) store[index] = stored;
+    else store.push(stored);
+  };
+
+  t.mock.method(Model, 'find', (filter = {}) => new MemoryQuery(query =>
+    sortDocs(store.filter(d => matches(d, filter)), query.sortSpec).map(d => toResult(d, query))));
+  t.mock.method(Model, 'findOne', (filter = {}) => new MemoryQuery(query =>
+    toResult(sortDocs(store.filter(d => matches(d, filter)), query.sortSpec)[0], query)));
+  t.mock.method(Model, 'findById', id => new MemoryQuery(query =>
+    toResult(store.find(d => isEqual(d._id, id)), query)));
+  t.mock.method(Model, 'exists', (filter = {}) => new MemoryQuery(() => {
+    const found = store.find(d => matches(d, filter));
+    return found ? { _id: found._id } : null;
+  }));
+  t.mock.method(Model, 'distinct', (path, filter = {}) => new MemoryQuery(() => {
+    const values = store.filter(d => matches(d, filter)).flatMap(d => valuesAt(d, path.split('.')));
+    return values.filter((v, i) => v !== undefined && values.findIndex(o => isEqual(o, v)) === i);
+  }));
+
+  const updateMatching = (filter, update, limit) => {
+    const matched = store.filter(d => matches(d, filter)).slice(0, limit);
+    matched.forEach(d => applyUpdate(d, update));
+    return { acknowledged: true, matchedCount: matched.length, modifiedCount: matched.length };
+  };
+  t.mock.method(Model, 'updateOne', (filter, update) => new MemoryQuery(() => updateMatching(filter, update, 1)));
+  t.mock.method(Model, 'updateMany', (filter, update) => new MemoryQuery(() => updateMatching(filter, update)));
+  t.mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => new MemoryQuery((query) => {
+    const doc = store.find(d => matches(d, filter));
+    if (!doc) return null;
+    const before = clone(doc);
+    applyUpdate(doc, update);
+    return toResult(options.new ? doc : before, query);
+  }));
+  t.mock.method(Model, 'deleteMany', (filter = {}) => new MemoryQuery(() => {
+    const keep = store.filter(d => !matches(d, filter));
+    const deletedCount = store.length - keep.length;
+    store.splice(0, store.length, ...keep);
+    return { acknowledged: true, deletedCount };
+  }));
+
+  t.mock.method(Model, 'create', async (input) => {
+    const created = (Array.isArray(input) ? input : [input]).map(doc => (doc instanceof Model ? doc : new Model(doc)));
+    created.forEach(insert);
+    return Array.isArray(input) ? created : created[0];
+  });
+  t.mock.method(Model, 'insertMany', async (input) => Model.create(input));
+  t.mock.method(Model.prototype, 'save', async function save() {
+    insert(this);
+    return this;
+  });
+
+  return store;
+};
+
+// Run mongoose.connection.transaction() callbacks straight away with a dummy session
+const useTransactions = (t) => {
+  t.mock.method(mongoose.connection, 'transaction', async fn => fn(SESSION));
+};
+
+module.exports = { useMemoryModel, useTransactions, SESSION };
@@ -0,0 +1,223 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Appointment = require('../models/Appointment');
+const TimeSlot = require('../models/TimeSlot');
+const { Loyalty } = require('../models/Loyalty');
+const paymentFulfilmentService = require('../services/paymentFulfilmentService');
+const { SlotConflictError } = require('../services/slotReservationService');
+const { listSlotStartTimes, computeEndTime } = require('../utils/timeUtils');
+const { useMemoryModel, useTransactions } = require('./helpers/memoryModel');
+
+const salonId = new mongoose.Types.ObjectId();
+const professionalId = new mongoose.Types.ObjectId();
+const customerId = new mongoose.Types.ObjectId();
+const DATE = '2030-01-07';
+const NOW = new Date('2030-01-07T04:00:00Z');
+const PAST = new Date(+NOW - 60 * 1000);
+const FUTURE = new Date(+NOW + 10 * 60 * 1000);
+
+const slots = (from, to, extra = {}) => listSlotStartTimes(from, to).map(startTime => ({
+  salonId,
+  professionalId,
+  date: DATE,
+  startTime,
+  endTime: computeEndTime(startTime, 5),
+  isBooked: false,
+  ...extra,
+}));
+
+// A checkout for one 30-minute appointment at 10:00, paying with 50 loyalty points
+const order = (orderId, fields = {}) => ({
+  appointmentId: orderId,
+  provider: 'fake',
+  transactionId: `fake_${orderId}`,
+  amount: 3000,
+  currency: 'lkr',
+  status: 'pending',
+  customerEmail: 'guest@example.com',
+  holdExpiresAt: FUTURE,
+  metadata: {
+    customerId,
+    customerInfo: { name: 'Guest', email: 'guest@example.com' },
+    quote: { subtotal: 3000, discount: 0, loyalty: { points: 50 } },
+    pendingAppointments: [{
+      salonId,
+      professionalId,
+      date: DATE,
+      startTime: '10:00',
+      services: [{ name: 'Haircut', price: 3000, durationMinutes: 30 }],
+    }],
+  },
+  ...fields,
+});
+
+const findOrder = (payments, orderId) => payments.find(p => p.appointmentId === orderId);
+
+describe('paymentFulfilmentService', () => {
+  let loyalty;
+
+  beforeEach((t) => {
+    loyalty = useMemoryModel(t, Loyalty, [{ userId: customerId, points: 10 }]);
+  });
+
+  describe('recordStatus', () => {
+    it('gives back the loyalty points and held slots of a failed payment, once', async (t) => {
+      const payments = useMemoryModel(t, Payment, [order('ORDER-1')]);
+      const timeSlots = useMemoryModel(t, TimeSlot, slots('10:00', '10:30', { isBooked: true, heldBy: 'ORDER-1', heldUntil: FUTURE }));
+
+      const first = await paymentFulfilmentService.recordStatus('ORDER-1', { status: 'failed', provider: 'fake' });
+      assert.equal(first.changed, true);
+      assert.equal(findOrder(payments, 'ORDER-1').status, 'failed');
+      assert.equal(loyalty[0].points, 60);
+      assert.ok(timeSlots.every(s => !s.isBooked && !s.heldBy));
+
+      // The provider sends the same notification again
+      const second = await paymentFulfilmentService.recordStatus('ORDER-1', { status: 'failed', provider: 'fake' });
+      assert.equal(second.changed, false);
+      assert.equal(loyalty[0].points, 60);
+    });
+
+    it('ignores a notification from another provider', async (t) => {
+      const payments = useMemoryModel(t, Payment, [order('ORDER-1')]);
+
+      const result = await paymentFulfilmentService.recordStatus('ORDER-1', { status: 'succeeded', provider: 'stripe' });
+      assert.equal(result.ignored, 'other-provider');
+      assert.equal(findOrder(payments, 'ORDER-1').status, 'pending');
+    });
+
+    it('takes the points again when a failed payment succeeds after all', async (t) => {
+      useMemoryModel(t, Payment, [order('ORDER-1', { status: 'failed' })]);
+      loyalty[0].points = 60;
+
+      const result = await paymentFulfilmentService.recordStatus('ORDER-1', { status: 'succeeded', provider: 'fake' });
+      assert.equal(result.changed, true);
+      assert.equal(loyalty[0].points, 10);
+    });
+  });
+
+  describe('expireHolds', () => {
+    it('cancels pending orders whose hold ran out and frees every expired hold', async (t) => {
+      const payments = useMemoryModel(t, Payment, [
+        order('EXPIRED', { holdExpiresAt: PAST }),
+        order('RUNNING', { holdExpiresAt: FUTURE }),
+        order('PAID', { status: 'succeeded', holdExpiresAt: PAST }),
+      ]);
+      const timeSlots = useMemoryModel(t, TimeSlot, [
+        ...slots('10:00', '10:30', { isBooked: true, heldBy: 'EXPIRED', heldUntil: PAST }),
+        ...slots('11:00', '11:30', { isBooked: true, heldBy: 'RUNNING', heldUntil: FUTURE }),
+        // Held by a checkout whose Payment was never saved
+        ...slots('12:00', '12:15', { isBooked: true, heldBy: 'ORPHAN', heldUntil: PAST }),
+      ]);
+
+      assert.deepEqual(await paymentFulfilmentService.expireHolds(NOW), { orders: 1, holds: 1, slots: 3 });
+
+      assert.deepEqual(payments.map(p => [p.appointmentId, p.status]), [
+        ['EXPIRED', 'canceled'],
+        ['RUNNING', 'pending'],
+        ['PAID', 'succeeded'],
+      ]);
+      assert.equal(loyalty[0].points, 60);
+      assert.deepEqual(
+        timeSlots.filter(s => s.isBooked).map(s => s.heldBy),
+        Array(6).fill('RUNNING')
+      );
+
+      // Nothing left to expire on the next run
+      assert.deepEqual(await paymentFulfilmentService.expireHolds(NOW), { orders: 0, holds: 0, slots: 0 });
+      assert.equal(loyalty[0].points, 60);
+    });
+  });
+
+  describe('fulfil', () => {
+    let payments;
+    let appointments;
+    let timeSlots;
+    let flagged;
+
+    beforeEach((t) => {
+      payments = useMemoryModel(t, Payment, [order('ORDER-1', { status: 'succeeded' })]);
+      appointments = useMemoryModel(t, Appointment);
+      timeSlots = useMemoryModel(t, TimeSlot, slots('10:00', '10:30', { isBooked: true, heldBy: 'ORDER-1', heldUntil: FUTURE }));
+      useTransactions(t);
+      t.mock.method(paymentFulfilmentService, 'sendConfirmations', async () => {});
+      flagged = t.mock.method(paymentFulfilmentService, 'notifyNeedsAttention', async () => {});
+      t.mock.method(console, 'log', () => {});
+    });
+
+    it('books the held slots once, however often it is called', async () => {
+      const first = await paymentFulfilmentService.fulfil('ORDER-1', { via: 'notify' });
+      const second = await paymentFulfilmentService.fulfil('ORDER-1', { via: 'redirect_fallback' });
+
+      assert.equal(first.created, true);
+      assert.equal(first.status, 'fulfilled');
+      assert.deepEqual(second, { status: 'fulfilled', appointmentIds: first.appointmentIds, created: false });
+
+      assert.equal(appointments.length, 1);
+      assert.equal(appointments[0]._id.toString(), first.appointmentIds[0]);
+      assert.equal(appointments[0].bookingGroupId, 'ORDER-1');
+      assert.equal(appointments[0].paymentStatus, 'paid');
+      assert.ok(timeSlots.every(s => s.isBooked && !s.heldBy));
+
+      const payment = findOrder(payments, 'ORDER-1');
+      assert.equal(payment.fulfilment.status, 'fulfilled');
+      assert.equal(payment.fulfilment.attempts, 1);
+      assert.deepEqual(payment.metadata.createdAppointmentIds, first.appointmentIds);
+    });
+
+    it('books once when the webhook and the redirect arrive together', async () => {
+      const results = await Promise.all([
+        paymentFulfilmentService.fulfil('ORDER-1', { via: 'notify' }),
+        paymentFulfilmentService.fulfil('ORDER-1', { via: 'redirect_fallback' }),
+      ]);
+
+      assert.deepEqual(results.map(r => r.created).sort(), [false, true]);
+      assert.equal(appointments.length, 1);
+    });
+
+    it('flags a paid order whose slots were taken, tells the salon once and books it on a retry', async () => {
+      // The hold expired and someone else booked the 10:15 slot
+      timeSlots.forEach((slot) => {
+        slot.isBooked = slot.startTime === '10:15';
+        delete slot.heldBy;
+        delete slot.heldUntil;
+      });
+
+      await assert.rejects(paymentFulfilmentService.fulfil('ORDER-1', { via: 'notify' }), SlotConflictError);
+      await assert.rejects(paymentFulfilmentService.fulfil('ORDER-1', { via: 'redirect_fallback' }), SlotConflictError);
+      const payment = findOrder(payments, 'ORDER-1');
+      assert.equal(payment.fulfilment.status, 'needs_attention');
+      assert.ok(payment.fulfilment.flaggedAt);
+      assert.deepEqual(payment.fulfilment.conflicts.map(c => c.startTime), ['10:15']);
+      assert.equal(appointments.length, 0);
+      assert.equal(flagged.mock.callCount(), 1);
+
+      // The other booking was cancelled; the order can be fulfilled now
+      timeSlots.forEach((slot) => { slot.isBooked = false; });
+      const retry = await paymentFulfilmentService.fulfil('ORDER-1', { via: 'redirect_fallback' });
+      assert.equal(retry.created, true);
+      assert.equal(appointments.length, 1);
+      assert.equal(findOrder(payments, 'ORDER-1').fulfilment.attempts, 3);
+    });
+
+    it('marks an order that is not paid failed without telling the salon', async () => {
+      findOrder(payments, 'ORDER-1').status = 'pending';
+      timeSlots.forEach((slot) => {
+        slot.isBooked = slot.startTime === '10:15';
+        delete slot.heldBy;
+      });
+
+      await assert.rejects(paymentFulfilmentService.fulfil('ORDER-1', { via: 'notify' }), SlotConflictError);
+      assert.equal(findOrder(payments, 'ORDER-1').fulfilment.status, 'failed');
+      assert.equal(flagged.mock.callCount(), 0);
+    });
+
+    it('rejects an unknown order', async () => {
+      await assert.rejects(
+        paymentFulfilmentService.fulfil('ORDER-404', { via: 'notify' }),
+        error => error.name === 'FulfilmentError' && error.statusCode === 404
+      );
+    });
+  });
+});
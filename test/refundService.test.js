@@ -0,0 +1,161 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const Appointment = require('../models/Appointment');
+const refundService = require('../services/refundService');
+const fakeProvider = require('../services/paymentProviders/fakeProvider');
+const { useMemoryModel, useTransactions } = require('./helpers/memoryModel');
+
+const salonId = new mongoose.Types.ObjectId();
+const owner = { role: 'owner', userId: salonId.toString() };
+
+const appointment = (startTime, price, fields = {}) => ({
+  salonId,
+  professionalId: new mongoose.Types.ObjectId(),
+  bookingGroupId: 'ORDER-1',
+  date: '2030-01-07',
+  startTime,
+  endTime: startTime.replace(':00', ':30'),
+  services: [{ name: 'Service', price, durationMinutes: 30 }],
+  status: 'confirmed',
+  paymentStatus: 'paid',
+  ...fields,
+});
+
+const isRefundError = (statusCode, message) => (error) => {
+  assert.equal(error.name, 'RefundError');
+  assert.equal(error.statusCode, statusCode);
+  if (message) assert.match(error.message, message);
+  return true;
+};
+
+describe('refundService', () => {
+  describe('allocate', () => {
+    it('fills what each appointment may get back first, then what it cost', () => {
+      const targets = [
+        { appointmentId: 'a', total: 1000, refundable: 500, refunded: 0, remaining: 1000 },
+        { appointmentId: 'b', total: 2000, refundable: 2000, refunded: 0, remaining: 2000 },
+      ];
+
+      assert.deepEqual(refundService.allocate(1500, targets), [
+        { appointmentId: 'a', amount: 500 },
+        { appointmentId: 'b', amount: 1000 },
+      ]);
+      assert.deepEqual(refundService.allocate(2800, targets), [
+        { appointmentId: 'a', amount: 800 },
+        { appointmentId: 'b', amount: 2000 },
+      ]);
+    });
+  });
+
+  describe('refund', () => {
+    let payments;
+    let refunds;
+    let first;
+    let second;
+
+    beforeEach((t) => {
+      const appointments = useMemoryModel(t, Appointment, [appointment('10:00', 1000), appointment('11:00', 2000)]);
+      [first, second] = appointments;
+      const ids = appointments.map(a => a._id);
+
+      payments = useMemoryModel(t, Payment, [{
+        appointmentId: 'ORDER-1',
+        provider: 'fake',
+        transactionId: 'fake_ORDER-1',
+        amount: 3000,
+        currency: 'lkr',
+        status: 'succeeded',
+        customerEmail: 'guest@example.com',
+        refundedAmount: 0,
+        metadata: { salonId: salonId.toString(), createdAppointmentIds: ids.map(String) },
+        fulfilment: { status: 'fulfilled', appointmentIds: ids },
+      }]);
+      refunds = useMemoryModel(t, Refund);
+      useTransactions(t);
+      t.mock.method(refundService, 'updateAppointmentStatuses', async () => {});
+      t.mock.method(console, 'log', () => {});
+      t.mock.method(console, 'error', () => {});
+      fakeProvider.reset();
+    });
+
+    it('refunds everything left by default, spread over the appointments', async () => {
+      const refund = await refundService.refund({ orderId: 'ORDER-1' }, { actor: owner });
+
+      assert.equal(refund.status, 'succeeded');
+      assert.equal(refund.amount, 3000);
+      assert.deepEqual(
+        refund.allocations.map(a => [a.appointmentId.toString(), a.amount]),
+        [[first._id.toString(), 1000], [second._id.toString(), 2000]]
+      );
+      assert.equal(payments[0].refundedAmount, 3000);
+
+      await assert.rejects(
+        refundService.refund({ orderId: 'ORDER-1' }, { actor: owner }),
+        isRefundError(409, /Nothing is left/)
+      );
+    });
+
+    it('never refunds more than is left of the payment', async () => {
+      await assert.rejects(
+        refundService.refund({ orderId: 'ORDER-1', amount: 3500 }, { actor: owner }),
+        isRefundError(409, /At most 3000/)
+      );
+
+      await refundService.refund({ orderId: 'ORDER-1', amount: 1000 }, { actor: owner });
+      await assert.rejects(
+        refundService.refund({ orderId: 'ORDER-1', amount: 2500 }, { actor: owner }),
+        isRefundError(409, /At most 2000/)
+      );
+      assert.equal(payments[0].refundedAmount, 1000);
+    });
+
+    it('never refunds more than an appointment cost', async () => {
+      await assert.rejects(
+        refundService.refund({ appointmentId: first._id.toString(), amount: 1500 }, { actor: owner }),
+        isRefundError(409, /At most 1000/)
+      );
+
+      const refund = await refundService.refund({ appointmentId: first._id.toString() }, { actor: owner });
+      assert.equal(refund.amount, 1000);
+      assert.deepEqual(refund.allocations.map(a => a.appointmentId.toString()), [first._id.toString()]);
+    });
+
+    it('lets only one of two concurrent refunds through when both do not fit', async () => {
+      const results = await Promise.allSettled([
+        refundService.refund({ orderId: 'ORDER-1', amount: 2000 }, { actor: owner }),
+        refundService.refund({ orderId: 'ORDER-1', amount: 2000 }, { actor: owner }),
+      ]);
+
+      assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+      isRefundError(409)(results.find(r => r.status === 'rejected').reason);
+      assert.equal(payments[0].refundedAmount, 2000);
+      assert.equal(refunds.length, 1);
+    });
+
+    it('gives the amount back when the provider fails', async (t) => {
+      const failing = t.mock.method(fakeProvider, 'refund', async () => { throw new Error('Provider unavailable'); });
+
+      const refund = await refundService.refund({ orderId: 'ORDER-1' }, { actor: owner });
+      assert.equal(refund.status, 'failed');
+      assert.equal(refund.failureReason, 'Provider unavailable');
+      assert.equal(payments[0].refundedAmount, 0);
+
+      failing.mock.restore();
+      const retry = await refundService.refund({ orderId: 'ORDER-1' }, { actor: owner });
+      assert.equal(retry.amount, 3000);
+    });
+
+    it('does not let an owner refund another salon\'s payment', async () => {
+      const otherOwner = { role: 'owner', userId: new mongoose.Types.ObjectId().toString() };
+
+      await assert.rejects(
+        refundService.refund({ orderId: 'ORDER-1' }, { actor: otherOwner }),
+        isRefundError(403)
+      );
+      assert.equal(refunds.length, 0);
+    });
+  });
+});
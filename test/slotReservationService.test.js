@@ -0,0 +1,153 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const TimeSlot = require('../models/TimeSlot');
+const slotReservationService = require('../services/slotReservationService');
+const { SlotConflictError } = require('../services/slotReservationService');
+const { listSlotStartTimes, computeEndTime } = require('../utils/timeUtils');
+const { useMemoryModel, useTransactions, SESSION } = require('./helpers/memoryModel');
+
+const salonId = new mongoose.Types.ObjectId();
+const professionalId = new mongoose.Types.ObjectId();
+const DATE = '2030-01-07';
+
+// Free 5-minute slots covering [from, to)
+const slots = (from, to, extra = {}) => listSlotStartTimes(from, to).map(startTime => ({
+  salonId,
+  professionalId,
+  date: DATE,
+  startTime,
+  endTime: computeEndTime(startTime, 5),
+  isBooked: false,
+  ...extra,
+}));
+
+const booked = store => store.filter(s => s.isBooked).map(s => s.startTime);
+
+describe('slotReservationService', () => {
+  describe('reserve', () => {
+    it('books every slot of a free reservation', async (t) => {
+      const store = useMemoryModel(t, TimeSlot, slots('10:00', '11:00'));
+
+      await slotReservationService.reserve([{ professionalId, date: DATE, startTime: '10:00', endTime: '10:30' }], SESSION);
+
+      assert.deepEqual(booked(store), listSlotStartTimes('10:00', '10:30'));
+    });
+
+    it('books nothing and lists the clashes when a slot is taken or missing', async (t) => {
+      const store = useMemoryModel(t, TimeSlot, [
+        ...slots('10:00', '10:15'),
+        ...slots('10:15', '10:20', { isBooked: true }),
+        // 10:20 was never generated
+        ...slots('10:25', '11:00'),
+      ]);
+
+      await assert.rejects(
+        slotReservationService.reserve([
+          { professionalId, date: DATE, startTime: '10:30', endTime: '10:45' },
+          { professionalId, date: DATE, startTime: '10:00', endTime: '10:30' },
+        ], SESSION),
+        (error) => {
+          assert.ok(error instanceof SlotConflictError);
+          assert.equal(error.statusCode, 409);
+          assert.deepEqual(
+            error.conflicts.map(c => [c.startTime, c.reason]),
+            [['10:15', 'booked'], ['10:20', 'unavailable']]
+          );
+          return true;
+        }
+      );
+      // The caller's transaction is aborted on the error, so only the clash itself stays booked
+      assert.deepEqual(booked(store).filter(time => time < '10:30'), ['10:15']);
+    });
+
+    it('reports a slot claimed between the check and the update', async (t) => {
+      const store = useMemoryModel(t, TimeSlot, slots('10:00', '10:30'));
+      const updateMany = TimeSlot.updateMany;
+      t.mock.method(TimeSlot, 'updateMany', (filter, update, options) => {
+        store.find(s => s.startTime === '10:10').isBooked = true;
+        return updateMany(filter, update, options);
+      });
+
+      await assert.rejects(
+        slotReservationService.reserve([{ professionalId, date: DATE, startTime: '10:00', endTime: '10:30' }], SESSION),
+        // The re-check runs in the same transaction, so it also sees the slots this reservation took
+        error => error instanceof SlotConflictError && error.conflicts.some(c => c.startTime === '10:10')
+      );
+    });
+  });
+
+  describe('reserveAndRun', () => {
+    it('does not run the work when a slot is taken', async (t) => {
+      useMemoryModel(t, TimeSlot, slots('10:00', '10:30', { isBooked: true }));
+      useTransactions(t);
+      const work = t.mock.fn(async () => 'saved');
+
+      await assert.rejects(
+        slotReservationService.reserveAndRun([{ professionalId, date: DATE, startTime: '10:00', endTime: '10:15' }], work),
+        SlotConflictError
+      );
+      assert.equal(work.mock.callCount(), 0);
+    });
+
+    it('returns what the work returns', async (t) => {
+      useMemoryModel(t, TimeSlot, slots('10:00', '10:30'));
+      useTransactions(t);
+
+      const result = await slotReservationService.reserveAndRun(
+        async () => [{ professionalId, date: DATE, startTime: '10:00', endTime: '10:15' }],
+        async session => (session === SESSION ? 'saved' : 'no session')
+      );
+      assert.equal(result, 'saved');
+    });
+  });
+
+  describe('holds', () => {
+    const expiresAt = new Date('2030-01-07T04:15:00Z');
+
+    it('holds slots for an order and releases only that order', async (t) => {
+      const store = useMemoryModel(t, TimeSlot, slots('10:00', '11:00'));
+      await slotReservationService.reserve(
+        [{ professionalId, date: DATE, startTime: '10:00', endTime: '10:15' }],
+        SESSION,
+        { hold: { holdId: 'ORDER-1', expiresAt } }
+      );
+      await slotReservationService.reserve(
+        [{ professionalId, date: DATE, startTime: '10:30', endTime: '10:45' }],
+        SESSION,
+        { hold: { holdId: 'ORDER-2', expiresAt } }
+      );
+
+      const held = store.filter(s => s.heldBy === 'ORDER-1');
+      assert.equal(held.length, 3);
+      assert.ok(held.every(s => s.isBooked && s.heldUntil.getTime() === expiresAt.getTime()));
+
+      assert.equal(await slotReservationService.releaseHold('ORDER-1'), 3);
+      assert.deepEqual(booked(store), listSlotStartTimes('10:30', '10:45'));
+      assert.ok(store.every(s => s.heldBy !== 'ORDER-1' && (s.heldBy || !s.heldUntil)));
+    });
+
+    it('a held slot cannot be booked by someone else', async (t) => {
+      useMemoryModel(t, TimeSlot, slots('10:00', '10:15', { isBooked: true, heldBy: 'ORDER-1', heldUntil: expiresAt }));
+
+      await assert.rejects(
+        slotReservationService.reserve([{ professionalId, date: DATE, startTime: '10:00', endTime: '10:15' }], SESSION),
+        SlotConflictError
+      );
+    });
+
+    it('releases expired holds and leaves running holds and bookings alone', async (t) => {
+      const now = new Date('2030-01-07T04:00:00Z');
+      const store = useMemoryModel(t, TimeSlot, [
+        ...slots('10:00', '10:15', { isBooked: true, heldBy: 'EXPIRED-1', heldUntil: new Date(now - 60 * 1000) }),
+        ...slots('10:15', '10:20', { isBooked: true, heldBy: 'EXPIRED-2', heldUntil: new Date(now - 1) }),
+        ...slots('10:30', '10:45', { isBooked: true, heldBy: 'RUNNING', heldUntil: new Date(+now + 60 * 1000) }),
+        ...slots('11:00', '11:15', { isBooked: true }),
+      ]);
+
+      assert.deepEqual(await slotReservationService.releaseExpiredHolds(now), { holds: 2, slots: 4 });
+      assert.deepEqual(booked(store), [...listSlotStartTimes('10:30', '10:45'), ...listSlotStartTimes('11:00', '11:15')]);
+      assert.deepEqual(await slotReservationService.releaseExpiredHolds(now), { holds: 0, slots: 0 });
+    });
+  });
+});
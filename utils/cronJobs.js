@@ -1,5 +1,10 @@
 const cron = require('node-cron');
 const notificationService = require('../services/notificationService');
+const timeSlotService = require('../services/timeSlotService');
+const waitlistService = require('../services/waitlistService');
+const walkInService = require('../services/walkInService');
+const paymentFulfilmentService = require('../services/paymentFulfilmentService');
+const { SALON_TIMEZONE } = require('./timeUtils');
 
 /**
  * Cron Jobs for Automated Email Notifications
@@ -21,6 +26,18 @@ class CronJobManager {
       
       // Feedback request follow-up (day after appointment)
       this.setupFeedbackRequests();
+
+      // Rolling window of bookable time slots
+      this.setupSlotGeneration();
+
+      // Expire unanswered waitlist offers and pass the opening on
+      this.setupWaitlistExpiry();
+
+      // Keep walk-in wait estimates current and text customers whose turn is near
+      this.setupWalkInQueue();
+
+      // Give slots held by abandoned checkouts back
+      this.setupSlotHoldExpiry();
       
  console.log(' Cron Jobs initialized successfully');
     } catch (error) {
@@ -41,7 +58,7 @@ class CronJobManager {
       }
     }, {
       scheduled: true,
-      timezone: 'Asia/Colombo' // Sri Lanka timezone
+      timezone: SALON_TIMEZONE // Sri Lanka timezone
     });
 
     this.jobs.set('dailyReminders', reminderJob);
@@ -59,13 +76,93 @@ class CronJobManager {
       }
     }, {
       scheduled: true,
-      timezone: 'Asia/Colombo'
+      timezone: SALON_TIMEZONE
     });
 
     this.jobs.set('feedbackRequests', feedbackJob);
  console.log(' Daily feedback requests scheduled for 10:00 AM');
   }
 
+  // Extend the time slot window every night at 1 AM and drop past unbooked slots
+  setupSlotGeneration() {
+    const slotJob = cron.schedule('0 1 * * *', async () => {
+ console.log(' Running nightly time slot generation...');
+      try {
+        const result = await timeSlotService.runRollingWindow();
+ console.log(' Time slot generation result:', result);
+      } catch (error) {
+ console.error(' Time slot generation failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: SALON_TIMEZONE
+    });
+
+    this.jobs.set('slotGeneration', slotJob);
+ console.log('⏰ Nightly time slot generation scheduled for 1:00 AM');
+
+    // Fill any missing days right away so a fresh deployment has bookable slots
+    timeSlotService.runRollingWindow()
+      .catch(error => console.error(' Initial time slot generation failed:', error));
+  }
+
+  // Check for expired waitlist offers every 5 minutes
+  setupWaitlistExpiry() {
+    const waitlistJob = cron.schedule('*/5 * * * *', async () => {
+      try {
+        const result = await waitlistService.expireOffers();
+        if (result.expiredOffers || result.expiredEntries) {
+ console.log(' Waitlist expiry result:', result);
+        }
+      } catch (error) {
+ console.error(' Waitlist expiry failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: SALON_TIMEZONE
+    });
+
+    this.jobs.set('waitlistExpiry', waitlistJob);
+ console.log('⏰ Waitlist offer expiry scheduled every 5 minutes');
+  }
+
+  // Refresh walk-in queues every 5 minutes
+  setupWalkInQueue() {
+    const walkInJob = cron.schedule('*/5 * * * *', async () => {
+      try {
+        await walkInService.refreshAllQueues();
+      } catch (error) {
+ console.error(' Walk-in queue refresh failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: SALON_TIMEZONE
+    });
+
+    this.jobs.set('walkInQueue', walkInJob);
+ console.log('⏰ Walk-in queue refresh scheduled every 5 minutes');
+  }
+
+  // Cancel checkouts whose slot hold ran out every minute (slots and loyalty points go back)
+  setupSlotHoldExpiry() {
+    const holdJob = cron.schedule('* * * * *', async () => {
+      try {
+        const result = await paymentFulfilmentService.expireHolds();
+        if (result.orders || result.holds) {
+ console.log(' Released expired slot holds:', result);
+        }
+      } catch (error) {
+ console.error(' Slot hold expiry failed:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: SALON_TIMEZONE
+    });
+
+    this.jobs.set('slotHoldExpiry', holdJob);
+ console.log('⏰ Slot hold expiry scheduled every minute');
+  }
+
   // Send feedback requests for yesterday's completed appointments
   async sendDailyFeedbackRequests() {
     try {
@@ -175,6 +272,11 @@ class CronJobManager {
  console.log(' Manually triggering feedback requests...');
     return await this.sendDailyFeedbackRequests();
   }
+
+  async triggerSlotGeneration() {
+ console.log(' Manually triggering time slot generation...');
+    return await timeSlotService.runRollingWindow();
+  }
 }
 
 // Create singleton instance
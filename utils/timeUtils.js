@@ -0,0 +1,132 @@
+/**
+ * Time helpers shared by booking, slot and payment code.
+ * Dates are "YYYY-MM-DD" strings and times are "HH:mm" strings,
+ * matching the Appointment and TimeSlot schemas.
+ */
+
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Length of a single generated TimeSlot document
+const SLOT_INTERVAL_MINUTES = 5;
+
+// Salon hours and appointment times are Sri Lanka wall-clock times, whatever
+// timezone the server runs in (the cron jobs are scheduled in it too)
+const SALON_TIMEZONE = 'Asia/Colombo';
+
+// Indexed like dayjs().day(): 0 = Sunday
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTime = (time) => typeof time === 'string' && TIME_PATTERN.test(time);
+
+// 🔧 FIXED: Handle undefined/empty duration strings
+const durationToMinutes = (durationStr) => {
+  if (!durationStr || typeof durationStr !== 'string') {
+ console.warn("️ Invalid duration string:", durationStr);
+    return 30; // Default to 30 minutes
+  }
+
+  const parts = durationStr.split(" ");
+  let minutes = 0;
+  for (let i = 0; i < parts.length; i += 2) {
+    const val = parseInt(parts[i]);
+    const unit = parts[i + 1]?.toLowerCase() || ""; // 🔧 Added safe access
+    if (unit.includes("hour")) minutes += (isNaN(val) ? 0 : val) * 60;
+    else if (unit.includes("min")) minutes += isNaN(val) ? 0 : val;
+  }
+  return minutes || 30; // Default to 30 minutes if calculation fails
+};
+
+/**
+ * Normalise "9:00 AM" / "9:00" / "09:00" to "HH:mm".
+ * @returns {string|null} null when the value is not a time of day
+ */
+const toTime24 = (value) => {
+  const match = typeof value === 'string' && value.trim().match(/^(\d{1,2}):(\d{2})\s*([AaPp][Mm])?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const modifier = match[3]?.toUpperCase();
+  if (modifier) {
+    if (hours < 1 || hours > 12) return null;
+    if (modifier === 'PM' && hours !== 12) hours += 12;
+    if (modifier === 'AM' && hours === 12) hours = 0;
+  }
+
+  const time = `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  return isValidTime(time) ? time : null;
+};
+
+// 75 -> "1 hour 15 minutes", the format durationToMinutes() reads back
+const formatDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  const parts = [];
+  if (hours) parts.push(`${hours} hour${hours > 1 ? 's' : ''}`);
+  if (rest || !hours) parts.push(`${rest} minutes`);
+  return parts.join(' ');
+};
+
+// Length of a service or booked service line: numeric durationMinutes, else the legacy string
+const getServiceMinutes = (service) => {
+  const minutes = Number(service?.durationMinutes);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : durationToMinutes(service?.duration);
+};
+
+const timeToMinutes = (time) => {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+};
+
+const minutesToTime = (totalMinutes) => {
+  const h = String(Math.floor(totalMinutes / 60)).padStart(2, "0");
+  const m = String(totalMinutes % 60).padStart(2, "0");
+  return `${h}:${m}`;
+};
+
+const computeEndTime = (startTime, duration) => {
+  return minutesToTime(timeToMinutes(startTime) + duration);
+};
+
+/**
+ * List the start times of every slot covering [startTime, endTime).
+ * e.g. ("10:00", "10:15") -> ["10:00", "10:05", "10:10"]
+ */
+const listSlotStartTimes = (startTime, endTime, interval = SLOT_INTERVAL_MINUTES) => {
+  const times = [];
+  const end = timeToMinutes(endTime);
+  for (let t = timeToMinutes(startTime); t < end; t += interval) {
+    times.push(minutesToTime(t));
+  }
+  return times;
+};
+
+// The moment an appointment's date ("YYYY-MM-DD") and time ("HH:mm") stand for
+const salonDateTime = (date, time) => dayjs.tz(`${date}T${time}`, SALON_TIMEZONE);
+
+// Now, on the salons' clock (its .format() and .hour() are salon-local)
+const salonNow = () => dayjs().tz(SALON_TIMEZONE);
+
+module.exports = {
+  SLOT_INTERVAL_MINUTES,
+  SALON_TIMEZONE,
+  WEEKDAYS,
+  isValidTime,
+  toTime24,
+  durationToMinutes,
+  formatDuration,
+  getServiceMinutes,
+  timeToMinutes,
+  minutesToTime,
+  computeEndTime,
+  listSlotStartTimes,
+  salonDateTime,
+  salonNow
+};